@@ -0,0 +1,51 @@
+/**
+ * Service worker that keeps the app shell available offline
+ *
+ * Same-origin requests go to the network first and fall back to the last
+ * cached response. Models are left to the in-app model store, which
+ * verifies them against the manifest.
+ */
+
+const APP_CACHE_PREFIX = 'lipsync-app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}v1`;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.endsWith('.onnx') || url.pathname === '/wasm/models.json') return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(APP_CACHE);
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await cache.match(request);
+      if (cached) return cached;
+      if (request.mode === 'navigate') {
+        const shell = await cache.match('/');
+        if (shell) return shell;
+      }
+      throw error;
+    }
+  })());
+});
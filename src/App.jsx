@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Environment } from '@react-three/drei';
 import Avatar from './components/Avatar.jsx';
@@ -6,12 +6,19 @@ import Transcript from './components/Transcript.jsx';
 import Controls from './components/Controls.jsx';
 import CallUI from './components/CallUI.jsx';
 import { AudioCapture, AudioPlayback } from './utils/audioUtils.js';
-import { STTService, WebSpeechSTT } from './services/stt.js';
+import { STTService, StreamingSTT, WebSpeechSTT } from './services/stt.js';
+import { WHISPER_AUDIO } from './utils/melSpectrogram.js';
 import { MTService, DictionaryMT } from './services/mt.js';
 import { TTSService } from './services/tts.js';
 import { WebRTCService } from './services/webrtc.js';
 import { LipSyncService } from './services/lipSync.js';
-import { LanguageManager } from './models/Language.js';
+import { VADService } from './services/vad.js';
+import { SpeakerDiarizer } from './services/diarization.js';
+import { PunctuationService } from './services/punctuation.js';
+import { modelLoader } from './services/modelLoader.js';
+import { modelStore } from './services/modelStore.js';
+import { getPrecisionOverride, selectModelPrecision, setPrecisionOverride } from './services/modelVariants.js';
+import { LanguageManager, SUPPORTED_LANGUAGES } from './models/Language.js';
 import { AvatarManager } from './models/Avatar.js';
 
 function App() {
@@ -21,15 +28,38 @@ function App() {
   const [isCallActive, setIsCallActive] = useState(false);
   const [currentAvatar, setCurrentAvatar] = useState('default');
   const [transcripts, setTranscripts] = useState([]);
+  const [interimTranscript, setInterimTranscript] = useState(null);
   const [translations, setTranslations] = useState([]);
   const [isRecording, setIsRecording] = useState(false);
+  const [isListening, setIsListening] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [autoDetectLanguage, setAutoDetectLanguage] = useState(false);
+  const [detectedLanguage, setDetectedLanguage] = useState(null);
+  const [confidenceThreshold, setConfidenceThreshold] = useState(0);
+  const confidenceThresholdRef = useRef(0);
+  const [vocabulary, setVocabulary] = useState({ terms: [], prompt: '' });
+  const [speakers, setSpeakers] = useState({});
+  const [modelProgress, setModelProgress] = useState([]);
+  const [modelPrecision, setModelPrecision] = useState(() => ({
+    override: getPrecisionOverride(),
+    detected: selectModelPrecision(),
+    // Precisions the manifest offers, and those of the models actually loaded
+    available: [],
+    loaded: []
+  }));
+  const [modelCache, setModelCache] = useState({ isSupported: modelStore.isSupported(), count: 0, bytes: 0 });
   const [error, setError] = useState(null);
+  const [recognitionError, setRecognitionError] = useState(null);
+  const [languageError, setLanguageError] = useState(null);
 
   // Service instances
   const [audioCapture, setAudioCapture] = useState(null);
   const [audioPlayback, setAudioPlayback] = useState(null);
   const [sttService, setSttService] = useState(null);
+  const [streamingStt, setStreamingStt] = useState(null);
+  const [vadService, setVadService] = useState(null);
+  const [diarizer, setDiarizer] = useState(null);
+  const [punctuationService, setPunctuationService] = useState(null);
   const [mtService, setMtService] = useState(null);
   const [ttsService, setTtsService] = useState(null);
   const [webrtcService, setWebrtcService] = useState(null);
@@ -39,29 +69,86 @@ function App() {
 
   // Initialize services
   useEffect(() => {
+    const unsubscribe = modelLoader.subscribe((progress) => {
+      setModelProgress(progress);
+      setModelPrecision(current => ({ ...current, loaded: modelLoader.getLoadedPrecisions() }));
+    });
+    modelStore.getPrecisions().then((available) => {
+      setModelPrecision(current => ({ ...current, available }));
+    });
     initializeServices();
+    return unsubscribe;
   }, []);
 
   // Set up Web Speech API transcription when using fallback
   useEffect(() => {
     if (sttService && sttService instanceof WebSpeechSTT) {
       // Set up continuous transcription
-      sttService.initialize((transcript) => {
-        if (transcript && transcript.trim()) {
-          console.log('Web Speech API transcript:', transcript);
-          addTranscript(transcript, 'local', languageManager?.getSourceLanguage().code);
-          
-          // Process translation
-          handleTranslation(transcript);
+      sttService.initialize(
+        (transcript, details) => {
+          if (transcript && transcript.trim()) {
+            console.log('Web Speech API transcript:', transcript);
+            setRecognitionError(null);
+            handleFinalTranscript(transcript, details);
+          }
+        },
+        (hypothesis) => {
+          setInterimTranscript(hypothesis.text ? hypothesis : null);
+        },
+        (recognitionFailure) => {
+          console.warn('Web Speech API error:', recognitionFailure.error);
+          setRecognitionError(recognitionFailure);
         }
-      });
+      );
+      sttService.setLanguage(languageManager?.getSourceLanguage().code);
       
       // Start listening when recording starts
       if (isRecording) {
         sttService.start();
       }
     }
-  }, [sttService, isRecording, languageManager]);
+  }, [sttService, isRecording, languageManager, punctuationService]);
+
+  // Set up streaming transcription when using on-device STT
+  useEffect(() => {
+    if (!streamingStt) return;
+
+    streamingStt.setLanguage(languageManager?.getSourceLanguage().code);
+    streamingStt.initialize(
+      (transcript, details) => {
+        if (transcript && transcript.trim()) {
+          handleFinalTranscript(transcript, details);
+        }
+      },
+      (hypothesis) => {
+        setInterimTranscript(hypothesis.text ? hypothesis : null);
+      }
+    );
+    streamingStt.onLanguageDetected = (detections) => {
+      setDetectedLanguage(detections[0]);
+      if (languageManager?.applyDetectedLanguage(detections)) {
+        // Keep the decoder on the detected language even if the pair was swapped
+        streamingStt.setLanguage(languageManager.getSourceLanguage().code);
+      }
+    };
+  }, [streamingStt, languageManager, mtService, ttsService, audioPlayback, lipSyncService, diarizer, punctuationService]);
+
+  // Only transcribe while the VAD reports speech
+  useEffect(() => {
+    if (!vadService) return;
+
+    vadService.onSpeechStart = (startTime) => {
+      setIsListening(true);
+      streamingStt?.start(startTime);
+    };
+    vadService.onSpeechAudio = (audio, sampleRate) => {
+      streamingStt?.pushAudio(audio, sampleRate);
+    };
+    vadService.onSpeechEnd = () => {
+      setIsListening(false);
+      streamingStt?.stop();
+    };
+  }, [vadService, streamingStt]);
 
   const initializeServices = async () => {
     try {
@@ -82,7 +169,7 @@ function App() {
 
       try {
         stt = new STTService();
-        await stt.initialize();
+        await stt.initialize({ model: langManager.getSourceLanguage().getSTTModel() });
       } catch (error) {
         console.warn('ONNX STT failed, using Web Speech API fallback');
         stt = new WebSpeechSTT();
@@ -91,11 +178,13 @@ function App() {
 
       try {
         mt = new MTService();
-        await mt.initialize();
+        await mt.initialize({ model: langManager.getLanguagePair().getMTModel() });
       } catch (error) {
         console.warn('ONNX MT failed, using dictionary fallback');
         mt = new DictionaryMT();
       }
+      // Only offer languages the translation backend can reach
+      langManager.setAvailablePairs(await mt.getAvailablePairs());
 
       try {
         tts = new TTSService();
@@ -108,18 +197,46 @@ function App() {
       }
 
       setSttService(stt);
+      if (stt instanceof STTService) {
+        setStreamingStt(new StreamingSTT(stt));
+
+        // Load the new source language's model in the background
+        langManager.onSourceLanguageChange = (language) => {
+          stt.setModel(language.getSTTModel()).catch((error) => {
+            console.warn(`Failed to load STT model for ${language.getName()}:`, error);
+          });
+        };
+      }
       setMtService(mt);
       setTtsService(tts);
 
+      // Restore sentence boundaries, punctuation and casing before MT and TTS
+      const punctuation = new PunctuationService();
+      await punctuation.initialize();
+      setPunctuationService(punctuation);
+
       // Initialize WebRTC service
       const webrtc = new WebRTCService();
       setWebrtcService(webrtc);
 
+      // Initialize voice activity detection
+      const vad = new VADService();
+      await vad.initialize();
+      setVadService(vad);
+
+      // Initialize speaker diarization (needs the on-device STT's utterance audio)
+      if (stt instanceof STTService) {
+        const speakerDiarizer = new SpeakerDiarizer();
+        await speakerDiarizer.initialize();
+        setDiarizer(speakerDiarizer);
+      }
+
       // Initialize lip-sync service
       const lipSync = new LipSyncService();
       await lipSync.initialize();
       setLipSyncService(lipSync);
 
+      refreshModelCache();
       setIsInitialized(true);
       console.log('All services initialized successfully');
 
@@ -130,16 +247,95 @@ function App() {
   };
 
   // Handle translation processing
-  const handleTranslation = async (transcript) => {
+  // Record a final local transcript and translate it unless its confidence is too low
+  const handleFinalTranscript = async (transcript, details = null) => {
+    const threshold = confidenceThresholdRef.current;
+    const isHeldBack = threshold > 0 &&
+      typeof details?.confidence === 'number' &&
+      details.confidence < threshold;
+    
+    const language = languageManager?.getSourceLanguage().code;
+    const [speakerId, restored] = await Promise.all([
+      identifySpeaker(details?.audio),
+      restorePunctuation(transcript, language, details?.segments)
+    ]);
+    
+    addTranscript(restored.text, 'local', language, { ...details, ...restored, speakerId }, isHeldBack);
+    if (!isHeldBack) {
+      handleTranslation(restored.text, speakerId, restored.sentences);
+    }
+  };
+
+  // Punctuate and truecase a raw transcript, keeping it as-is if that fails
+  const restorePunctuation = async (text, language, segments = []) => {
+    const unchanged = { text, sentences: [text], segments };
+    if (!punctuationService) return unchanged;
+    
     try {
-      const translated = await mtService?.translate(
-        transcript,
-        languageManager?.getSourceLanguage().code,
-        languageManager?.getTargetLanguage().code
-      );
+      return await punctuationService.restore(text, language, segments);
+    } catch (error) {
+      console.warn('Punctuation restoration failed:', error);
+      return unchanged;
+    }
+  };
+
+  // Attribute utterance audio to a speaker, registering new speakers under their default name
+  const identifySpeaker = async (audio) => {
+    if (!diarizer || !audio) return null;
+    
+    try {
+      const speaker = await diarizer.identify(audio, WHISPER_AUDIO.sampleRate);
+      if (!speaker) return null;
+      
+      setSpeakers(prev => (prev[speaker.speakerId] ? prev : { ...prev, [speaker.speakerId]: speaker.label }));
+      return speaker.speakerId;
+    } catch (error) {
+      console.warn('Speaker identification failed:', error);
+      return null;
+    }
+  };
+
+  const renameSpeaker = (speakerId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setSpeakers(prev => ({ ...prev, [speakerId]: trimmed }));
+  };
+
+  // Translate a held-back transcript after all
+  const releaseTranscript = (transcriptId) => {
+    const transcript = transcripts.find(entry => entry.id === transcriptId);
+    if (!transcript?.isHeldBack) return;
+    
+    setTranscripts(prev => prev.map(entry => (
+      entry.id === transcriptId ? { ...entry, isHeldBack: false } : entry
+    )));
+    handleTranslation(transcript.text, transcript.speakerId, transcript.sentences);
+  };
+
+  // Translate sentence by sentence so the output keeps the source's sentence boundaries
+  const translateSentences = async (sentences) => {
+    const sourceLang = languageManager?.getSourceLanguage().code;
+    const targetLang = languageManager?.getTargetLanguage().code;
+    const translated = [];
+    
+    for (const sentence of sentences) {
+      // Punctuation is kept so questions are translated as questions
+      const output = await mtService?.translate(sentence, sourceLang, targetLang);
+      if (!output || !punctuationService || punctuationService.endsSentence(output)) {
+        translated.push(output);
+        continue;
+      }
+      translated.push(punctuationService.transferPunctuation(sentence, output, targetLang));
+    }
+    return translated.filter(Boolean).join(' ');
+  };
+
+  const handleTranslation = async (transcript, speakerId = null, sentences = [transcript]) => {
+    try {
+      const translated = await translateSentences(sentences);
       
       if (translated) {
-        addTranslation(transcript, translated);
+        addTranslation(transcript, translated, speakerId);
         
         // Generate speech
         const audio = await ttsService?.synthesize(translated, languageManager?.getTargetLanguage().code);
@@ -148,7 +344,8 @@ function App() {
           await audioPlayback?.playAudio(audio);
           
           // Generate lip-sync
-          const visemeSequence = lipSyncService?.generateLipSyncFromText(
+          const visemeSequence = lipSyncService?.generateLipSyncFromAudio(
+            audio,
             translated,
             languageManager?.getTargetLanguage().code
           );
@@ -165,45 +362,12 @@ function App() {
     if (!isCallActive || !isRecording) return;
 
     try {
-      // Send audio to peer
+      // Send audio to peer; local transcription runs on the PCM stream
       webrtcService?.sendAudio(audioBlob);
-
-      // Process audio locally for transcript
-      const audioData = await audioBlob.arrayBuffer();
-      const transcript = await sttService?.transcribe(audioData, languageManager?.getSourceLanguage().code);
-      
-      if (transcript) {
-        addTranscript(transcript, 'local', languageManager?.getSourceLanguage().code);
-        
-        // Translate
-        const translated = await mtService?.translate(
-          transcript,
-          languageManager?.getSourceLanguage().code,
-          languageManager?.getTargetLanguage().code
-        );
-        
-        if (translated) {
-          addTranslation(transcript, translated);
-          
-          // Generate speech
-          const audio = await ttsService?.synthesize(translated, languageManager?.getTargetLanguage().code);
-          if (audio) {
-            // Play translated audio
-            await audioPlayback?.playAudio(audio);
-            
-            // Generate lip-sync
-            const visemeSequence = lipSyncService?.generateLipSyncFromText(
-              translated,
-              languageManager?.getTargetLanguage().code
-            );
-            lipSyncService?.startLipSync(visemeSequence);
-          }
-        }
-      }
     } catch (error) {
       console.error('Error processing audio:', error);
     }
-  }, [isCallActive, isRecording, webrtcService, sttService, mtService, ttsService, audioPlayback, lipSyncService, languageManager]);
+  }, [isCallActive, isRecording, webrtcService]);
 
   // Handle incoming audio from peer
   const handlePeerAudio = useCallback(async (audioBase64) => {
@@ -217,24 +381,34 @@ function App() {
     }
   }, [webrtcService, audioPlayback]);
 
-  // Add transcript
-  const addTranscript = (text, source, language) => {
+  // Add transcript (details carry timing in seconds since recording started and confidences, when known)
+  const addTranscript = (text, source, language, details = null, isHeldBack = false) => {
     const transcript = {
       id: Date.now(),
       text,
       source,
       language,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      startTime: details?.start ?? null,
+      endTime: details?.end ?? null,
+      confidence: details?.confidence ?? null,
+      segments: details?.segments || [],
+      words: (details?.segments || []).flatMap(segment => segment.words),
+      sentences: details?.sentences || [text],
+      speakerId: details?.speakerId ?? null,
+      isHeldBack
     };
     setTranscripts(prev => [...prev, transcript]);
   };
 
-  // Add translation
-  const addTranslation = (original, translated) => {
+  // Add translation (keeps the speaker of the original and the languages it was routed through)
+  const addTranslation = (original, translated, speakerId = null) => {
     const translation = {
       id: Date.now(),
       original,
       translated,
+      speakerId,
+      route: languageManager?.getLanguagePair().getRouteLanguages() || [],
       timestamp: new Date().toISOString()
     };
     setTranslations(prev => [...prev, translation]);
@@ -264,6 +438,8 @@ function App() {
   const endCall = () => {
     audioCapture?.stopRecording();
     audioCapture?.cleanup();
+    streamingStt?.cleanup();
+    vadService?.reset();
     webrtcService?.disconnect();
     lipSyncService?.stopLipSync();
     
@@ -271,12 +447,25 @@ function App() {
     setIsConnected(false);
     setIsRecording(false);
     setIsPlaying(false);
+    setIsListening(false);
+    setInterimTranscript(null);
+    setRecognitionError(null);
   };
 
   // Start recording
   const startRecording = () => {
     audioCapture?.startRecording();
     setIsRecording(true);
+    setRecognitionError(null);
+    
+    // Segment raw PCM into utterances for on-device STT
+    if (streamingStt && vadService) {
+      vadService.reset();
+      audioCapture?.startPCMStream((frame) => vadService.process(frame)).catch((error) => {
+        console.error('Failed to start PCM capture:', error);
+        setError('Failed to start microphone capture for transcription.');
+      });
+    }
     
     // Start Web Speech API if using fallback
     if (sttService && sttService instanceof WebSpeechSTT) {
@@ -287,7 +476,11 @@ function App() {
   // Stop recording
   const stopRecording = () => {
     audioCapture?.stopRecording();
+    audioCapture?.stopPCMStream();
+    vadService?.flush();
     setIsRecording(false);
+    setIsListening(false);
+    setInterimTranscript(null);
     
     // Stop Web Speech API if using fallback
     if (sttService && sttService instanceof WebSpeechSTT) {
@@ -302,13 +495,78 @@ function App() {
 
   // Change language
   const changeLanguage = (sourceCode, targetCode) => {
-    languageManager?.setSourceLanguage(sourceCode);
-    languageManager?.setTargetLanguage(targetCode);
+    if (!languageManager?.setLanguagePair(sourceCode, targetCode)) {
+      const name = code => SUPPORTED_LANGUAGES[code]?.name || code;
+      setLanguageError(`${name(sourceCode)} cannot be translated to ${name(targetCode)}.`);
+      return;
+    }
+    setLanguageError(null);
     
     // Update Web Speech API language if using fallback
     if (sttService && sttService instanceof WebSpeechSTT) {
       sttService.setLanguage(sourceCode);
     }
+    streamingStt?.setLanguage(sourceCode);
+    
+    // Fetch the new pair's translation model now rather than on the next sentence
+    if (mtService instanceof MTService) {
+      mtService.preloadPair(sourceCode, targetCode).catch((error) => {
+        console.warn(`Failed to load MT model for ${sourceCode}-${targetCode}:`, error);
+      });
+    }
+  };
+
+  // Set the confidence below which utterances are not translated (0 = off)
+  const changeConfidenceThreshold = (threshold) => {
+    confidenceThresholdRef.current = threshold;
+    setConfidenceThreshold(threshold);
+  };
+
+  // Bias recognition towards session-specific terms
+  const changeVocabulary = (terms, prompt) => {
+    setVocabulary({ terms, prompt });
+    sttService?.setVocabulary(terms, prompt);
+    punctuationService?.setVocabulary(terms);
+  };
+
+  // Report what the model store holds
+  const refreshModelCache = async () => {
+    try {
+      const usage = await modelStore.getUsage();
+      setModelCache({ isSupported: modelStore.isSupported(), ...usage });
+    } catch (error) {
+      console.warn('Failed to read model cache usage:', error);
+    }
+  };
+
+  // Drop cached models; loaded sessions keep working until the next start
+  const clearModelCache = async () => {
+    try {
+      await modelStore.clear();
+    } catch (error) {
+      console.error('Failed to clear cached models:', error);
+      setError('Failed to clear cached models.');
+    }
+    refreshModelCache();
+  };
+
+  // Choose model precision (null for automatic); used the next time models load
+  const changeModelPrecision = (precision) => {
+    setPrecisionOverride(precision);
+    setModelPrecision(current => ({ ...current, override: precision }));
+  };
+
+  // Toggle automatic source language detection
+  const changeAutoDetect = (enabled) => {
+    languageManager?.setAutoDetect(enabled);
+    setAutoDetectLanguage(enabled);
+    setDetectedLanguage(null);
+    
+    // Web Speech API cannot identify languages, so it keeps the selected one
+    const candidates = languageManager
+      ? languageManager.getAvailableLanguages().map(language => language.code)
+      : Object.keys(SUPPORTED_LANGUAGES);
+    streamingStt?.setAutoDetect(enabled, candidates);
   };
 
   // Cleanup on unmount
@@ -321,9 +579,12 @@ function App() {
       ttsService?.cleanup();
       webrtcService?.cleanup();
       lipSyncService?.cleanup();
+      vadService?.cleanup();
+      diarizer?.cleanup();
+      punctuationService?.cleanup();
       avatarManager?.cleanup();
     };
-  }, [audioCapture, audioPlayback, sttService, mtService, ttsService, webrtcService, lipSyncService, avatarManager]);
+  }, [audioCapture, audioPlayback, sttService, mtService, ttsService, webrtcService, lipSyncService, vadService, diarizer, punctuationService, avatarManager]);
 
   if (error) {
     return (
@@ -350,6 +611,7 @@ function App() {
           <div className="animate-pulse-slow text-blue-600 text-6xl mb-4">🎤</div>
           <h2 className="text-xl font-semibold mb-2">Initializing...</h2>
           <p className="text-gray-600">Loading AI models and services</p>
+          <ModelLoadingProgress models={modelProgress} />
         </div>
       </div>
     );
@@ -368,6 +630,7 @@ function App() {
             avatarId={currentAvatar}
             lipSyncService={lipSyncService}
             isConnected={isConnected}
+            isListening={isListening}
           />
           
           <OrbitControls 
@@ -390,11 +653,17 @@ function App() {
         onEndCall={endCall}
         onStartRecording={startRecording}
         onStopRecording={stopRecording}
+        recognitionError={recognitionError}
       />
 
       <Transcript 
         transcripts={transcripts}
+        interimTranscript={interimTranscript}
         translations={translations}
+        speakers={speakers}
+        onRenameSpeaker={renameSpeaker}
+        lowConfidenceThreshold={confidenceThreshold || undefined}
+        onReleaseTranscript={releaseTranscript}
         isVisible={isCallActive}
       />
 
@@ -403,10 +672,72 @@ function App() {
         languageManager={languageManager}
         onAvatarChange={changeAvatar}
         onLanguageChange={changeLanguage}
+        autoDetectLanguage={autoDetectLanguage}
+        detectedLanguage={detectedLanguage}
+        onAutoDetectChange={changeAutoDetect}
+        confidenceThreshold={confidenceThreshold}
+        onConfidenceThresholdChange={changeConfidenceThreshold}
+        vocabulary={vocabulary}
+        onVocabularyChange={changeVocabulary}
+        modelCache={modelCache}
+        onClearModelCache={clearModelCache}
+        languageError={languageError}
+        modelPrecision={modelPrecision}
+        onModelPrecisionChange={changeModelPrecision}
         isVisible={isCallActive}
       />
     </div>
   );
 }
 
+const MODEL_STATUS_LABELS = {
+  pending: 'Waiting',
+  downloading: 'Downloading',
+  verifying: 'Verifying',
+  cached: 'Cached',
+  initializing: 'Starting',
+  ready: 'Ready',
+  error: 'Unavailable',
+  cancelled: 'Cancelled'
+};
+
+// Per-model download progress shown while services start
+function ModelLoadingProgress({ models }) {
+  if (models.length === 0) return null;
+
+  const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+  return (
+    <div className="mt-4 space-y-3 text-left">
+      {models.map((model) => {
+        const percent = model.status === 'ready'
+          ? 100
+          : model.total > 0 ? Math.round((model.loaded / model.total) * 100) : 0;
+
+        return (
+          <div key={model.path}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className="font-medium text-gray-700">{model.name}</span>
+              <span className={model.status === 'error' ? 'text-amber-600' : 'text-gray-500'}>
+                {MODEL_STATUS_LABELS[model.status]}
+                {model.status === 'downloading' && (model.total > 0
+                  ? ` ${percent}%`
+                  : ` ${formatMegabytes(model.loaded)}`)}
+              </span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full transition-all ${
+                  model.status === 'error' ? 'bg-amber-400' : 'bg-blue-600'
+                } ${model.status === 'downloading' && model.total === 0 ? 'animate-pulse w-full' : ''}`}
+                style={model.status === 'downloading' && model.total === 0 ? undefined : { width: `${percent}%` }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 export default App; 
\ No newline at end of file
@@ -3,7 +3,7 @@ import { useFrame } from '@react-three/fiber';
 import { AvatarLipSyncController } from '../services/lipSync.js';
 import { AVATAR_MODELS } from '../models/Avatar.js';
 
-function Avatar({ avatarId, lipSyncService, isConnected }) {
+function Avatar({ avatarId, lipSyncService, isConnected, isListening }) {
   const meshRef = useRef();
   const [avatar, setAvatar] = useState(null);
   const [lipSyncController, setLipSyncController] = useState(null);
@@ -106,11 +106,11 @@ function Avatar({ avatarId, lipSyncService, isConnected }) {
   }
 
   // Use fallback avatar for demo
-  return <FallbackAvatar isConnected={isConnected} />;
+  return <FallbackAvatar isConnected={isConnected} isListening={isListening} />;
 }
 
 // Fallback avatar component for when models aren't available
-function FallbackAvatar({ isConnected }) {
+function FallbackAvatar({ isConnected, isListening }) {
   const meshRef = useRef();
 
   useFrame((state) => {
@@ -145,6 +145,14 @@ function FallbackAvatar({ isConnected }) {
         <meshStandardMaterial color="#dc2626" />
       </mesh>
       
+      {/* Listening indicator (speech detected on the local mic) */}
+      {isListening && (
+        <mesh position={[0, 1.6, 0]} rotation={[Math.PI / 2, 0, 0]}>
+          <torusGeometry args={[0.42, 0.02, 8, 32]} />
+          <meshStandardMaterial color="#3b82f6" emissive="#3b82f6" emissiveIntensity={0.6} />
+        </mesh>
+      )}
+      
       {/* Connection indicator */}
       {isConnected && (
         <mesh position={[0, 2.2, 0]}>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Phone, PhoneOff, Mic, MicOff, Wifi, WifiOff, Users } from 'lucide-react';
+import { Phone, PhoneOff, Mic, MicOff, Wifi, WifiOff, Users, AlertTriangle } from 'lucide-react';
 
 function CallUI({ 
   isCallActive, 
@@ -9,7 +9,8 @@ function CallUI({
   onJoinCall, 
   onEndCall, 
   onStartRecording, 
-  onStopRecording 
+  onStopRecording,
+  recognitionError
 }) {
   const [showConnectionInfo, setShowConnectionInfo] = useState(false);
 
@@ -183,6 +184,16 @@ function CallUI({
               <div className="text-sm text-gray-600">
                 {isRecording ? 'Tap to stop recording' : 'Tap to start recording'}
               </div>
+              
+              {/* Speech Recognition Problems */}
+              {recognitionError && (
+                <div className={`flex items-center justify-center space-x-2 text-xs ${
+                  recognitionError.fatal ? 'text-red-600' : 'text-amber-600'
+                }`}>
+                  <AlertTriangle className="w-4 h-4" />
+                  <span>{recognitionError.message}</span>
+                </div>
+              )}
             </div>
           </div>
         )}
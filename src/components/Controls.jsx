@@ -1,11 +1,59 @@
-import React, { useState } from 'react';
-import { Settings, User, Globe, ChevronDown, ChevronUp } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { Settings, User, Globe, Mic, HardDrive, ChevronDown, ChevronUp } from 'lucide-react';
 import { AVATAR_MODELS } from '../models/Avatar.js';
 import { SUPPORTED_LANGUAGES } from '../models/Language.js';
+import { getPrecisionFallbacks } from '../services/modelVariants.js';
+import { parseTerms } from '../utils/vocabulary.js';
 
-function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageChange, isVisible }) {
+// Confidence below which an utterance is held back from translation
+const CONFIDENCE_THRESHOLDS = [
+  { value: 0, label: 'Off' },
+  { value: 0.5, label: '50%' },
+  { value: 0.7, label: '70%' },
+  { value: 0.85, label: '85%' }
+];
+
+// Model precision choices; null follows the device-based selection
+const PRECISION_OPTIONS = [
+  { value: null, label: 'Auto' },
+  { value: 'fp32', label: 'FP32' },
+  { value: 'fp16', label: 'FP16' },
+  { value: 'int8', label: 'INT8' }
+];
+
+function Controls({
+  currentAvatar,
+  languageManager,
+  onAvatarChange,
+  onLanguageChange,
+  languageError,
+  autoDetectLanguage,
+  detectedLanguage,
+  onAutoDetectChange,
+  confidenceThreshold,
+  onConfidenceThresholdChange,
+  vocabulary,
+  onVocabularyChange,
+  modelCache,
+  onClearModelCache,
+  modelPrecision,
+  onModelPrecisionChange,
+  isVisible
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [activeSection, setActiveSection] = useState(null);
+  const [termsDraft, setTermsDraft] = useState('');
+  const [promptDraft, setPromptDraft] = useState('');
+
+  // Languages and routes between them; they only change with the available pairs
+  const availablePairs = languageManager?.pairs;
+  const availableLanguages = useMemo(() => (languageManager
+    ? languageManager.getAvailableLanguages().map(language => language.config)
+    : Object.values(SUPPORTED_LANGUAGES)
+  ), [languageManager, availablePairs]);
+  const pairRoutes = useMemo(() => new Map(
+    (languageManager?.getPairRoutes() || []).map(pairRoute => [`${pairRoute.source}-${pairRoute.target}`, pairRoute])
+  ), [languageManager, availablePairs]);
 
   if (!isVisible) {
     return null;
@@ -15,6 +63,17 @@ function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageCh
     setActiveSection(activeSection === section ? null : section);
   };
 
+  // Only offer precisions the manifest has; a requested one it lacks falls back
+  const availablePrecisions = modelPrecision?.available || [];
+  const precisionOptions = PRECISION_OPTIONS.filter(({ value }) =>
+    value === null || availablePrecisions.includes(value)
+  );
+  const expectedPrecision = modelPrecision && getPrecisionFallbacks(modelPrecision.override || modelPrecision.detected)
+    .find(precision => availablePrecisions.includes(precision));
+  const precisionNote = modelPrecision?.loaded.length > 0
+    ? `loaded: ${modelPrecision.loaded.join(', ').toUpperCase()}`
+    : expectedPrecision && `will load: ${expectedPrecision.toUpperCase()}`;
+
   const handleAvatarChange = (avatarId) => {
     onAvatarChange(avatarId);
   };
@@ -23,15 +82,50 @@ function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageCh
     onLanguageChange(sourceCode, targetCode);
   };
 
+  const handleRecognitionToggle = () => {
+    // Start editing from the vocabulary that is currently applied
+    if (activeSection !== 'recognition') {
+      setTermsDraft((vocabulary?.terms || []).join('\n'));
+      setPromptDraft(vocabulary?.prompt || '');
+    }
+    toggleSection('recognition');
+  };
+
+  const handleVocabularyApply = () => {
+    onVocabularyChange?.(parseTerms(termsDraft), promptDraft.trim());
+  };
+
+  const handleSourceLanguageSelect = (sourceCode, targetCode) => {
+    // Picking a language by hand turns auto-detection off
+    if (autoDetectLanguage) {
+      onAutoDetectChange?.(false);
+    }
+    handleLanguageChange(sourceCode, targetCode);
+  };
+
   const getCurrentLanguagePair = () => {
-    if (!languageManager) return { source: 'en', target: 'es' };
+    if (!languageManager) return { source: 'en', target: 'es', route: ['en', 'es'] };
     const source = languageManager.getSourceLanguage();
     const target = languageManager.getTargetLanguage();
-    return { source: source.code, target: target.code };
+    return {
+      source: source.code,
+      target: target.code,
+      route: languageManager.getLanguagePair().getRouteLanguages()
+    };
   };
 
   const currentLanguages = getCurrentLanguagePair();
 
+  // Whether the current source can be translated into a language
+  const isReachable = ({ code }) => !languageManager ||
+    Boolean(pairRoutes.get(`${currentLanguages.source}-${code}`)?.route);
+
+  // Languages a target is reached through from the current source (empty when direct)
+  const getPivotLanguages = (targetCode) => {
+    const pairRoute = pairRoutes.get(`${currentLanguages.source}-${targetCode}`);
+    return pairRoute && !pairRoute.isDirect && pairRoute.route ? pairRoute.route.slice(1, -1) : [];
+  };
+
   return (
     <div className={`controls-overlay transition-all duration-300 ${
       isExpanded ? 'w-80' : 'w-64'
@@ -122,17 +216,32 @@ function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageCh
                     Source Language
                   </label>
                   <div className="grid grid-cols-1 gap-1">
-                    {Object.values(SUPPORTED_LANGUAGES).map((language) => (
+                    <button
+                      onClick={() => onAutoDetectChange?.(!autoDetectLanguage)}
+                      className={`language-option ${
+                        autoDetectLanguage ? 'bg-primary-50 text-primary-700' : ''
+                      }`}
+                    >
+                      <span className="language-flag">🌐</span>
+                      <span className="text-sm">Auto-detect</span>
+                      {autoDetectLanguage && detectedLanguage && (
+                        <span className="text-xs text-gray-500 ml-auto">
+                          {SUPPORTED_LANGUAGES[detectedLanguage.language]?.name || detectedLanguage.language}{' '}
+                          {Math.round(detectedLanguage.confidence * 100)}%
+                        </span>
+                      )}
+                    </button>
+                    {availableLanguages.map((language) => (
                       <button
                         key={language.code}
-                        onClick={() => handleLanguageChange(language.code, currentLanguages.target)}
+                        onClick={() => handleSourceLanguageSelect(language.code, currentLanguages.target)}
                         className={`language-option ${
-                          currentLanguages.source === language.code ? 'bg-primary-50 text-primary-700' : ''
+                          !autoDetectLanguage && currentLanguages.source === language.code ? 'bg-primary-50 text-primary-700' : ''
                         }`}
                       >
                         <span className="language-flag">{language.flag}</span>
                         <span className="text-sm">{language.name}</span>
-                        {currentLanguages.source === language.code && (
+                        {!autoDetectLanguage && currentLanguages.source === language.code && (
                           <svg className="w-4 h-4 ml-auto text-primary-600" fill="currentColor" viewBox="0 0 20 20">
                             <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                           </svg>
@@ -148,43 +257,218 @@ function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageCh
                     Target Language
                   </label>
                   <div className="grid grid-cols-1 gap-1">
-                    {Object.values(SUPPORTED_LANGUAGES).map((language) => (
-                      <button
-                        key={language.code}
-                        onClick={() => handleLanguageChange(currentLanguages.source, language.code)}
-                        className={`language-option ${
-                          currentLanguages.target === language.code ? 'bg-primary-50 text-primary-700' : ''
-                        }`}
-                      >
-                        <span className="language-flag">{language.flag}</span>
-                        <span className="text-sm">{language.name}</span>
-                        {currentLanguages.target === language.code && (
-                          <svg className="w-4 h-4 ml-auto text-primary-600" fill="currentColor" viewBox="0 0 20 20">
-                            <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
-                          </svg>
-                        )}
-                      </button>
-                    ))}
+                    {availableLanguages.filter(isReachable).map((language) => {
+                      const pivots = getPivotLanguages(language.code);
+                      return (
+                        <button
+                          key={language.code}
+                          onClick={() => handleLanguageChange(currentLanguages.source, language.code)}
+                          className={`language-option ${
+                            currentLanguages.target === language.code ? 'bg-primary-50 text-primary-700' : ''
+                          }`}
+                        >
+                          <span className="language-flag">{language.flag}</span>
+                          <span className="text-sm">{language.name}</span>
+                          {pivots.length > 0 && (
+                            <span className="text-xs text-gray-400">
+                              via {pivots.join(', ').toUpperCase()}
+                            </span>
+                          )}
+                          {currentLanguages.target === language.code && (
+                            <svg className="w-4 h-4 ml-auto text-primary-600" fill="currentColor" viewBox="0 0 20 20">
+                              <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+                            </svg>
+                          )}
+                        </button>
+                      );
+                    })}
                   </div>
                 </div>
 
                 {/* Current Pair Display */}
                 <div className="pt-2 border-t border-gray-200">
                   <div className="flex items-center justify-center space-x-2 text-sm text-gray-600">
-                    <span>{SUPPORTED_LANGUAGES[currentLanguages.source]?.flag}</span>
-                    <span>{SUPPORTED_LANGUAGES[currentLanguages.source]?.name}</span>
-                    <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
-                    </svg>
-                    <span>{SUPPORTED_LANGUAGES[currentLanguages.target]?.flag}</span>
-                    <span>{SUPPORTED_LANGUAGES[currentLanguages.target]?.name}</span>
+                    {currentLanguages.route.map((code, index) => (
+                      <React.Fragment key={code}>
+                        {index > 0 && (
+                          <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
+                          </svg>
+                        )}
+                        <span>{SUPPORTED_LANGUAGES[code]?.flag}</span>
+                        <span className={index > 0 && index < currentLanguages.route.length - 1 ? 'text-gray-400' : ''}>
+                          {SUPPORTED_LANGUAGES[code]?.name}
+                        </span>
+                      </React.Fragment>
+                    ))}
                   </div>
+                  {currentLanguages.route.length > 2 && (
+                    <p className="mt-1 text-xs text-center text-gray-500">
+                      No direct model – translated in {currentLanguages.route.length - 1} steps
+                    </p>
+                  )}
+                  {languageError && (
+                    <p className="mt-1 text-xs text-center text-red-600">{languageError}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Recognition Settings */}
+        <div className="space-y-2">
+          <button
+            onClick={handleRecognitionToggle}
+            className="flex items-center justify-between w-full p-2 text-left bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <div className="flex items-center space-x-2">
+              <Mic className="w-4 h-4 text-gray-600" />
+              <span className="text-sm font-medium text-gray-700">Recognition</span>
+            </div>
+            {activeSection === 'recognition' ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+          
+          {activeSection === 'recognition' && (
+            <div className="p-3 bg-white rounded-lg border border-gray-200">
+              <label className="block text-xs font-medium text-gray-700 mb-2">
+                Hold back low-confidence speech
+              </label>
+              <div className="grid grid-cols-4 gap-1">
+                {CONFIDENCE_THRESHOLDS.map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => onConfidenceThresholdChange?.(value)}
+                    className={`px-2 py-1 text-xs rounded border transition-colors ${
+                      confidenceThreshold === value
+                        ? 'bg-primary-50 text-primary-700 border-primary-200'
+                        : 'text-gray-600 border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Utterances below this confidence are transcribed but not translated or spoken.
+              </p>
+
+              {/* Session vocabulary */}
+              <div className="pt-3 mt-3 border-t border-gray-200 space-y-2">
+                <label className="block text-xs font-medium text-gray-700">
+                  Vocabulary
+                  {vocabulary?.terms.length > 0 && (
+                    <span className="ml-1 font-normal text-gray-500">
+                      ({vocabulary.terms.length} active)
+                    </span>
+                  )}
+                </label>
+                <textarea
+                  value={termsDraft}
+                  onChange={(event) => setTermsDraft(event.target.value)}
+                  rows={3}
+                  placeholder="Product names and jargon, one per line"
+                  className="w-full px-2 py-1 text-xs border border-gray-200 rounded resize-none focus:outline-none focus:border-primary-300"
+                />
+                <input
+                  type="text"
+                  value={promptDraft}
+                  onChange={(event) => setPromptDraft(event.target.value)}
+                  placeholder="Context, e.g. weekly product sync"
+                  className="w-full px-2 py-1 text-xs border border-gray-200 rounded focus:outline-none focus:border-primary-300"
+                />
+                <div className="flex justify-end space-x-1">
+                  <button
+                    onClick={() => {
+                      setTermsDraft('');
+                      setPromptDraft('');
+                      onVocabularyChange?.([], '');
+                    }}
+                    className="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-100 transition-colors"
+                  >
+                    Clear
+                  </button>
+                  <button
+                    onClick={handleVocabularyApply}
+                    className="px-2 py-1 text-xs text-white bg-primary-600 rounded hover:bg-primary-700 transition-colors"
+                  >
+                    Apply
+                  </button>
                 </div>
               </div>
             </div>
           )}
         </div>
 
+        {/* Model Storage */}
+        <div className="space-y-2">
+          <button
+            onClick={() => toggleSection('models')}
+            className="flex items-center justify-between w-full p-2 text-left bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+          >
+            <div className="flex items-center space-x-2">
+              <HardDrive className="w-4 h-4 text-gray-600" />
+              <span className="text-sm font-medium text-gray-700">Models</span>
+            </div>
+            {activeSection === 'models' ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          </button>
+
+          {activeSection === 'models' && (
+            <div className="p-3 bg-white rounded-lg border border-gray-200 space-y-2">
+              <label className="block text-xs font-medium text-gray-700">
+                Precision
+                {precisionNote && (
+                  <span className="ml-1 font-normal text-gray-500">
+                    ({precisionNote})
+                  </span>
+                )}
+              </label>
+              <div className="grid grid-cols-4 gap-1">
+                {precisionOptions.map(({ value, label }) => (
+                  <button
+                    key={label}
+                    onClick={() => onModelPrecisionChange?.(value)}
+                    className={`px-2 py-1 text-xs rounded border transition-colors ${
+                      (modelPrecision?.override ?? null) === value
+                        ? 'bg-primary-50 text-primary-700 border-primary-200'
+                        : 'text-gray-600 border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                Smaller variants use less memory at some cost in accuracy. Takes effect after a reload.
+              </p>
+
+              <div className="pt-2 border-t border-gray-200 space-y-2">
+                {modelCache?.isSupported ? (
+                  <p className="text-xs text-gray-600">
+                    {modelCache.count > 0
+                      ? `${modelCache.count} model${modelCache.count === 1 ? '' : 's'} cached for offline use (${(modelCache.bytes / (1024 * 1024)).toFixed(1)} MB)`
+                      : 'No models cached yet'}
+                  </p>
+                ) : (
+                  <p className="text-xs text-gray-500">
+                    Model caching needs a secure (HTTPS) context.
+                  </p>
+                )}
+                <button
+                  onClick={() => onClearModelCache?.()}
+                  disabled={!modelCache?.isSupported || modelCache.count === 0}
+                  className="w-full px-2 py-1 text-xs text-red-600 border border-red-200 rounded hover:bg-red-50 disabled:opacity-50 disabled:hover:bg-transparent transition-colors"
+                >
+                  Clear cached models
+                </button>
+                <p className="text-xs text-gray-500">
+                  Models are downloaded again on the next start.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Quick Actions */}
         {isExpanded && (
           <div className="space-y-2">
@@ -217,6 +501,7 @@ function Controls({ currentAvatar, languageManager, onAvatarChange, onLanguageCh
         <div className="text-xs text-gray-500">
           <p>Current: {AVATAR_MODELS[currentAvatar]?.name}</p>
           <p>
+            {autoDetectLanguage && 'Auto: '}
             {SUPPORTED_LANGUAGES[currentLanguages.source]?.name} → {SUPPORTED_LANGUAGES[currentLanguages.target]?.name}
           </p>
         </div>
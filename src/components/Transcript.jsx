@@ -1,7 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Mic, MicOff, MessageSquare, Languages } from 'lucide-react';
+import { Mic, MicOff, MessageSquare, Languages, AlertTriangle } from 'lucide-react';
 
-function Transcript({ transcripts, translations, isVisible }) {
+// Words scored below this are flagged when no stricter threshold is set
+const DEFAULT_LOW_CONFIDENCE = 0.6;
+
+function Transcript({
+  transcripts,
+  interimTranscript,
+  translations,
+  speakers = {},
+  onRenameSpeaker,
+  lowConfidenceThreshold = DEFAULT_LOW_CONFIDENCE,
+  onReleaseTranscript,
+  isVisible
+}) {
   const [activeTab, setActiveTab] = useState('transcript');
   const [isExpanded, setIsExpanded] = useState(false);
   const transcriptRef = useRef(null);
@@ -12,7 +24,7 @@ function Transcript({ transcripts, translations, isVisible }) {
     if (transcriptRef.current) {
       transcriptRef.current.scrollTop = transcriptRef.current.scrollHeight;
     }
-  }, [transcripts]);
+  }, [transcripts, interimTranscript]);
 
   useEffect(() => {
     if (translationRef.current) {
@@ -29,11 +41,33 @@ function Transcript({ transcripts, translations, isVisible }) {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  const formatOffset = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+  };
+
+  const isLowConfidence = (confidence) => (
+    typeof confidence === 'number' && confidence < lowConfidenceThreshold
+  );
+
+  const getWordTitle = (word) => {
+    const parts = [];
+    if (typeof word.start === 'number') {
+      // Estimated times are spread over the segment rather than aligned to the audio
+      parts.push(`${word.estimated ? '~' : ''}${formatOffset(word.start)}–${formatOffset(word.end)}`);
+    }
+    if (typeof word.confidence === 'number') {
+      parts.push(`${Math.round(word.confidence * 100)}% confidence`);
+    }
+    return parts.join(', ') || undefined;
+  };
+
   const getLanguageFlag = (languageCode) => {
     const flags = {
       'en': '🇺🇸',
       'es': '🇪🇸',
-      'fr': '🇫🇷'
+      'fr': '🇫🇷',
+      'de': '🇩🇪'
     };
     return flags[languageCode] || '🌐';
   };
@@ -100,7 +134,7 @@ function Transcript({ transcripts, translations, isVisible }) {
             ref={transcriptRef}
             className="h-full overflow-y-auto space-y-2 pr-2"
           >
-            {transcripts.length === 0 ? (
+            {transcripts.length === 0 && !interimTranscript ? (
               <div className="text-center text-gray-500 py-8">
                 <Mic className="w-8 h-8 mx-auto mb-2 opacity-50" />
                 <p>No transcripts yet</p>
@@ -121,12 +155,31 @@ function Transcript({ transcripts, translations, isVisible }) {
                       <span className="text-lg">
                         {getLanguageFlag(transcript.language)}
                       </span>
-                      <span className="text-xs text-gray-500">
-                        {transcript.source === 'local' ? 'You' : 'Peer'}
-                      </span>
+                      {transcript.speakerId ? (
+                        <SpeakerName
+                          name={speakers[transcript.speakerId] || transcript.speakerId}
+                          onRename={onRenameSpeaker && ((name) => onRenameSpeaker(transcript.speakerId, name))}
+                        />
+                      ) : (
+                        <span className="text-xs text-gray-500">
+                          {transcript.source === 'local' ? 'You' : 'Peer'}
+                        </span>
+                      )}
                       <span className="text-xs text-gray-400">
                         {formatTime(transcript.timestamp)}
                       </span>
+                      {transcript.startTime !== null && transcript.startTime !== undefined && (
+                        <span className="text-xs text-gray-400">
+                          {formatOffset(transcript.startTime)}–{formatOffset(transcript.endTime)}
+                        </span>
+                      )}
+                      {typeof transcript.confidence === 'number' && (
+                        <span className={`text-xs ${
+                          isLowConfidence(transcript.confidence) ? 'text-amber-600' : 'text-gray-400'
+                        }`}>
+                          {Math.round(transcript.confidence * 100)}%
+                        </span>
+                      )}
                     </div>
                     <div className="flex items-center space-x-1">
                       {transcript.source === 'local' ? (
@@ -137,11 +190,56 @@ function Transcript({ transcripts, translations, isVisible }) {
                     </div>
                   </div>
                   <p className="text-sm text-gray-800 leading-relaxed">
-                    {transcript.text}
+                    {transcript.words?.length > 0
+                      ? transcript.words.map((word, index) => (
+                        <React.Fragment key={index}>
+                          {index > 0 && ' '}
+                          <span
+                            title={getWordTitle(word)}
+                            className={isLowConfidence(word.confidence)
+                              ? 'text-amber-700 underline decoration-dotted decoration-amber-500'
+                              : ''}
+                          >
+                            {word.word}
+                          </span>
+                        </React.Fragment>
+                      ))
+                      : transcript.text}
                   </p>
+                  {transcript.isHeldBack && (
+                    <div className="flex items-center justify-between mt-2 text-xs text-amber-700">
+                      <div className="flex items-center space-x-1">
+                        <AlertTriangle className="w-3 h-3" />
+                        <span>Low confidence – not translated</span>
+                      </div>
+                      {onReleaseTranscript && (
+                        <button
+                          onClick={() => onReleaseTranscript(transcript.id)}
+                          className="px-2 py-0.5 rounded bg-amber-100 hover:bg-amber-200 transition-colors"
+                        >
+                          Translate anyway
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               ))
             )}
+
+            {/* Interim hypothesis: committed prefix plus still-changing tail */}
+            {interimTranscript && (
+              <div className="p-3 rounded-lg border border-dashed border-blue-200 bg-blue-50/50">
+                <div className="flex items-center space-x-2 mb-1">
+                  <Mic className="w-3 h-3 text-blue-600 animate-pulse" />
+                  <span className="text-xs text-gray-500">Listening...</span>
+                </div>
+                <p className="text-sm leading-relaxed">
+                  <span className="text-gray-800">{interimTranscript.committed}</span>
+                  {interimTranscript.committed && interimTranscript.interim && ' '}
+                  <span className="text-gray-400 italic">{interimTranscript.interim}</span>
+                </p>
+              </div>
+            )}
           </div>
         )}
 
@@ -166,9 +264,22 @@ function Transcript({ transcripts, translations, isVisible }) {
                   <div className="flex items-center justify-between mb-2">
                     <div className="flex items-center space-x-2">
                       <Languages className="w-4 h-4 text-primary-600" />
+                      {translation.speakerId && (
+                        <span className="text-xs font-medium text-gray-700">
+                          {speakers[translation.speakerId] || translation.speakerId}
+                        </span>
+                      )}
                       <span className="text-xs text-gray-500">
                         {formatTime(translation.timestamp)}
                       </span>
+                      {translation.route?.length > 2 && (
+                        <span
+                          title={`Translated via ${translation.route.slice(1, -1).join(', ').toUpperCase()}`}
+                          className="text-xs text-gray-400"
+                        >
+                          via {translation.route.slice(1, -1).map(getLanguageFlag).join(' ')}
+                        </span>
+                      )}
                     </div>
                   </div>
                   
@@ -220,4 +331,49 @@ function Transcript({ transcripts, translations, isVisible }) {
   );
 }
 
+// Speaker label that turns into a text field when clicked
+function SpeakerName({ name, onRename }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(name);
+
+  if (!onRename) {
+    return <span className="text-xs font-medium text-gray-700">{name}</span>;
+  }
+
+  if (isEditing) {
+    const save = () => {
+      onRename(draft);
+      setIsEditing(false);
+    };
+
+    return (
+      <input
+        type="text"
+        value={draft}
+        autoFocus
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') setIsEditing(false);
+        }}
+        className="text-xs px-1 py-0.5 w-28 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-primary-500"
+      />
+    );
+  }
+
+  return (
+    <button
+      onClick={() => {
+        setDraft(name);
+        setIsEditing(true);
+      }}
+      title="Rename speaker"
+      className="text-xs font-medium text-gray-700 hover:text-primary-600 hover:underline"
+    >
+      {name}
+    </button>
+  );
+}
+
 export default Transcript; 
\ No newline at end of file
@@ -32,6 +32,16 @@ export const SUPPORTED_LANGUAGES = {
     sttModel: 'whisper-fr',
     ttsVoice: 'fr-FR',
     sampleText: 'Bonjour, comment allez-vous aujourd\'hui?'
+  },
+  'de': {
+    code: 'de',
+    name: 'German',
+    nativeName: 'Deutsch',
+    flag: '🇩🇪',
+    direction: 'ltr',
+    sttModel: 'whisper-de',
+    ttsVoice: 'de-DE',
+    sampleText: 'Hallo, wie geht es dir heute?'
   }
 };
 
@@ -82,9 +92,76 @@ export const LANGUAGE_PAIRS = {
     name: 'French → Spanish',
     mtModel: 'marian-fr-es',
     reverse: 'es-fr'
+  },
+  // German only pairs with English; German <-> Spanish/French goes through it
+  'en-de': {
+    source: 'en',
+    target: 'de',
+    name: 'English → German',
+    mtModel: 'marian-en-de',
+    reverse: 'de-en'
+  },
+  'de-en': {
+    source: 'de',
+    target: 'en',
+    name: 'German → English',
+    mtModel: 'marian-de-en',
+    reverse: 'en-de'
   }
 };
 
+/**
+ * Subset of LANGUAGE_PAIRS, e.g. the pairs a translation backend can serve
+ * @param {Array<string>} keys - Pair keys
+ * @returns {Object} Pairs in LANGUAGE_PAIRS form
+ */
+export function selectLanguagePairs(keys) {
+  return Object.fromEntries(keys
+    .filter(key => LANGUAGE_PAIRS[key])
+    .map(key => [key, LANGUAGE_PAIRS[key]]));
+}
+
+// Language that pairs without a direct model are routed through
+export const PIVOT_LANGUAGE = 'en';
+
+/**
+ * Plan a translation route over the pair graph. Breadth-first search finds
+ * the fewest hops; among equally short routes the one through the pivot
+ * language wins, since that is where models are most plentiful.
+ * @param {string} sourceCode - Source language code
+ * @param {string} targetCode - Target language code
+ * @param {Object} pairs - Available pairs (LANGUAGE_PAIRS)
+ * @returns {Array<string>|null} Pair keys to run in order, or null if the target is unreachable
+ */
+export function planTranslationRoute(sourceCode, targetCode, pairs = LANGUAGE_PAIRS) {
+  if (sourceCode === targetCode) return null;
+
+  // Language code -> key of the pair that first reached it
+  const reachedBy = new Map([[sourceCode, null]]);
+  const queue = [sourceCode];
+
+  while (queue.length > 0 && !reachedBy.has(targetCode)) {
+    const code = queue.shift();
+    const outgoing = Object.entries(pairs)
+      .filter(([, pair]) => pair.source === code)
+      .sort(([, a], [, b]) => (b.target === PIVOT_LANGUAGE) - (a.target === PIVOT_LANGUAGE));
+
+    for (const [key, pair] of outgoing) {
+      if (reachedBy.has(pair.target)) continue;
+      reachedBy.set(pair.target, key);
+      queue.push(pair.target);
+    }
+  }
+
+  if (!reachedBy.has(targetCode)) return null;
+
+  const route = [];
+  for (let key = reachedBy.get(targetCode); key; key = reachedBy.get(pairs[key].source)) {
+    route.unshift(key);
+  }
+  return route;
+}
+
 /**
  * Language class for managing language settings
  */
@@ -160,16 +237,24 @@ export class Language {
 }
 
 /**
- * Language pair class for translation
+ * Language pair class for translation. Pairs without their own model are
+ * translated over a route of direct pairs (e.g. de → en → fr).
  */
 export class LanguagePair {
-  constructor(sourceCode, targetCode) {
+  /**
+   * @param {string} sourceCode - Source language code
+   * @param {string} targetCode - Target language code
+   * @param {Object} pairs - Pairs that can be translated directly (LANGUAGE_PAIRS or a subset)
+   */
+  constructor(sourceCode, targetCode, pairs = LANGUAGE_PAIRS) {
     this.sourceCode = sourceCode;
     this.targetCode = targetCode;
     this.pairKey = `${sourceCode}-${targetCode}`;
-    this.config = LANGUAGE_PAIRS[this.pairKey];
+    this.pairs = pairs;
+    this.config = pairs[this.pairKey] || null;
+    this.route = this.config ? [this.pairKey] : planTranslationRoute(sourceCode, targetCode, pairs);
     
-    if (!this.config) {
+    if (!this.route) {
       throw new Error(`Unsupported language pair: ${this.pairKey}`);
     }
   }
@@ -195,15 +280,41 @@ export class LanguagePair {
    * @returns {string} Pair name
    */
   getName() {
-    return this.config.name;
+    return this.config?.name ||
+      `${this.getSourceLanguage().getName()} → ${this.getTargetLanguage().getName()}`;
   }
 
   /**
    * Get MT model name
-   * @returns {string} MT model name
+   * @returns {string|null} MT model name, or null for pivoted pairs (see getRoute)
    */
   getMTModel() {
-    return this.config.mtModel;
+    return this.config?.mtModel ?? null;
+  }
+
+  /**
+   * Check whether the pair has its own model
+   * @returns {boolean} Whether the pair is translated directly
+   */
+  isDirect() {
+    return Boolean(this.config);
+  }
+
+  /**
+   * Direct pairs to translate through, in order (just this pair when direct)
+   * @returns {Array<LanguagePair>} Route hops
+   */
+  getRoute() {
+    if (this.isDirect()) return [this];
+    return this.route.map(key => new LanguagePair(this.pairs[key].source, this.pairs[key].target, this.pairs));
+  }
+
+  /**
+   * Language codes along the route, source and target included
+   * @returns {Array<string>} Language codes (e.g. ['de', 'en', 'fr'])
+   */
+  getRouteLanguages() {
+    return [this.sourceCode, ...this.route.map(key => this.pairs[key].target)];
   }
 
   /**
@@ -211,7 +322,7 @@ export class LanguagePair {
    * @returns {LanguagePair} Reverse language pair
    */
   getReverse() {
-    return new LanguagePair(this.targetCode, this.sourceCode);
+    return new LanguagePair(this.targetCode, this.sourceCode, this.pairs);
   }
 
   /**
@@ -219,7 +330,7 @@ export class LanguagePair {
    * @returns {boolean} Whether pair is supported
    */
   isSupported() {
-    return !!this.config;
+    return this.route.length > 0;
   }
 }
 
@@ -231,49 +342,126 @@ export class LanguageManager {
     this.currentSourceLanguage = new Language('en');
     this.currentTargetLanguage = new Language('es');
     this.currentPair = new LanguagePair('en', 'es');
+    this.autoDetect = false;
+    // Pairs the translation backend can serve (see setAvailablePairs)
+    this.pairs = LANGUAGE_PAIRS;
+
+    // Called with the new source Language whenever it changes
+    this.onSourceLanguageChange = null;
+  }
+
+  /**
+   * Restrict translation to the pairs the translation backend can serve;
+   * languages no remaining pair reaches drop out of getAvailableLanguages
+   * @param {Array<string>} keys - LANGUAGE_PAIRS keys
+   */
+  setAvailablePairs(keys) {
+    this.pairs = selectLanguagePairs(keys);
+
+    const { code: source } = this.currentSourceLanguage;
+    const { code: target } = this.currentTargetLanguage;
+    if (this.isPairSupported(source, target)) {
+      this.currentPair = new LanguagePair(source, target, this.pairs);
+    } else {
+      console.warn(`No translation route from ${source} to ${target} with the available models`);
+    }
+  }
+
+  /**
+   * Enable or disable automatic source language detection
+   * @param {boolean} enabled - Whether the source language follows detection results
+   */
+  setAutoDetect(enabled) {
+    this.autoDetect = enabled;
+  }
+
+  /**
+   * Check if the source language is auto-detected
+   * @returns {boolean} Whether auto-detection is enabled
+   */
+  isAutoDetect() {
+    return this.autoDetect;
+  }
+
+  /**
+   * Apply a language detection result to the source language.
+   * Speaking the current target language swaps the pair, so both sides of a
+   * bilingual conversation are translated for each other.
+   * @param {Array<{language: string, confidence: number}>} detections - Ranked detection results
+   * @param {number} minConfidence - Minimum confidence required to switch
+   * @returns {boolean} Whether the source language changed
+   */
+  applyDetectedLanguage(detections, minConfidence = 0.5) {
+    if (!this.autoDetect) return false;
+    
+    const detected = detections.find(({ language }) => this.isLanguageSupported(language));
+    if (!detected || detected.confidence < minConfidence) return false;
+    if (detected.language === this.currentSourceLanguage.code) return false;
+    
+    if (detected.language === this.currentTargetLanguage.code) {
+      return this.swapLanguages();
+    }
+    return this.setSourceLanguage(detected.language);
+  }
+
+  /**
+   * Set source and target languages together. A combination with no route
+   * (e.g. the same language on both sides) changes nothing.
+   * @param {string} sourceCode - Source language code
+   * @param {string} targetCode - Target language code
+   * @returns {boolean} Whether the languages changed
+   */
+  setLanguagePair(sourceCode, targetCode) {
+    const supported = this.isLanguageSupported(sourceCode) &&
+      this.isLanguageSupported(targetCode) &&
+      this.isPairSupported(sourceCode, targetCode);
+    if (!supported) {
+      console.warn(`No translation route from ${sourceCode} to ${targetCode}, keeping ${this.currentPair.pairKey}`);
+      return false;
+    }
+
+    const previous = this.currentSourceLanguage.code;
+    this.currentSourceLanguage = new Language(sourceCode);
+    this.currentTargetLanguage = new Language(targetCode);
+    this.currentPair = new LanguagePair(sourceCode, targetCode, this.pairs);
+    this.notifySourceLanguageChange(previous);
+    return true;
   }
 
   /**
    * Set source language
    * @param {string} code - Language code
+   * @returns {boolean} Whether the language changed (see setLanguagePair)
    */
   setSourceLanguage(code) {
-    this.currentSourceLanguage = new Language(code);
-    this.updateLanguagePair();
+    return this.setLanguagePair(code, this.currentTargetLanguage.code);
   }
 
   /**
    * Set target language
    * @param {string} code - Language code
+   * @returns {boolean} Whether the language changed (see setLanguagePair)
    */
   setTargetLanguage(code) {
-    this.currentTargetLanguage = new Language(code);
-    this.updateLanguagePair();
+    return this.setLanguagePair(this.currentSourceLanguage.code, code);
   }
 
   /**
-   * Update language pair based on current source and target
+   * Swap source and target languages
+   * @returns {boolean} Whether the languages changed (see setLanguagePair)
    */
-  updateLanguagePair() {
-    try {
-      this.currentPair = new LanguagePair(
-        this.currentSourceLanguage.code,
-        this.currentTargetLanguage.code
-      );
-    } catch (error) {
-      console.warn('Invalid language pair, using default');
-      this.currentPair = new LanguagePair('en', 'es');
-    }
+  swapLanguages() {
+    return this.setLanguagePair(this.currentTargetLanguage.code, this.currentSourceLanguage.code);
   }
 
   /**
-   * Swap source and target languages
+   * Tell the listener about a new source language
+   * @param {string} previousCode - Source language code before the change
    */
-  swapLanguages() {
-    const temp = this.currentSourceLanguage;
-    this.currentSourceLanguage = this.currentTargetLanguage;
-    this.currentTargetLanguage = temp;
-    this.updateLanguagePair();
+  notifySourceLanguageChange(previousCode) {
+    if (this.onSourceLanguageChange && previousCode !== this.currentSourceLanguage.code) {
+      this.onSourceLanguageChange(this.currentSourceLanguage);
+    }
   }
 
   /**
@@ -308,15 +496,22 @@ export class LanguageManager {
     return Object.values(SUPPORTED_LANGUAGES).map(lang => new Language(lang.code));
   }
 
+  /**
+   * Languages at least one available pair translates from or to
+   * @returns {Array<Language>} Available languages
+   */
+  getAvailableLanguages() {
+    const pairs = Object.values(this.pairs);
+    return this.getSupportedLanguages()
+      .filter(language => pairs.some(pair => pair.source === language.code || pair.target === language.code));
+  }
+
   /**
    * Get all supported language pairs
    * @returns {Array} Supported language pairs
    */
   getSupportedPairs() {
-    return Object.keys(LANGUAGE_PAIRS).map(pairKey => {
-      const [source, target] = pairKey.split('-');
-      return new LanguagePair(source, target);
-    });
+    return Object.values(this.pairs).map(pair => new LanguagePair(pair.source, pair.target, this.pairs));
   }
 
   /**
@@ -329,13 +524,39 @@ export class LanguageManager {
   }
 
   /**
-   * Check if language pair is supported
+   * Check if language pair can be translated, directly or through a pivot
    * @param {string} sourceCode - Source language code
    * @param {string} targetCode - Target language code
    * @returns {boolean} Whether pair is supported
    */
   isPairSupported(sourceCode, targetCode) {
     const pairKey = `${sourceCode}-${targetCode}`;
-    return !!LANGUAGE_PAIRS[pairKey];
+    return !!this.pairs[pairKey] || planTranslationRoute(sourceCode, targetCode, this.pairs) !== null;
+  }
+
+  /**
+   * Check if language pair has its own model
+   * @param {string} sourceCode - Source language code
+   * @param {string} targetCode - Target language code
+   * @returns {boolean} Whether pair is translated directly
+   */
+  isPairDirect(sourceCode, targetCode) {
+    return !!this.pairs[`${sourceCode}-${targetCode}`];
+  }
+
+  /**
+   * How every combination of supported languages is translated
+   * @returns {Array<Object>} { source, target, isDirect, route } with route as language codes, or null when unreachable
+   */
+  getPairRoutes() {
+    const codes = Object.keys(SUPPORTED_LANGUAGES);
+    return codes.flatMap(source => codes
+      .filter(target => target !== source)
+      .map((target) => {
+        const route = this.isPairSupported(source, target)
+          ? new LanguagePair(source, target, this.pairs).getRouteLanguages()
+          : null;
+        return { source, target, isDirect: this.isPairDirect(source, target), route };
+      }));
   }
 } 
\ No newline at end of file
@@ -0,0 +1,229 @@
+/**
+ * On-device speaker diarization
+ *
+ * Each VAD utterance is turned into a speaker embedding, either by an ONNX
+ * speaker model fed with log-mel filterbanks or, when no model is shipped,
+ * by a long-term spectral fallback. Embeddings are clustered online: an
+ * utterance joins the most similar known speaker when the cosine similarity
+ * clears a threshold, otherwise it starts a new speaker.
+ */
+
+import * as ort from 'onnxruntime-web';
+import { resampleAudio } from '../utils/audioUtils.js';
+import { SPEAKER_FEATURES, computeFbank, computeSpectralEmbedding } from '../utils/speakerFeatures.js';
+import { modelLoader } from './modelLoader.js';
+import { modelStore } from './modelStore.js';
+
+// Diarization configuration
+export const DIARIZATION_CONFIG = {
+  modelPath: '/wasm/speaker-embedding.onnx',
+  // Spectral embeddings are far less discriminative, so they need a stricter threshold
+  modelThreshold: 0.5,
+  spectralThreshold: 0.85,
+  maxSpeakers: 6,
+  minSegmentSeconds: 1.0
+};
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA * normB) + 1e-12);
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Float32Array} vector - Input
+ * @returns {Float32Array} Normalized copy
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, value => value / norm);
+}
+
+export class SpeakerDiarizer {
+  constructor(options = {}) {
+    this.options = { ...DIARIZATION_CONFIG, ...options };
+    this.session = null;
+    this.speakers = [];
+    this.lastSpeakerId = null;
+    this.queue = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the diarizer, loading the speaker model if the manifest
+   * lists one
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.useModel - Try the ONNX model before falling back to spectral features
+   * @param {AbortSignal} options.signal - Cancels the model download
+   */
+  async initialize({ useModel = true, signal = null } = {}) {
+    if (useModel && !(await modelStore.getEntry(this.options.modelPath))) {
+      console.log('No speaker embedding model in the manifest, using spectral features');
+    } else if (useModel) {
+      try {
+        this.session = await modelLoader.loadSession(this.options.modelPath, {
+          name: 'Speaker embeddings',
+          signal
+        });
+        console.log('Diarization initialized with speaker embedding model');
+      } catch (error) {
+        console.log('Speaker embedding model unavailable, using spectral features');
+        this.session = null;
+      }
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Assign an utterance to a speaker. Calls are processed in order.
+   * @param {Float32Array} audio - Utterance audio
+   * @param {number} sampleRate - Sample rate of audio
+   * @returns {Promise<Object|null>} { speakerId, label, similarity, isNew }, or null if nothing could be decided
+   */
+  identify(audio, sampleRate = SPEAKER_FEATURES.sampleRate) {
+    const result = this.queue.then(() => this.assignSpeaker(audio, sampleRate));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Embed an utterance and cluster it
+   * @param {Float32Array} audio - Utterance audio
+   * @param {number} sampleRate - Sample rate of audio
+   * @returns {Promise<Object|null>} Assignment
+   */
+  async assignSpeaker(audio, sampleRate) {
+    const samples = sampleRate === SPEAKER_FEATURES.sampleRate
+      ? audio
+      : resampleAudio(audio, sampleRate, SPEAKER_FEATURES.sampleRate);
+
+    // Too little audio for a reliable embedding: assume the last speaker continued
+    if (samples.length < this.options.minSegmentSeconds * SPEAKER_FEATURES.sampleRate) {
+      const last = this.speakers.find(speaker => speaker.id === this.lastSpeakerId);
+      return last ? { speakerId: last.id, label: last.label, similarity: null, isNew: false } : null;
+    }
+
+    const embedding = await this.embed(samples);
+    if (!embedding) return null;
+
+    return this.cluster(normalize(embedding));
+  }
+
+  /**
+   * Speaker embedding from the model, or the spectral fallback
+   * @param {Float32Array} audio - 16 kHz audio
+   * @returns {Promise<Float32Array|null>} Embedding
+   */
+  async embed(audio) {
+    if (this.session) {
+      try {
+        return await this.embedWithModel(audio);
+      } catch (error) {
+        console.warn('Speaker model failed, using spectral features:', error);
+        this.session = null;
+        // Model and spectral embeddings live in different spaces
+        this.speakers = [];
+      }
+    }
+    return computeSpectralEmbedding(audio);
+  }
+
+  /**
+   * Run the speaker model on mean-normalized filterbanks
+   * @param {Float32Array} audio - 16 kHz audio
+   * @returns {Promise<Float32Array>} Embedding
+   */
+  async embedWithModel(audio) {
+    const { features, numFrames, numMelBins } = computeFbank(audio);
+
+    // Per-utterance cepstral mean normalization
+    for (let m = 0; m < numMelBins; m++) {
+      let mean = 0;
+      for (let f = 0; f < numFrames; f++) mean += features[f * numMelBins + m];
+      mean /= numFrames;
+      for (let f = 0; f < numFrames; f++) features[f * numMelBins + m] -= mean;
+    }
+
+    const input = new ort.Tensor('float32', features, [1, numFrames, numMelBins]);
+    const results = await this.session.run({ [this.session.inputNames[0]]: input });
+    return Float32Array.from(results[this.session.outputNames[0]].data);
+  }
+
+  /**
+   * Match an embedding against known speakers
+   * @param {Float32Array} embedding - Unit-length embedding
+   * @returns {Object} Assignment
+   */
+  cluster(embedding) {
+    const threshold = this.session ? this.options.modelThreshold : this.options.spectralThreshold;
+
+    let best = null;
+    let bestSimilarity = -Infinity;
+    for (const speaker of this.speakers) {
+      const similarity = cosineSimilarity(embedding, speaker.centroid);
+      if (similarity > bestSimilarity) {
+        best = speaker;
+        bestSimilarity = similarity;
+      }
+    }
+
+    const isNew = !best || (bestSimilarity < threshold && this.speakers.length < this.options.maxSpeakers);
+    if (isNew) {
+      const number = this.speakers.length + 1;
+      best = { id: `speaker-${number}`, label: `Speaker ${number}`, centroid: embedding, count: 1 };
+      this.speakers.push(best);
+    } else {
+      // Running mean of unit vectors, renormalized
+      const centroid = Float32Array.from(
+        best.centroid,
+        (value, i) => (value * best.count + embedding[i]) / (best.count + 1)
+      );
+      best.centroid = normalize(centroid);
+      best.count++;
+    }
+
+    this.lastSpeakerId = best.id;
+    return {
+      speakerId: best.id,
+      label: best.label,
+      similarity: isNew ? null : bestSimilarity,
+      isNew
+    };
+  }
+
+  /**
+   * Forget all speakers (e.g. for a new meeting)
+   */
+  reset() {
+    this.speakers = [];
+    this.lastSpeakerId = null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.reset();
+    if (this.session) {
+      modelLoader.releaseSession(this.options.modelPath);
+      this.session = null;
+    }
+  }
+}
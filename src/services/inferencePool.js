@@ -0,0 +1,551 @@
+/**
+ * ONNX inference off the main thread
+ *
+ * Sessions live in a small pool of Web Workers so model loading, feature
+ * extraction and inference never block rendering. Workers speak a simple
+ * request/response protocol:
+ *
+ *   load     { model, options }                                -> { sessionId, inputNames, outputNames }
+ *   run      { sessionId, feeds, keepOutputs, dropOutputs }    -> { outputs }
+ *   features { extractor, audio, options }                     -> { features }
+ *   cancel   { targetId }                                      (drops a queued or running request)
+ *   release  { sessionId }
+ *   dispose  { handles }                                       (frees worker-resident tensors)
+ *
+ * Tensors travel as { type, data, dims } and large buffers are transferred
+ * rather than copied where the caller no longer needs them. Outputs that are
+ * only fed back into the same worker (encoder states, decoder key/value
+ * caches) can stay there instead: they come back as { handle, type, dims }
+ * and are passed to later runs by handle until disposed.
+ */
+
+import * as ort from 'onnxruntime-web';
+import { createAbortError } from '../utils/abort.js';
+
+// Inference pool configuration
+export const INFERENCE_POOL_CONFIG = {
+  maxWorkers: 2
+};
+
+// Session options shared by every on-device model
+export const SESSION_OPTIONS = {
+  executionProviders: ['wasm'],
+  graphOptimizationLevel: 'all',
+  enableCpuMemArena: false,
+  enableMemPattern: false
+};
+
+/**
+ * Plain-object form of a tensor that survives postMessage
+ * @param {ort.Tensor} tensor - Tensor to serialize
+ * @returns {Object} { type, data, dims }
+ */
+export function serializeTensor(tensor) {
+  return { type: tensor.type, data: tensor.data, dims: [...tensor.dims] };
+}
+
+/**
+ * Rebuild a tensor received through postMessage
+ * @param {Object} serialized - { type, data, dims }
+ * @returns {ort.Tensor} Tensor
+ */
+export function deserializeTensor(serialized) {
+  return new ort.Tensor(serialized.type, serialized.data, serialized.dims);
+}
+
+/**
+ * Tensor that lives in a worker, referenced by handle
+ */
+export class WorkerTensor {
+  constructor(pool, worker, handle, type, dims) {
+    this.pool = pool;
+    this.worker = worker;
+    this.handle = handle;
+    this.type = type;
+    this.dims = dims;
+  }
+}
+
+/**
+ * Free the worker-resident tensors among a list; other tensors are left to
+ * garbage collection
+ * @param {Array<WorkerTensor|ort.Tensor>} tensors - Tensors no longer needed
+ */
+export function releaseTensors(tensors) {
+  const byWorker = new Map();
+  for (const tensor of tensors) {
+    // Tensors of a crashed worker went with it
+    if (!(tensor instanceof WorkerTensor) || tensor.worker.error) continue;
+    if (!byWorker.has(tensor.worker)) {
+      byWorker.set(tensor.worker, { pool: tensor.pool, handles: [] });
+    }
+    byWorker.get(tensor.worker).handles.push(tensor.handle);
+  }
+
+  for (const [worker, { pool, handles }] of byWorker) {
+    pool.request(worker, { type: 'dispose', handles }).catch((error) => {
+      console.warn('Failed to free worker tensors:', error.message);
+    });
+  }
+}
+
+/**
+ * One worker and its in-flight requests
+ */
+class InferenceWorker {
+  constructor() {
+    this.worker = new Worker(new URL('./inferenceWorker.js', import.meta.url), { type: 'module' });
+    this.pending = new Map();
+    this.sessionCount = 0;
+    // Set once the worker has crashed or been stopped; later requests fail with it
+    this.error = null;
+
+    // Called when the worker crashes, so the pool can stop handing it out
+    this.onFailure = null;
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      this.fail(new Error(event.message || 'Inference worker failed'));
+      this.onFailure?.(this);
+    };
+  }
+
+  /**
+   * Settle the request a response belongs to
+   * @param {Object} message - { id, ok, result, error, name }
+   */
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) {
+      // A cancelled run may still have kept outputs in the worker
+      const handles = Object.values(message.result?.outputs || {})
+        .filter(output => output.handle)
+        .map(output => output.handle);
+      if (handles.length > 0) {
+        this.worker.postMessage({ type: 'dispose', handles });
+      }
+      return;
+    }
+
+    this.pending.delete(message.id);
+    request.cleanup();
+    if (message.ok) {
+      request.resolve(message.result);
+    } else {
+      const error = new Error(message.error);
+      error.name = message.name || 'Error';
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Rough measure of how busy this worker is
+   * @returns {number} Pending requests plus loaded sessions
+   */
+  busyness() {
+    return this.pending.size + this.sessionCount;
+  }
+
+  /**
+   * Stop the worker and fail everything still pending
+   * @param {Error} error - Reason given to pending and later requests
+   */
+  fail(error) {
+    this.error = error;
+    this.worker.terminate();
+    for (const { reject, cleanup } of this.pending.values()) {
+      cleanup();
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Stop the worker
+   */
+  terminate() {
+    this.fail(new Error('Inference worker terminated'));
+  }
+}
+
+/**
+ * Session proxy with the same run/release surface as ort.InferenceSession
+ */
+export class WorkerSession {
+  constructor(pool, worker, sessionId, inputNames, outputNames) {
+    this.pool = pool;
+    this.worker = worker;
+    this.sessionId = sessionId;
+    this.inputNames = inputNames;
+    this.outputNames = outputNames;
+  }
+
+  /**
+   * Run the model
+   * @param {Object} feeds - Input name to ort.Tensor
+   * @param {Object} options - Run options
+   * @param {boolean} options.transferInputs - Hand input buffers to the worker instead of copying them
+   * @param {Array<string>} options.keepOutputs - Outputs to leave in the worker, returned as WorkerTensor
+   * @param {Array<string>} options.dropOutputs - Outputs the caller does not need
+   * @param {AbortSignal} options.signal - Cancels the run
+   * @returns {Promise<Object>} Output name to ort.Tensor (or WorkerTensor for kept outputs)
+   */
+  async run(feeds, options = {}) {
+    const serializedFeeds = {};
+    const transfer = [];
+    for (const [name, tensor] of Object.entries(feeds)) {
+      if (tensor instanceof WorkerTensor) {
+        if (tensor.worker !== this.worker) {
+          throw new Error(`Input ${name} lives in another worker`);
+        }
+        serializedFeeds[name] = { handle: tensor.handle };
+        continue;
+      }
+
+      serializedFeeds[name] = serializeTensor(tensor);
+      if (options.transferInputs && tensor.data.buffer && !transfer.includes(tensor.data.buffer)) {
+        transfer.push(tensor.data.buffer);
+      }
+    }
+
+    const { outputs } = await this.pool.request(
+      this.worker,
+      {
+        type: 'run',
+        sessionId: this.sessionId,
+        feeds: serializedFeeds,
+        keepOutputs: options.keepOutputs || [],
+        dropOutputs: options.dropOutputs || []
+      },
+      transfer,
+      options.signal
+    );
+
+    const results = {};
+    for (const [name, tensor] of Object.entries(outputs)) {
+      results[name] = tensor.handle
+        ? new WorkerTensor(this.pool, this.worker, tensor.handle, tensor.type, tensor.dims)
+        : deserializeTensor(tensor);
+    }
+    return results;
+  }
+
+  /**
+   * Free the model in its worker
+   * @returns {Promise} Resolves once released
+   */
+  async release() {
+    this.worker.sessionCount = Math.max(0, this.worker.sessionCount - 1);
+    return this.pool.request(this.worker, { type: 'release', sessionId: this.sessionId });
+  }
+}
+
+export class InferencePool {
+  constructor(options = {}) {
+    this.options = { ...INFERENCE_POOL_CONFIG, ...options };
+    this.workers = [];
+    this.groups = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Check if workers can be used in this environment
+   * @returns {boolean} Whether module workers are available
+   */
+  isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Pick the least busy worker, starting a new one while below the limit
+   * @param {string|null} group - Sessions in the same group share a worker
+   * @returns {InferenceWorker} Worker
+   */
+  getWorker(group = null) {
+    if (group && this.groups.has(group)) {
+      return this.groups.get(group);
+    }
+
+    const worker = this.pickWorker();
+    if (group) {
+      this.groups.set(group, worker);
+    }
+    return worker;
+  }
+
+  /**
+   * Least busy worker, starting a new one while below the limit
+   * @returns {InferenceWorker} Worker
+   */
+  pickWorker() {
+    const hardwareLimit = Math.max(1, (globalThis.navigator?.hardwareConcurrency || 2) - 1);
+    const limit = Math.min(this.options.maxWorkers, hardwareLimit);
+
+    const idle = this.workers.find(worker => worker.busyness() === 0);
+    if (idle) return idle;
+
+    if (this.workers.length < limit) {
+      const worker = new InferenceWorker();
+      worker.onFailure = () => this.removeWorker(worker);
+      this.workers.push(worker);
+      return worker;
+    }
+
+    return this.workers.reduce((best, worker) => (worker.busyness() < best.busyness() ? worker : best));
+  }
+
+  /**
+   * Forget a crashed worker; its groups get a fresh worker (or fall back to
+   * the main thread) the next time a session is created for them
+   * @param {InferenceWorker} worker - Worker to drop
+   */
+  removeWorker(worker) {
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    for (const [group, member] of this.groups) {
+      if (member === worker) {
+        this.groups.delete(group);
+      }
+    }
+  }
+
+  /**
+   * Send a request to a worker and wait for its response
+   * @param {InferenceWorker} worker - Target worker
+   * @param {Object} message - Request without id
+   * @param {Array<Transferable>} transfer - Buffers to transfer
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<*>} Response payload
+   */
+  request(worker, message, transfer = [], signal = null) {
+    if (worker.error) {
+      return Promise.reject(worker.error);
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        worker.pending.delete(id);
+        worker.worker.postMessage({ type: 'cancel', targetId: id });
+        reject(createAbortError());
+      };
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+      worker.pending.set(id, { resolve, reject, cleanup });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      worker.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Load a model into a worker
+   * @param {ArrayBuffer} modelBuffer - ONNX model bytes (transferred to the worker)
+   * @param {Object} sessionOptions - ort session options
+   * @param {string|null} group - Co-locate with other sessions of this group, e.g. an
+   *   encoder and its decoder, so tensors passed between them stay in one worker
+   * @returns {Promise<WorkerSession>} Session proxy
+   */
+  async createSession(modelBuffer, sessionOptions = SESSION_OPTIONS, group = null) {
+    const worker = this.getWorker(group);
+    worker.sessionCount++;
+
+    try {
+      const { sessionId, inputNames, outputNames } = await this.request(
+        worker,
+        { type: 'load', model: modelBuffer, options: sessionOptions },
+        [modelBuffer]
+      );
+      return new WorkerSession(this, worker, sessionId, inputNames, outputNames);
+    } catch (error) {
+      worker.sessionCount--;
+      throw error;
+    }
+  }
+
+  /**
+   * Compute model input features in a worker
+   * @param {string} extractor - Extractor name (e.g. 'whisper-log-mel')
+   * @param {Float32Array} audio - Audio samples (copied; the caller keeps its buffer)
+   * @param {Object} options - Extractor options, e.g. { sampleRate }
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<Float32Array>} Features
+   */
+  async extractFeatures(extractor, audio, options = {}, signal = null) {
+    const copy = Float32Array.from(audio);
+    const { features } = await this.request(
+      this.pickWorker(),
+      { type: 'features', extractor, audio: copy, options },
+      [copy.buffer],
+      signal
+    );
+    return features;
+  }
+
+  /**
+   * Stop all workers
+   */
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.groups.clear();
+  }
+}
+
+// Shared pool used by all services
+export const inferencePool = new InferencePool();
+
+/**
+ * Create a session in the worker pool, falling back to the main thread when
+ * workers are unavailable or the worker cannot load the model
+ * @param {ArrayBuffer} modelBuffer - ONNX model bytes
+ * @param {Object} sessionOptions - ort session options
+ * @param {string|null} group - Worker group (see InferencePool.createSession)
+ * @returns {Promise<WorkerSession|ort.InferenceSession>} Session
+ */
+export async function createInferenceSession(modelBuffer, sessionOptions = SESSION_OPTIONS, group = null) {
+  if (inferencePool.isSupported()) {
+    try {
+      // The worker takes ownership of the buffer, so keep a copy for the fallback
+      return await inferencePool.createSession(modelBuffer.slice(0), sessionOptions, group);
+    } catch (error) {
+      console.warn('Worker inference unavailable, running on the main thread:', error.message);
+    }
+  }
+
+  return ort.InferenceSession.create(modelBuffer, sessionOptions);
+}
+
+/**
+ * Whether a session runs in the worker pool
+ * @param {Object} session - Session returned by createInferenceSession
+ * @returns {boolean} Whether it is a worker session
+ */
+export function isWorkerSession(session) {
+  return session instanceof WorkerSession;
+}
+
+/**
+ * Whether one session's outputs can be kept in its worker and fed to another
+ * @param {Object} producer - Session whose outputs would be kept
+ * @param {Object} consumer - Session that reads them
+ * @returns {boolean} Whether both run in the same worker
+ */
+export function sharesWorker(producer, consumer) {
+  return isWorkerSession(producer) && isWorkerSession(consumer) && producer.worker === consumer.worker;
+}
+
+/**
+ * Run options for a decoder step that keep its key/value cache in the worker.
+ * Cross-attention outputs are only read after the first step (later steps
+ * reuse them), so afterwards they are dropped instead of sent back, as are
+ * attention weights nobody asked for.
+ * @param {Object} session - Decoder session
+ * @param {boolean} hasCache - Whether past key/values are fed to this step
+ * @param {boolean} attentions - Whether the cross-attention weights are wanted
+ * @returns {Object} Run options (none on the main thread)
+ */
+export function decoderRunOptions(session, hasCache, attentions = false) {
+  if (!isWorkerSession(session)) return {};
+
+  const presentNames = session.outputNames.filter(name => name.startsWith('present.'));
+  const attentionNames = session.outputNames.filter(name => name.startsWith('cross_attentions.'));
+  const isCrossAttention = name => name.includes('.encoder.');
+  return {
+    keepOutputs: presentNames.filter(name => !hasCache || !isCrossAttention(name)),
+    dropOutputs: [
+      ...(hasCache ? presentNames.filter(isCrossAttention) : []),
+      ...(attentions ? [] : attentionNames)
+    ]
+  };
+}
+
+/**
+ * Run one decoder step with a key/value cache
+ *
+ * On the first step every token is fed with an empty cache; afterwards only
+ * the newest token is fed together with the cached key/values. Decoders
+ * exported without past inputs get the full sequence every step instead.
+ * In a worker, the key/values stay there between steps (see releaseDecoderCache).
+ * @param {Object} session - Decoder session
+ * @param {Array<number>} tokens - All tokens decoded so far (prompt included)
+ * @param {Object} inputs - Other feeds (encoder_hidden_states, ...)
+ * @param {Object|null} cache - Key/value tensors from the previous step
+ * @param {Object} shape - { numHeads, headDim } of the decoder's attention
+ * @param {Object} options - Step options
+ * @param {boolean} options.attentions - Also return the cross-attention weights
+ *   (cross_attentions.<layer> outputs, [1, heads, tokens, frames]) when exported
+ * @returns {Promise<{logits: Float32Array, cache: Object, attentions: Object}>} Last-position
+ *   logits, updated cache and, when asked for, attention weights by layer
+ */
+export async function runDecoderStep(
+  session,
+  tokens,
+  inputs,
+  cache,
+  { numHeads, headDim },
+  { attentions = false } = {}
+) {
+  const { inputNames, outputNames } = session;
+  const usesCache = inputNames.some(name => name.startsWith('past_key_values.'));
+  const stepTokens = usesCache && cache ? tokens.slice(-1) : tokens;
+
+  const feeds = {
+    input_ids: new ort.Tensor(
+      'int64',
+      BigInt64Array.from(stepTokens, token => BigInt(token)),
+      [1, stepTokens.length]
+    ),
+    ...inputs
+  };
+
+  if (usesCache) {
+    for (const name of inputNames) {
+      if (!name.startsWith('past_key_values.')) continue;
+      feeds[name] = cache?.[name] ||
+        new ort.Tensor('float32', new Float32Array(0), [1, numHeads, 0, headDim]);
+    }
+    if (inputNames.includes('use_cache_branch')) {
+      feeds.use_cache_branch = new ort.Tensor('bool', [Boolean(cache)], [1]);
+    }
+  }
+
+  const results = await session.run(feeds, decoderRunOptions(session, Boolean(cache), attentions));
+  const logits = results.logits || results[outputNames[0]];
+  const [, sequenceLength, vocabSize] = logits.dims;
+  const lastLogits = logits.data.subarray((sequenceLength - 1) * vocabSize, sequenceLength * vocabSize);
+
+  // Cross-attention keys/values only depend on the encoder output, keep the first ones
+  const nextCache = {};
+  for (const name of outputNames) {
+    if (!name.startsWith('present.')) continue;
+    const pastName = name.replace('present.', 'past_key_values.');
+    nextCache[pastName] = cache && name.includes('.encoder.') ? cache[pastName] : results[name];
+  }
+
+  const attentionWeights = {};
+  if (attentions) {
+    for (const name of outputNames) {
+      if (name.startsWith('cross_attentions.')) {
+        attentionWeights[Number(name.slice('cross_attentions.'.length))] = results[name];
+      }
+    }
+  }
+
+  return { logits: lastLogits, cache: nextCache, attentions: attentionWeights };
+}
+
+/**
+ * Free the worker-resident key/values of a decoder cache
+ * @param {Object} cache - Cache from runDecoderStep
+ * @param {boolean} crossAttention - Free the cross-attention entries, which every
+ *   step of a sequence shares, instead of the per-step self-attention ones
+ */
+export function releaseDecoderCache(cache, crossAttention = false) {
+  releaseTensors(Object.entries(cache)
+    .filter(([name]) => name.includes('.encoder.') === crossAttention)
+    .map(([, tensor]) => tensor));
+}
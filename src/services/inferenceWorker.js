@@ -0,0 +1,205 @@
+/**
+ * Inference worker
+ *
+ * Hosts ONNX sessions and feature extractors for InferencePool. Runs on each
+ * session are serialized, and cancelled requests are dropped before they
+ * start or have their results discarded when they finish. Outputs a caller
+ * asks to keep stay here, by handle, until it disposes them.
+ */
+
+import * as ort from 'onnxruntime-web';
+import { WhisperFeatureExtractor } from '../utils/melSpectrogram.js';
+import { createAbortError } from '../utils/abort.js';
+
+const sessions = new Map();
+const tensors = new Map();
+const inFlight = new Set();
+const cancelled = new Set();
+let nextSessionId = 1;
+let nextTensorHandle = 1;
+
+// Extractors are created on first use
+const extractorFactories = {
+  'whisper-log-mel': () => new WhisperFeatureExtractor()
+};
+const extractors = new Map();
+
+/**
+ * Get (or create) a feature extractor by name
+ * @param {string} name - Extractor name
+ * @returns {Object} Extractor
+ */
+function getExtractor(name) {
+  if (!extractors.has(name)) {
+    const factory = extractorFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown feature extractor: ${name}`);
+    }
+    extractors.set(name, factory());
+  }
+  return extractors.get(name);
+}
+
+/**
+ * Collect the underlying buffers of typed arrays so they can be transferred
+ * @param {Array<ArrayBufferView>} arrays - Typed arrays
+ * @returns {Array<ArrayBuffer>} Unique buffers
+ */
+function collectBuffers(arrays) {
+  const buffers = new Set();
+  for (const array of arrays) {
+    if (array && array.buffer instanceof ArrayBuffer) {
+      buffers.add(array.buffer);
+    }
+  }
+  return [...buffers];
+}
+
+/**
+ * Create a session from model bytes
+ * @param {Object} message - { model, options }
+ * @returns {Promise<Object>} Session id and input/output names
+ */
+async function handleLoad(message) {
+  const session = await ort.InferenceSession.create(message.model, message.options);
+  const sessionId = nextSessionId++;
+  sessions.set(sessionId, { session, queue: Promise.resolve() });
+
+  return {
+    result: { sessionId, inputNames: session.inputNames, outputNames: session.outputNames }
+  };
+}
+
+/**
+ * Run a session, queued behind earlier runs on the same session
+ * @param {Object} message - { sessionId, feeds, keepOutputs, dropOutputs }
+ * @returns {Promise<Object>} Serialized outputs, or handles for kept ones
+ */
+async function handleRun(message) {
+  const entry = sessions.get(message.sessionId);
+  if (!entry) {
+    throw new Error(`Unknown session: ${message.sessionId}`);
+  }
+
+  // Resolve handles now, so disposing them once this run is queued is safe
+  const feeds = {};
+  for (const [name, tensor] of Object.entries(message.feeds)) {
+    if (tensor.handle) {
+      if (!tensors.has(tensor.handle)) {
+        throw new Error(`Unknown tensor handle for input ${name}`);
+      }
+      feeds[name] = tensors.get(tensor.handle);
+    } else {
+      feeds[name] = new ort.Tensor(tensor.type, tensor.data, tensor.dims);
+    }
+  }
+
+  const run = entry.queue.then(async () => {
+    if (cancelled.has(message.id)) {
+      throw createAbortError();
+    }
+
+    const results = await entry.session.run(feeds);
+    const outputs = {};
+    for (const [name, tensor] of Object.entries(results)) {
+      if (message.keepOutputs?.includes(name)) {
+        const handle = nextTensorHandle++;
+        tensors.set(handle, tensor);
+        outputs[name] = { handle, type: tensor.type, dims: [...tensor.dims] };
+      } else if (!message.dropOutputs?.includes(name)) {
+        outputs[name] = { type: tensor.type, data: tensor.data, dims: [...tensor.dims] };
+      }
+    }
+    return outputs;
+  });
+  entry.queue = run.catch(() => {});
+
+  const outputs = await run;
+  if (cancelled.has(message.id)) {
+    // Nobody will receive the handles, so do not keep their tensors
+    for (const output of Object.values(outputs)) {
+      if (output.handle) tensors.delete(output.handle);
+    }
+  }
+  return {
+    result: { outputs },
+    transfer: collectBuffers(Object.values(outputs).map(output => output.data))
+  };
+}
+
+/**
+ * Compute model input features from audio
+ * @param {Object} message - { extractor, audio, options }
+ * @returns {Object} Features
+ */
+function handleFeatures(message) {
+  const extractor = getExtractor(message.extractor);
+  const features = extractor.preprocessAudio(message.audio, message.options?.sampleRate);
+  return { result: { features }, transfer: collectBuffers([features]) };
+}
+
+/**
+ * Free tensors kept from earlier runs
+ * @param {Object} message - { handles }
+ * @returns {Object} Empty result
+ */
+function handleDispose(message) {
+  for (const handle of message.handles) {
+    tensors.delete(handle);
+  }
+  return { result: null };
+}
+
+/**
+ * Release a session once its queued runs have finished
+ * @param {Object} message - { sessionId }
+ * @returns {Promise<Object>} Empty result
+ */
+async function handleRelease(message) {
+  const entry = sessions.get(message.sessionId);
+  if (entry) {
+    sessions.delete(message.sessionId);
+    await entry.queue;
+    await entry.session.release();
+  }
+  return { result: null };
+}
+
+const handlers = {
+  load: handleLoad,
+  run: handleRun,
+  features: handleFeatures,
+  release: handleRelease,
+  dispose: handleDispose
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    if (inFlight.has(message.targetId)) {
+      cancelled.add(message.targetId);
+    }
+    return;
+  }
+
+  const handler = handlers[message.type];
+  inFlight.add(message.id);
+  try {
+    if (!handler) {
+      throw new Error(`Unknown request type: ${message.type}`);
+    }
+
+    const { result, transfer = [] } = await handler(message);
+    if (!cancelled.has(message.id)) {
+      self.postMessage({ id: message.id, ok: true, result }, transfer);
+    }
+  } catch (error) {
+    if (!cancelled.has(message.id)) {
+      self.postMessage({ id: message.id, ok: false, error: error.message, name: error.name });
+    }
+  } finally {
+    inFlight.delete(message.id);
+    cancelled.delete(message.id);
+  }
+};
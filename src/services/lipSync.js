@@ -3,6 +3,7 @@
  */
 
 import { generateVisemeSequence } from '../utils/phonemes.js';
+import { AUDIO_CONFIG } from '../utils/audioUtils.js';
 
 export class LipSyncService {
   constructor() {
@@ -50,13 +51,16 @@ export class LipSyncService {
 
   /**
    * Generate lip-sync animation from audio
-   * @param {Float32Array} audioData - Audio data
+   * @param {Float32Array|AudioBuffer} audioData - Audio samples or decoded buffer
    * @param {string} text - Corresponding text
    * @param {string} language - Language code
+   * @param {number} sampleRate - Sample rate of raw samples (ignored for AudioBuffer)
    * @returns {Array} Viseme sequence with timing
    */
-  generateLipSyncFromAudio(audioData, text, language = 'en') {
-    const duration = audioData.length / 22050; // Assuming 22.05kHz sample rate
+  generateLipSyncFromAudio(audioData, text, language = 'en', sampleRate = AUDIO_CONFIG.ttsSampleRate) {
+    const duration = typeof audioData.duration === 'number'
+      ? audioData.duration
+      : audioData.length / sampleRate;
     return this.generateLipSyncFromText(text, language, duration);
   }
 
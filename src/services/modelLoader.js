@@ -0,0 +1,481 @@
+/**
+ * Shared ONNX model loader
+ *
+ * Downloads models as streams so byte progress can be reported, retries
+ * transient failures with exponential backoff, honours AbortSignal
+ * cancellation, and hands out one inference session per model path no
+ * matter how many services ask for it. Models listed in the manifest are
+ * verified and served from the persistent model store when possible.
+ */
+
+import { SESSION_OPTIONS, createInferenceSession } from './inferencePool.js';
+import { createAbortError } from '../utils/abort.js';
+import { modelStore } from './modelStore.js';
+import { MODEL_PRECISIONS, getModelPrecision, getPrecisionFallbacks } from './modelVariants.js';
+
+// Model loading configuration
+export const MODEL_LOADER_CONFIG = {
+  maxRetries: 3,
+  retryDelayMs: 500,
+  maxRetryDelayMs: 8000,
+  // A download is abandoned after this long without receiving any bytes
+  stallTimeoutMs: 30000,
+  sessionTimeoutMs: 10000
+};
+
+/**
+ * Whether a failed attempt is worth repeating
+ * @param {Error} error - Failure
+ * @returns {boolean} Whether to retry
+ */
+function isRetriable(error) {
+  if (error.name === 'AbortError') return false;
+  if (error.status === undefined) return true;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Wait, waking early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Promise} Resolves after the delay
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class ModelLoader {
+  /**
+   * @param {Object} options - Overrides for MODEL_LOADER_CONFIG
+   * @param {ModelStore} store - Persistent cache for downloaded models
+   */
+  constructor(options = {}, store = modelStore) {
+    this.options = { ...MODEL_LOADER_CONFIG, ...options };
+    this.store = store;
+    this.sessions = new Map();
+    // Manifest variant each named model was loaded from
+    this.modelVariants = new Map();
+    this.progress = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for progress changes
+   * @param {Function} listener - Called with an array of progress entries
+   *   ({ path, name, status, loaded, total, error })
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getProgress());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Current progress of every model seen so far
+   * @returns {Array<Object>} Progress entries in load order
+   */
+  getProgress() {
+    return [...this.progress.values()];
+  }
+
+  /**
+   * Update a model's progress entry and notify listeners
+   * @param {string} path - Model URL
+   * @param {Object} update - Fields to change
+   */
+  updateProgress(path, update) {
+    const current = this.progress.get(path) || {
+      path,
+      name: path.split('/').pop(),
+      status: 'pending',
+      loaded: 0,
+      total: 0,
+      error: null
+    };
+    this.progress.set(path, { ...current, ...update });
+    this.notify();
+  }
+
+  /**
+   * Send the current progress to every listener
+   */
+  notify() {
+    const progress = this.getProgress();
+    for (const listener of this.listeners) {
+      listener(progress);
+    }
+  }
+
+  /**
+   * Download a model, retrying transient failures
+   * @param {string} path - Model URL
+   * @param {Object} options - Download options
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @param {Function} options.onProgress - Called with (loaded, total) as bytes arrive
+   * @returns {Promise<ArrayBuffer>} Model bytes
+   */
+  async fetchModel(path, { signal = null, onProgress = null } = {}) {
+    const { maxRetries, retryDelayMs, maxRetryDelayMs } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchOnce(path, signal, onProgress);
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        if (attempt >= maxRetries || !isRetriable(error)) throw error;
+
+        const wait = Math.min(retryDelayMs * 2 ** attempt, maxRetryDelayMs);
+        console.warn(`Retrying ${path} in ${wait}ms:`, error.message);
+        await delay(wait, signal);
+      }
+    }
+  }
+
+  /**
+   * Single download attempt, streamed so progress can be reported
+   * @param {string} path - Model URL
+   * @param {AbortSignal} signal - Caller's cancellation signal
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<ArrayBuffer>} Model bytes
+   */
+  async fetchOnce(path, signal, onProgress) {
+    // A stalled request is aborted rather than left hanging; the timer
+    // restarts with every chunk so large models on slow links still finish
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    let timer = null;
+    const resetStallTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.options.stallTimeoutMs);
+    };
+    resetStallTimer();
+
+    try {
+      const response = await fetch(path, { signal: controller.signal });
+      if (!response.ok) {
+        const error = new Error(`Failed to load model: ${path} (${response.status})`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const total = Number(response.headers.get('Content-Length')) || 0;
+      if (!response.body) {
+        const buffer = await response.arrayBuffer();
+        onProgress?.(buffer.byteLength, buffer.byteLength);
+        return buffer;
+      }
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      onProgress?.(0, total);
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        resetStallTimer();
+        chunks.push(value);
+        loaded += value.byteLength;
+        onProgress?.(loaded, total);
+      }
+
+      const bytes = new Uint8Array(loaded);
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+      return bytes.buffer;
+    } catch (error) {
+      if (timedOut) {
+        throw new Error(`Download stalled for model: ${path}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Get the inference session for a model, loading it on first use
+   *
+   * Concurrent callers share one download. A caller's signal only rejects
+   * that caller; the download itself is aborted once every caller that
+   * passed a signal has aborted and no caller without one is waiting.
+   * @param {string} path - Model URL
+   * @param {Object} options - Load options
+   * @param {string} options.name - Human-readable model name for progress displays
+   * @param {AbortSignal} options.signal - Cancels the load for this caller
+   * @param {Object} options.sessionOptions - ort session options
+   * @param {string} options.group - Worker group (see InferencePool.createSession)
+   * @returns {Promise<Object>} Inference session
+   */
+  loadSession(path, { signal = null, ...options } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    let entry = this.sessions.get(path);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = {
+        controller,
+        waiters: 0,
+        promise: this.createSession(path, { ...options, signal: controller.signal })
+      };
+      this.sessions.set(path, entry);
+
+      // Failed loads are forgotten so the next caller tries again
+      const current = entry;
+      current.promise.catch(() => {
+        if (this.sessions.get(path) === current) {
+          this.sessions.delete(path);
+        }
+      });
+    }
+
+    if (!signal) {
+      entry.waiters = Infinity;
+      return entry.promise;
+    }
+
+    const current = entry;
+    current.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        current.waiters--;
+        if (current.waiters <= 0) {
+          current.controller.abort();
+        }
+        reject(createAbortError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      current.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  /**
+   * Model bytes from the store, or downloaded, verified and stored
+   * @param {string} path - Model URL
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<ArrayBuffer>} Verified model bytes
+   */
+  async getModelBytes(path, signal) {
+    const entry = await this.store.getEntry(path);
+
+    if (entry) {
+      this.updateProgress(path, { status: 'verifying' });
+      const cached = await this.store.get(entry).catch((error) => {
+        console.warn(`Failed to read cached model ${path}:`, error);
+        return null;
+      });
+      if (cached) {
+        this.updateProgress(path, { status: 'cached', loaded: cached.byteLength, total: cached.byteLength });
+        return cached;
+      }
+      this.updateProgress(path, { status: 'downloading' });
+    }
+
+    const modelBuffer = await this.fetchModel(path, {
+      signal,
+      onProgress: (loaded, total) => this.updateProgress(path, { loaded, total })
+    });
+    if (!entry) {
+      return modelBuffer;
+    }
+
+    // Never build a session from bytes that do not match the manifest
+    this.updateProgress(path, { status: 'verifying' });
+    if (!(await this.store.verify(entry, modelBuffer))) {
+      throw new Error(`Integrity check failed for model: ${path}`);
+    }
+
+    // Running out of quota should not stop the model from being used
+    await this.store.put(entry, modelBuffer).catch((error) => {
+      console.warn(`Failed to cache model ${path}:`, error);
+    });
+    return modelBuffer;
+  }
+
+  /**
+   * Download a model and create its session
+   * @param {string} path - Model URL
+   * @param {Object} options - See loadSession
+   * @returns {Promise<Object>} Inference session
+   */
+  async createSession(path, { name, signal = null, sessionOptions = SESSION_OPTIONS, group = null } = {}) {
+    this.updateProgress(path, { name: name || path.split('/').pop(), status: 'downloading', error: null });
+
+    try {
+      const modelBuffer = await this.getModelBytes(path, signal);
+
+      this.updateProgress(path, { status: 'initializing' });
+      const session = await this.createSessionWithTimeout(path, modelBuffer, sessionOptions, group);
+
+      if (signal?.aborted) {
+        session.release();
+        throw createAbortError();
+      }
+
+      this.updateProgress(path, { status: 'ready' });
+      return session;
+    } catch (error) {
+      this.updateProgress(path, { status: error.name === 'AbortError' ? 'cancelled' : 'error', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create an inference session, giving up after sessionTimeoutMs. A session
+   * that only finishes after the timeout is released instead of leaking in
+   * its worker.
+   * @param {string} path - Model URL (for the error message)
+   * @param {ArrayBuffer} modelBuffer - Model bytes
+   * @param {Object} sessionOptions - ort session options
+   * @param {string|null} group - Worker group
+   * @returns {Promise<Object>} Inference session
+   */
+  async createSessionWithTimeout(path, modelBuffer, sessionOptions, group) {
+    const pending = createInferenceSession(modelBuffer, sessionOptions, group);
+    let timer = null;
+    let timedOut = false;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error(`ONNX initialization timeout: ${path}`));
+      }, this.options.sessionTimeoutMs);
+    });
+
+    try {
+      return await Promise.race([pending, timeout]);
+    } catch (error) {
+      if (timedOut) {
+        pending.then(
+          (session) => session.release(),
+          () => {}
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get the session for a named manifest model in the best available
+   * precision, falling back to other variants when one cannot be loaded
+   * @param {string} name - Model name in the manifest
+   * @param {Object} options - See loadSession, plus:
+   * @param {string} options.precision - Preferred precision (defaults to the device/user choice)
+   * @returns {Promise<Object>} Inference session
+   */
+  async loadModel(name, { precision = getModelPrecision(), ...options } = {}) {
+    const variants = await this.store.getVariants(name);
+    if (variants.length === 0) {
+      throw new Error(`Model not in manifest: ${name}`);
+    }
+
+    const candidates = getPrecisionFallbacks(precision)
+      .map(candidate => variants.find(variant => variant.precision === candidate))
+      .filter(Boolean);
+
+    let lastError = null;
+    for (const variant of candidates) {
+      try {
+        const session = await this.loadSession(variant.path, {
+          ...options,
+          name: `${options.name || name} (${variant.precision})`
+        });
+        this.modelVariants.set(name, variant);
+        this.notify();
+        return session;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        lastError = error;
+
+        // Only the variant that ends up loaded (or the last failure) stays on screen
+        if (variant !== candidates[candidates.length - 1]) {
+          console.warn(`${name} (${variant.precision}) unavailable:`, error.message);
+          this.progress.delete(variant.path);
+          this.notify();
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * URL of the variant a named model was loaded from
+   * @param {string} name - Model name
+   * @returns {string|null} Model URL, or null if not loaded
+   */
+  getModelPath(name) {
+    return this.modelVariants.get(name)?.path || null;
+  }
+
+  /**
+   * Precisions of the named models currently loaded
+   * @returns {Array<string>} Precisions, largest first
+   */
+  getLoadedPrecisions() {
+    const loaded = [...this.modelVariants.values()].map(variant => variant.precision);
+    return MODEL_PRECISIONS.filter(precision => loaded.includes(precision));
+  }
+
+  /**
+   * Release a named model's session
+   * @param {string} name - Model name
+   */
+  async releaseModel(name) {
+    const path = this.getModelPath(name);
+    if (!path) return;
+
+    this.modelVariants.delete(name);
+    await this.releaseSession(path);
+  }
+
+  /**
+   * Release a cached session
+   * @param {string} path - Model URL
+   */
+  async releaseSession(path) {
+    const entry = this.sessions.get(path);
+    if (!entry) return;
+
+    this.sessions.delete(path);
+    this.progress.delete(path);
+    this.notify();
+    try {
+      const session = await entry.promise;
+      await session.release();
+    } catch (error) {
+      // Nothing to release if loading failed
+    }
+  }
+}
+
+// Shared loader used by all services
+export const modelLoader = new ModelLoader();
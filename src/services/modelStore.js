@@ -0,0 +1,254 @@
+/**
+ * Persistent model store
+ *
+ * Keeps downloaded models in the Cache API, keyed by path and manifest
+ * version, so later visits (and offline starts) skip the network. The
+ * manifest lists each model's name and version with one or more precision
+ * variants (fp32, fp16, int8), each with its own path, size and sha256;
+ * bytes are verified against it before they are stored or handed to a
+ * session, and entries for versions no longer in the manifest are removed.
+ */
+
+import { MODEL_PRECISIONS } from './modelVariants.js';
+
+// Model store configuration
+export const MODEL_STORE_CONFIG = {
+  cacheName: 'lipsync-models',
+  manifestPath: '/wasm/models.json'
+};
+
+/**
+ * Flatten manifest models into one entry per variant
+ * @param {Array<Object>} models - Manifest models ({ name, version, variants })
+ * @returns {Array<Object>} Entries ({ name, version, precision, path, size, sha256 })
+ */
+function flattenManifest(models) {
+  return models.flatMap(({ name, version, variants }) =>
+    Object.entries(variants).map(([precision, variant]) => ({ name, version, precision, ...variant }))
+  );
+}
+
+/**
+ * Hex-encoded SHA-256 digest
+ * @param {ArrayBuffer} buffer - Data
+ * @returns {Promise<string>} Digest
+ */
+async function sha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class ModelStore {
+  constructor(options = {}) {
+    this.options = { ...MODEL_STORE_CONFIG, ...options };
+    this.manifest = null;
+  }
+
+  /**
+   * Check if models can be cached in this environment (Cache API and
+   * SubtleCrypto need a secure context)
+   * @returns {boolean} Whether caching is available
+   */
+  isSupported() {
+    return typeof caches !== 'undefined' && Boolean(globalThis.crypto?.subtle);
+  }
+
+  /**
+   * Load the model manifest, preferring the network and falling back to the
+   * copy cached on a previous visit
+   * @returns {Promise<Array<Object>>} Manifest entries, one per variant
+   *   ({ name, version, precision, path, size, sha256 })
+   */
+  getManifest() {
+    if (!this.manifest) {
+      this.manifest = this.fetchManifest().catch((error) => {
+        console.warn('Model manifest unavailable:', error.message);
+        this.manifest = null;
+        return [];
+      });
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Fetch the manifest, caching it for offline starts
+   * @returns {Promise<Array<Object>>} Manifest entries
+   */
+  async fetchManifest() {
+    const { manifestPath } = this.options;
+    const cache = this.isSupported() ? await caches.open(this.options.cacheName) : null;
+
+    try {
+      const response = await fetch(manifestPath, { cache: 'no-cache' });
+      if (!response.ok) {
+        throw new Error(`Failed to load manifest (${response.status})`);
+      }
+      if (cache) {
+        await cache.put(manifestPath, response.clone());
+      }
+      const models = flattenManifest((await response.json()).models);
+
+      // A fresh manifest is the moment to drop superseded model versions
+      this.removeStaleEntries(models).catch((error) => {
+        console.warn('Failed to clean up cached models:', error);
+      });
+      return models;
+    } catch (error) {
+      const cached = cache && await cache.match(manifestPath);
+      if (!cached) throw error;
+      return flattenManifest((await cached.json()).models);
+    }
+  }
+
+  /**
+   * Manifest entry for a model path
+   * @param {string} path - Model URL
+   * @returns {Promise<Object|null>} Entry, or null if the model is not listed
+   */
+  async getEntry(path) {
+    const models = await this.getManifest();
+    return models.find(model => model.path === path) || null;
+  }
+
+  /**
+   * Every variant of a named model
+   * @param {string} name - Model name
+   * @returns {Promise<Array<Object>>} Entries (empty if the model is not listed)
+   */
+  async getVariants(name) {
+    const models = await this.getManifest();
+    return models.filter(model => model.name === name);
+  }
+
+  /**
+   * Precisions the manifest has at least one variant in
+   * @returns {Promise<Array<string>>} Precisions, largest first
+   */
+  async getPrecisions() {
+    const models = await this.getManifest();
+    return MODEL_PRECISIONS.filter(precision => models.some(model => model.precision === precision));
+  }
+
+  /**
+   * Cache key for a manifest entry; the version is part of the key so an
+   * upgrade never reads the old bytes
+   * @param {Object} entry - Manifest entry
+   * @returns {string} Cache key
+   */
+  getCacheKey(entry) {
+    return `${entry.path}?v=${encodeURIComponent(entry.version)}`;
+  }
+
+  /**
+   * Check bytes against their manifest entry
+   * @param {Object} entry - Manifest entry
+   * @param {ArrayBuffer} buffer - Model bytes
+   * @returns {Promise<boolean>} Whether size and digest match
+   */
+  async verify(entry, buffer) {
+    if (entry.size !== undefined && buffer.byteLength !== entry.size) {
+      return false;
+    }
+    if (entry.sha256) {
+      return (await sha256(buffer)) === entry.sha256.toLowerCase();
+    }
+    return true;
+  }
+
+  /**
+   * Read a verified model from the cache
+   * @param {Object} entry - Manifest entry
+   * @returns {Promise<ArrayBuffer|null>} Model bytes, or null when missing or corrupt
+   */
+  async get(entry) {
+    if (!this.isSupported()) return null;
+
+    const cache = await caches.open(this.options.cacheName);
+    const key = this.getCacheKey(entry);
+    const response = await cache.match(key);
+    if (!response) return null;
+
+    const buffer = await response.arrayBuffer();
+    if (await this.verify(entry, buffer)) {
+      return buffer;
+    }
+
+    console.warn(`Cached model ${entry.name} failed verification, discarding`);
+    await cache.delete(key);
+    return null;
+  }
+
+  /**
+   * Store model bytes that have already been verified. Entries without a
+   * digest are not cached, since a later read could not be checked.
+   * @param {Object} entry - Manifest entry
+   * @param {ArrayBuffer} buffer - Model bytes
+   */
+  async put(entry, buffer) {
+    if (!this.isSupported() || !entry.sha256) return;
+
+    const cache = await caches.open(this.options.cacheName);
+    await cache.put(this.getCacheKey(entry), new Response(buffer, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(buffer.byteLength)
+      }
+    }));
+  }
+
+  /**
+   * Delete cached models whose path/version is not in the manifest
+   * @param {Array<Object>} models - Current manifest entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async removeStaleEntries(models) {
+    if (!this.isSupported()) return 0;
+
+    const cache = await caches.open(this.options.cacheName);
+    const current = new Set(models.map(model => this.getCacheKey(model)));
+    let removed = 0;
+
+    for (const request of await cache.keys()) {
+      const { pathname, search } = new URL(request.url);
+      if (pathname === this.options.manifestPath) continue;
+
+      if (!current.has(`${pathname}${search}`)) {
+        await cache.delete(request);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Summary of what is cached
+   * @returns {Promise<Object>} { count, bytes }
+   */
+  async getUsage() {
+    if (!this.isSupported()) return { count: 0, bytes: 0 };
+
+    const models = await this.getManifest();
+    const cache = await caches.open(this.options.cacheName);
+    let count = 0;
+    let bytes = 0;
+
+    for (const model of models) {
+      if (await cache.match(this.getCacheKey(model))) {
+        count++;
+        bytes += model.size || 0;
+      }
+    }
+    return { count, bytes };
+  }
+
+  /**
+   * Remove every cached model (and the cached manifest)
+   */
+  async clear() {
+    if (!this.isSupported()) return;
+    await caches.delete(this.options.cacheName);
+  }
+}
+
+// Shared store used by the model loader
+export const modelStore = new ModelStore();
@@ -0,0 +1,144 @@
+/**
+ * Model precision selection
+ *
+ * The manifest can offer fp32, fp16 and int8 builds of each model. The
+ * device's memory, core count and WebAssembly SIMD/threads support decide
+ * which one to load unless the user has picked one explicitly. A precision
+ * the manifest does not list falls back to the nearest one that it does.
+ */
+
+// Precisions from largest to smallest
+export const MODEL_PRECISIONS = ['fp32', 'fp16', 'int8'];
+
+// Variant selection configuration
+export const MODEL_VARIANT_CONFIG = {
+  lowMemoryGB: 4,
+  lowCoreCount: 2,
+  storageKey: 'lipsync.modelPrecision'
+};
+
+// Smallest modules using SIMD and shared-memory atomics, for feature detection
+const SIMD_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1, 8, 0,
+  65, 0, 253, 15, 253, 98, 11
+]);
+const THREADS_TEST_MODULE = new Uint8Array([
+  0, 97, 115, 109, 1, 0, 0, 0, 1, 4, 1, 96, 0, 0, 3, 2, 1, 0, 5, 4, 1, 3, 1, 1, 10,
+  11, 1, 9, 0, 65, 0, 254, 16, 2, 0, 26, 11
+]);
+
+/**
+ * Validate a test module without throwing
+ * @param {Uint8Array} bytes - Module bytes
+ * @returns {boolean} Whether the engine accepts it
+ */
+function validateWasm(bytes) {
+  try {
+    return typeof WebAssembly !== 'undefined' && WebAssembly.validate(bytes);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Probe the device for what matters to inference
+ * @returns {Object} { deviceMemory, hardwareConcurrency, simd, threads }
+ */
+export function detectDeviceCapabilities() {
+  const nav = globalThis.navigator || {};
+
+  return {
+    // GB, rounded and capped at 8 by the browser; not exposed by Firefox or Safari
+    deviceMemory: typeof nav.deviceMemory === 'number' ? nav.deviceMemory : null,
+    hardwareConcurrency: nav.hardwareConcurrency || 1,
+    simd: validateWasm(SIMD_TEST_MODULE),
+    // Wasm threads also need SharedArrayBuffer, which requires cross-origin
+    // isolation (the dev and preview servers send the COOP/COEP headers)
+    threads: validateWasm(THREADS_TEST_MODULE) &&
+      typeof SharedArrayBuffer !== 'undefined' &&
+      globalThis.crossOriginIsolated === true
+  };
+}
+
+/**
+ * Pick a precision for the detected capabilities
+ * @param {Object} capabilities - Result of detectDeviceCapabilities
+ * @param {Object} options - Thresholds (see MODEL_VARIANT_CONFIG)
+ * @returns {string} 'fp32', 'fp16' or 'int8'
+ */
+export function selectModelPrecision(capabilities = detectDeviceCapabilities(), options = {}) {
+  const { lowMemoryGB, lowCoreCount } = { ...MODEL_VARIANT_CONFIG, ...options };
+  const { deviceMemory, hardwareConcurrency, simd, threads } = capabilities;
+
+  // Whisper and Marian together do not fit in fp32 on low-memory machines
+  if ((deviceMemory !== null && deviceMemory <= lowMemoryGB) || hardwareConcurrency <= lowCoreCount) {
+    return 'int8';
+  }
+
+  // Scalar wasm cannot run fp32 matrix products fast enough for live speech;
+  // the quantized kernels move a quarter of the bytes
+  if (!simd) {
+    return 'int8';
+  }
+
+  // On a single thread every window waits on one core; fp16 halves the
+  // weights to download and stream through it while keeping most of fp32's accuracy
+  if (!threads) {
+    return 'fp16';
+  }
+
+  return 'fp32';
+}
+
+/**
+ * Precisions to try, starting with the preferred one and moving to the
+ * nearest alternatives when a variant is missing
+ * @param {string} precision - Preferred precision
+ * @returns {Array<string>} Precisions in the order to try them
+ */
+export function getPrecisionFallbacks(precision) {
+  const index = Math.max(0, MODEL_PRECISIONS.indexOf(precision));
+  // Smaller variants first: a device that asked for less memory should not get more
+  return [
+    MODEL_PRECISIONS[index],
+    ...MODEL_PRECISIONS.slice(index + 1),
+    ...MODEL_PRECISIONS.slice(0, index).reverse()
+  ];
+}
+
+/**
+ * Precision chosen by the user, if any
+ * @returns {string|null} Override, or null for automatic selection
+ */
+export function getPrecisionOverride() {
+  try {
+    const stored = globalThis.localStorage?.getItem(MODEL_VARIANT_CONFIG.storageKey);
+    return MODEL_PRECISIONS.includes(stored) ? stored : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remember the user's precision choice (takes effect on the next model load)
+ * @param {string|null} precision - Precision, or null to return to automatic selection
+ */
+export function setPrecisionOverride(precision) {
+  try {
+    if (precision && MODEL_PRECISIONS.includes(precision)) {
+      globalThis.localStorage?.setItem(MODEL_VARIANT_CONFIG.storageKey, precision);
+    } else {
+      globalThis.localStorage?.removeItem(MODEL_VARIANT_CONFIG.storageKey);
+    }
+  } catch (error) {
+    console.warn('Failed to save model precision:', error);
+  }
+}
+
+/**
+ * Precision to load: the user's override, otherwise the device-based choice
+ * @returns {string} Precision
+ */
+export function getModelPrecision() {
+  return getPrecisionOverride() || selectModelPrecision();
+}
@@ -1,23 +1,52 @@
 /**
  * Machine Translation service using on-device models
+ *
+ * Marian models are exported as an encoder and a decoder. The encoder runs
+ * once per sentence; the decoder is stepped one token at a time with a
+ * key/value cache and driven by the shared beam search (greedy at beam 1).
+ * Each language pair has its own model, loaded on first use by the registry.
  */
 
 import * as ort from 'onnxruntime-web';
+import { MTModelRegistry, DEFAULT_MARIAN_MODEL } from './mtModels.js';
+import { LANGUAGE_PAIRS, LanguagePair, planTranslationRoute, selectLanguagePairs } from '../models/Language.js';
+import { sharesWorker, releaseTensors, runDecoderStep, releaseDecoderCache } from './inferencePool.js';
+import { beamSearch, applyRepetitionPenalty } from '../utils/decoding.js';
+import { normalizeForMatch } from '../utils/vocabulary.js';
+import { PUNCTUATION_RULES } from './punctuation.js';
+
+// Decoder shape used to seed an empty KV cache (opus-mt base models)
+export const MARIAN_DECODER = {
+  numHeads: 8,
+  headDim: 64
+};
+
+// Default generation settings
+export const MARIAN_DECODING = {
+  beamSize: 4,
+  maxTokens: 256,
+  // Output is also capped relative to the input, which stops runaway loops early
+  maxLengthRatio: 2,
+  lengthPenalty: 1.0,
+  repetitionPenalty: 1.1
+};
 
 export class MTService {
-  constructor() {
-    this.session = null;
+  constructor(options = {}) {
+    this.registry = new MTModelRegistry(options);
+    // Pairs whose models are available, set on initialize
+    this.pairs = LANGUAGE_PAIRS;
     this.isInitialized = false;
-    this.tokenizer = null;
-    this.modelPath = '/wasm/marian-encoder.onnx';
-    this.vocabPath = '/wasm/marian-vocab.json';
-    this.vocab = null;
+    this.decodingOptions = { ...MARIAN_DECODING };
   }
 
   /**
-   * Initialize the MT service
+   * Initialize the MT service with the model of the starting language pair
+   * @param {Object} options - Initialization options
+   * @param {string} options.model - MT model to load up front (LanguagePair.getMTModel())
+   * @param {AbortSignal} options.signal - Cancels the model download
    */
-  async initialize() {
+  async initialize({ model = DEFAULT_MARIAN_MODEL, signal = null } = {}) {
     try {
       console.log('Initializing MT service...');
       
@@ -26,34 +55,11 @@ export class MTService {
         throw new Error('ONNX runtime not available');
       }
       
-      // Load vocabulary
-      const vocabResponse = await fetch(this.vocabPath);
-      if (!vocabResponse.ok) {
-        throw new Error('Failed to load vocabulary');
-      }
-      this.vocab = await vocabResponse.json();
-      
-      // Load ONNX model
-      const modelResponse = await fetch(this.modelPath);
-      if (!modelResponse.ok) {
-        throw new Error('Failed to load model');
-      }
-      const modelBuffer = await modelResponse.arrayBuffer();
-      
-      // Create ONNX session with timeout
-      const sessionPromise = ort.InferenceSession.create(modelBuffer, {
-        executionProviders: ['wasm'],
-        graphOptimizationLevel: 'all',
-        enableCpuMemArena: false,
-        enableMemPattern: false
-      });
-      
-      // Add timeout to prevent hanging
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('ONNX initialization timeout')), 10000);
-      });
-      
-      this.session = await Promise.race([sessionPromise, timeoutPromise]);
+      // Only route through pairs whose models have been published
+      this.pairs = selectLanguagePairs(await this.getAvailablePairs());
+
+      // Other pairs' models are loaded when first needed
+      await this.registry.preload(model, { signal });
       
       this.isInitialized = true;
       console.log('MT service initialized successfully');
@@ -66,32 +72,76 @@ export class MTService {
   }
 
   /**
-   * Translate text from source to target language
+   * Update default decoding settings, e.g. greedy decoding on slow devices
+   * @param {Object} options - Any of the MARIAN_DECODING keys
+   */
+  setDecodingOptions(options) {
+    this.decodingOptions = { ...this.decodingOptions, ...options };
+  }
+
+  /**
+   * Pairs whose models the manifest lists
+   * @returns {Promise<Array<string>>} LANGUAGE_PAIRS keys
+   */
+  async getAvailablePairs() {
+    const keys = [];
+    for (const [key, pair] of Object.entries(LANGUAGE_PAIRS)) {
+      if (await this.registry.isAvailable(pair.mtModel)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * MT model for a direct language pair
+   * @param {LanguagePair} pair - Direct pair (a hop of a route)
+   * @returns {string} MT model name
+   */
+  resolveModel(pair) {
+    const model = pair.getMTModel();
+    if (!this.registry.has(model)) {
+      throw new Error(`No MT model registered for ${pair.pairKey}: ${model}`);
+    }
+    return model;
+  }
+
+  /**
+   * Start loading the models a pair needs before the first sentence does
+   * @param {string} sourceLang - Source language code
+   * @param {string} targetLang - Target language code
+   * @returns {Promise<boolean>} Whether the models are ready
+   */
+  async preloadPair(sourceLang, targetLang) {
+    for (const hop of new LanguagePair(sourceLang, targetLang, this.pairs).getRoute()) {
+      await this.registry.preload(this.resolveModel(hop));
+    }
+    return true;
+  }
+
+  /**
+   * Translate text from source to target language. Pairs without a model
+   * of their own go through each hop of their route in turn (e.g. es → en → fr).
    * @param {string} text - Source text
    * @param {string} sourceLang - Source language code
    * @param {string} targetLang - Target language code
+   * @param {Object} options - Overrides for the MARIAN_DECODING settings
    * @returns {Promise<string>} Translated text
    */
-  async translate(text, sourceLang = 'en', targetLang = 'es') {
+  async translate(text, sourceLang = 'en', targetLang = 'es', options = {}) {
     if (!this.isInitialized) {
       throw new Error('MT service not initialized');
     }
+    if (!text || !text.trim()) {
+      return '';
+    }
 
     try {
-      // Tokenize input text
-      const tokens = this.tokenize(text, sourceLang);
-      
-      // Run inference
-      const inputTensor = new ort.Tensor('int64', tokens, [1, tokens.length]);
-      const feeds = { input: inputTensor };
-      
-      const results = await this.session.run(feeds);
-      const output = results.output.data;
-      
-      // Decode output to text
-      const translatedText = this.decodeOutput(output, targetLang);
-      
-      return translatedText;
+      let translated = text;
+      for (const hop of new LanguagePair(sourceLang, targetLang, this.pairs).getRoute()) {
+        translated = await this.translateDirect(translated, hop, options);
+      }
+      return translated;
     } catch (error) {
       console.error('Translation failed:', error);
       throw error;
@@ -99,113 +149,230 @@ export class MTService {
   }
 
   /**
-   * Tokenize text for model input
+   * Translate with a single pair's model
+   * @param {string} text - Source text
+   * @param {LanguagePair} pair - Direct pair
+   * @param {Object} options - Overrides for the MARIAN_DECODING settings
+   * @returns {Promise<string>} Translated text
+   */
+  translateDirect(text, pair, options = {}) {
+    const targetLang = pair.targetCode;
+    return this.registry.use(this.resolveModel(pair), async (model) => {
+      // Tokenize input text
+      const tokens = this.tokenize(model, text, targetLang);
+      const attentionMask = new ort.Tensor(
+        'int64',
+        new BigInt64Array(tokens.length).fill(1n),
+        [1, tokens.length]
+      );
+      
+      // Encode once, then generate target tokens
+      const encoderHiddenStates = await this.encode(model, tokens, attentionMask);
+      try {
+        const result = await this.generate(model, encoderHiddenStates, attentionMask, tokens.length, options);
+        return this.tokensToText(model, result.tokens);
+      } finally {
+        releaseTensors([encoderHiddenStates]);
+      }
+    });
+  }
+
+  /**
+   * Tokenize text for model input (casing and punctuation are kept)
+   * @param {Object} model - Loaded MT model
    * @param {string} text - Input text
-   * @param {string} language - Language code
-   * @returns {Array<number>} Token indices
+   * @param {string} targetLang - Target language code, tagged on multilingual models
+   * @returns {Array<number>} Token indices, ending with </s>
    */
-  tokenize(text, language) {
-    // Simplified tokenization - in production use proper tokenizer
-    const words = text.toLowerCase().split(/\s+/);
-    const tokens = [];
-    
-    // Add start token
-    tokens.push(this.vocab['<sos>'] || 0);
-    
-    for (const word of words) {
-      // Simple word-to-token mapping
-      const token = this.vocab[word] || this.vocab['<unk>'] || 1;
-      tokens.push(token);
+  tokenize(model, text, targetLang) {
+    return model.tokenizer.encode(text, { targetLanguage: targetLang });
+  }
+
+  /**
+   * Run the encoder
+   * @param {Object} model - Loaded MT model
+   * @param {Array<number>} tokens - Source token ids
+   * @param {ort.Tensor} attentionMask - Source attention mask
+   * @returns {Promise<ort.Tensor>} Encoder hidden states [1, sourceLength, dModel]
+   */
+  async encode(model, tokens, attentionMask) {
+    const feeds = {
+      input_ids: new ort.Tensor('int64', BigInt64Array.from(tokens, BigInt), [1, tokens.length])
+    };
+    if (model.encoder.inputNames.includes('attention_mask')) {
+      feeds.attention_mask = attentionMask;
     }
     
-    // Add end token
-    tokens.push(this.vocab['<eos>'] || 2);
-    
-    return tokens;
+    // The encoder states stay in the worker when the decoder runs there as well
+    const outputName = model.encoder.outputNames.includes('last_hidden_state')
+      ? 'last_hidden_state'
+      : model.encoder.outputNames[0];
+    const results = await model.encoder.run(feeds, {
+      keepOutputs: sharesWorker(model.encoder, model.decoder) ? [outputName] : []
+    });
+    return results[outputName];
   }
 
   /**
-   * Decode model output to text
-   * @param {Float32Array} output - Model output
-   * @param {string} language - Target language
-   * @returns {string} Decoded text
+   * Generate target tokens from encoder states
+   * @param {Object} model - Loaded MT model
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {ort.Tensor} attentionMask - Source attention mask
+   * @param {number} sourceLength - Number of source tokens
+   * @param {Object} options - Overrides for the MARIAN_DECODING settings
+   * @returns {Promise<Object>} Best result ({ tokens, tokenLogProbs, sumLogProb, avgLogProb, score })
    */
-  decodeOutput(output, language) {
-    // Simplified decoding - in production use proper beam search
-    const tokens = [];
-    const vocabSize = this.vocab.length;
+  async generate(model, encoderHiddenStates, attentionMask, sourceLength, options = {}) {
+    const settings = { ...this.decodingOptions, ...options };
+    const { padId, eosId } = model.tokenizer;
+    // Marian starts decoding from the padding token
+    const prompt = [padId];
     
-    for (let i = 0; i < output.length; i += vocabSize) {
-      const logits = output.slice(i, i + vocabSize);
-      const token = this.argmax(logits);
-      
-      // Stop at end token
-      if (token === this.vocab['<eos>']) {
-        break;
-      }
-      
-      tokens.push(token);
-    }
+    // The first step's cache holds the cross-attention key/values later steps reuse
+    let firstCache = null;
+    const step = async (tokens, cache) => {
+      const result = await this.runDecoder(model, tokens, encoderHiddenStates, attentionMask, cache);
+      if (!cache) firstCache = result.cache;
+      return result;
+    };
     
-    // Convert tokens to text
-    return this.tokensToText(tokens, language);
+    try {
+      return await beamSearch(step, prompt, {
+        beamSize: Math.max(settings.beamSize, 1),
+        maxTokens: Math.min(settings.maxTokens, Math.ceil(sourceLength * settings.maxLengthRatio) + 1),
+        eosToken: eosId,
+        lengthPenalty: settings.lengthPenalty,
+        processLogits: (logits, tokens) => {
+          const penalized = applyRepetitionPenalty(logits, tokens.slice(prompt.length), settings.repetitionPenalty);
+          // Padding is never a valid output token
+          penalized[padId] = -Infinity;
+          return penalized;
+        },
+        releaseCache: cache => releaseDecoderCache(cache)
+      });
+    } finally {
+      if (firstCache) releaseDecoderCache(firstCache, true);
+    }
   }
 
   /**
-   * Find index of maximum value
-   * @param {Float32Array} array - Input array
-   * @returns {number} Index of maximum value
+   * Run one decoder step (see runDecoderStep)
+   * @param {Object} model - Loaded MT model
+   * @param {Array<number>} tokens - All tokens decoded so far (start token included)
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {ort.Tensor} attentionMask - Source attention mask
+   * @param {Object|null} cache - Key/value tensors from the previous step
+   * @returns {Promise<{logits: Float32Array, cache: Object}>} Last-position logits and updated cache
    */
-  argmax(array) {
-    let maxIndex = 0;
-    let maxValue = array[0];
-    
-    for (let i = 1; i < array.length; i++) {
-      if (array[i] > maxValue) {
-        maxValue = array[i];
-        maxIndex = i;
-      }
+  runDecoder(model, tokens, encoderHiddenStates, attentionMask, cache = null) {
+    const inputs = { encoder_hidden_states: encoderHiddenStates };
+    if (model.decoder.inputNames.includes('encoder_attention_mask')) {
+      inputs.encoder_attention_mask = attentionMask;
     }
-    
-    return maxIndex;
+    return runDecoderStep(model.decoder, tokens, inputs, cache, MARIAN_DECODER);
   }
 
   /**
    * Convert tokens to text
+   * @param {Object} model - Loaded MT model
    * @param {Array<number>} tokens - Token indices
-   * @param {string} language - Language code
    * @returns {string} Decoded text
    */
-  tokensToText(tokens, language) {
-    if (!this.vocab) {
-      throw new Error('Vocabulary not loaded');
-    }
-    
-    // Create reverse vocabulary mapping
-    const reverseVocab = {};
-    for (const [word, index] of Object.entries(this.vocab)) {
-      reverseVocab[index] = word;
-    }
-    
-    const text = tokens
-      .map(token => reverseVocab[token])
-      .filter(word => word && word !== '<sos>' && word !== '<eos>' && word !== '<unk>')
-      .join(' ');
-    
-    return text.trim();
+  tokensToText(model, tokens) {
+    return model.tokenizer.decode(tokens);
   }
 
   /**
    * Clean up resources
    */
   cleanup() {
-    if (this.session) {
-      this.session.release();
+    this.registry.cleanup();
+  }
+}
+
+/**
+ * Split a word into its surrounding punctuation and a lookup key
+ * @param {string} token - Whitespace-delimited word
+ * @returns {Object} { token, leading, core, trailing, key }
+ */
+function splitWord(token) {
+  const leading = token.match(/^[^\p{L}\p{N}]*/u)[0];
+  const rest = token.slice(leading.length);
+  const trailing = rest.match(/[^\p{L}\p{N}]*$/u)[0];
+  const core = rest.slice(0, rest.length - trailing.length);
+  return { token, leading, core, trailing, key: normalizeForMatch(core) };
+}
+
+/**
+ * Build a word-level trie of dictionary phrases. Keys are accent- and
+ * case-insensitive, so "como estas" finds "cómo estás".
+ * @param {Object} dictionary - Source phrase to translation
+ * @returns {Object} Root node: { children: Map, translation }
+ */
+function buildTrie(dictionary) {
+  const root = { children: new Map(), translation: null };
+
+  for (const [phrase, translation] of Object.entries(dictionary)) {
+    const keys = phrase.split(/\s+/).map(normalizeForMatch).filter(Boolean);
+    if (keys.length === 0) continue;
+
+    let node = root;
+    for (const key of keys) {
+      if (!node.children.has(key)) {
+        node.children.set(key, { children: new Map(), translation: null });
+      }
+      node = node.children.get(key);
     }
+    node.translation = translation;
   }
+
+  return root;
 }
 
-// Fallback translation using simple dictionary
+/**
+ * Carry the casing of the source words over to their translation
+ * @param {string} source - Matched source words, punctuation removed
+ * @param {string} translation - Dictionary translation
+ * @returns {string} Translation cased like the source
+ */
+function matchCase(source, translation) {
+  const letters = source.replace(/[^\p{L}]/gu, '');
+  if (letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return translation.toUpperCase();
+  }
+  if (/^\p{Lu}/u.test(letters)) {
+    return translation.replace(/\p{L}/u, letter => letter.toUpperCase());
+  }
+  return translation;
+}
+
+/**
+ * Put inverted question and exclamation marks where the target language
+ * wants them (Spanish) and take the source's out where it does not
+ * @param {Array<string>} words - Translated words with their punctuation
+ * @param {boolean} invertedMarks - Whether the target language opens sentences with ¿ / ¡
+ * @returns {Array<string>} Words
+ */
+function placeInvertedMarks(words, invertedMarks) {
+  const result = words.map(word => word.replace(/[¿¡]/g, '')).filter(Boolean);
+  if (!invertedMarks) return result;
+
+  let sentenceStart = 0;
+  result.forEach((word, i) => {
+    const mark = word.match(/([.?!…])[^\p{L}\p{N}]*$/u)?.[1];
+    if (!mark) return;
+
+    const opening = { '?': '¿', '!': '¡' }[mark];
+    if (opening) {
+      // Before the first letter, so an opening quote or bracket stays outside
+      result[sentenceStart] = result[sentenceStart].replace(/(?=[\p{L}\p{N}])/u, opening);
+    }
+    sentenceStart = i + 1;
+  });
+  return result;
+}
+
+// Fallback translation using a phrase dictionary (longest match first)
 export class DictionaryMT {
   constructor() {
     this.dictionaries = {
@@ -264,11 +431,11 @@ export class DictionaryMT {
         'me llamo': 'my name is',
         'encantado de conocerte': 'nice to meet you',
         'de dónde eres': 'where are you from',
-        'soy de': 'i am from',
-        'hablas inglés': 'do you speak english',
-        'hablas español': 'do you speak spanish',
-        'entiendo': 'i understand',
-        'no entiendo': 'i do not understand',
+        'soy de': 'I am from',
+        'hablas inglés': 'do you speak English',
+        'hablas español': 'do you speak Spanish',
+        'entiendo': 'I understand',
+        'no entiendo': 'I do not understand',
         'puedes ayudarme': 'can you help me',
         'disculpa': 'excuse me',
         'lo siento': 'sorry',
@@ -288,35 +455,208 @@ export class DictionaryMT {
         'hoy': 'today',
         'mañana': 'tomorrow',
         'ayer': 'yesterday'
+      },
+      'en-de': {
+        'hello': 'hallo',
+        'goodbye': 'auf Wiedersehen',
+        'thank you': 'danke',
+        'please': 'bitte',
+        'yes': 'ja',
+        'no': 'nein',
+        'how are you': 'wie geht es dir',
+        'good morning': 'guten Morgen',
+        'good afternoon': 'guten Tag',
+        'good night': 'gute Nacht',
+        'what is your name': 'wie heißt du',
+        'my name is': 'ich heiße',
+        'nice to meet you': 'freut mich',
+        'where are you from': 'woher kommst du',
+        'i am from': 'ich komme aus',
+        'do you speak english': 'sprichst du Englisch',
+        'do you speak spanish': 'sprichst du Spanisch',
+        'i understand': 'ich verstehe',
+        'i do not understand': 'ich verstehe nicht',
+        'can you help me': 'kannst du mir helfen',
+        'excuse me': 'Entschuldigung',
+        'sorry': 'es tut mir leid',
+        'good': 'gut',
+        'bad': 'schlecht',
+        'big': 'groß',
+        'small': 'klein',
+        'hot': 'heiß',
+        'cold': 'kalt',
+        'water': 'Wasser',
+        'food': 'Essen',
+        'house': 'Haus',
+        'car': 'Auto',
+        'time': 'Zeit',
+        'day': 'Tag',
+        'night': 'Nacht',
+        'today': 'heute',
+        'tomorrow': 'morgen',
+        'yesterday': 'gestern'
+      },
+      'de-en': {
+        'hallo': 'hello',
+        'auf wiedersehen': 'goodbye',
+        'danke': 'thank you',
+        'bitte': 'please',
+        'ja': 'yes',
+        'nein': 'no',
+        'wie geht es dir': 'how are you',
+        'guten morgen': 'good morning',
+        'guten tag': 'good afternoon',
+        'gute nacht': 'good night',
+        'wie heißt du': 'what is your name',
+        'ich heiße': 'my name is',
+        'freut mich': 'nice to meet you',
+        'woher kommst du': 'where are you from',
+        'ich komme aus': 'I am from',
+        'sprichst du englisch': 'do you speak English',
+        'sprichst du spanisch': 'do you speak Spanish',
+        'ich verstehe': 'I understand',
+        'ich verstehe nicht': 'I do not understand',
+        'kannst du mir helfen': 'can you help me',
+        'entschuldigung': 'excuse me',
+        'es tut mir leid': 'sorry',
+        'gut': 'good',
+        'schlecht': 'bad',
+        'groß': 'big',
+        'klein': 'small',
+        'heiß': 'hot',
+        'kalt': 'cold',
+        'wasser': 'water',
+        'essen': 'food',
+        'haus': 'house',
+        'auto': 'car',
+        'zeit': 'time',
+        'tag': 'day',
+        'nacht': 'night',
+        'heute': 'today',
+        'morgen': 'tomorrow',
+        'gestern': 'yesterday'
       }
     };
+    // Phrase tries per dictionary, built on first use
+    this.tries = new Map();
   }
 
   /**
-   * Translate text using dictionary
+   * Translate text using dictionary. Pairs without a dictionary of their own
+   * go through the dictionaries along their route (see planTranslationRoute).
    * @param {string} text - Source text
    * @param {string} sourceLang - Source language
    * @param {string} targetLang - Target language
    * @returns {Promise<string>} Translated text
    */
   async translate(text, sourceLang = 'en', targetLang = 'es') {
-    const dictKey = `${sourceLang}-${targetLang}`;
-    const dictionary = this.dictionaries[dictKey];
-    
-    if (!dictionary) {
+    const route = planTranslationRoute(sourceLang, targetLang, this.getPairs());
+    if (!route) {
       throw new Error(`Translation not supported: ${sourceLang} to ${targetLang}`);
     }
+
+    let translated = text;
+    for (const dictKey of route) {
+      translated = this.translateDirect(translated, dictKey);
+    }
+    return translated;
+  }
+
+  /**
+   * Translate with a single dictionary. The longest dictionary phrase
+   * starting at each word wins ("thank you" before "thank"); words no entry
+   * covers are kept as they are. Inverted marks follow the target language's rules.
+   * @param {string} text - Source text
+   * @param {string} dictKey - Dictionary key (e.g. 'en-es')
+   * @returns {string} Translated text
+   */
+  translateDirect(text, dictKey) {
+    const targetLang = dictKey.split('-')[1];
+    const trie = this.getTrie(dictKey);
+    const words = text.trim().split(/\s+/).filter(Boolean).map(splitWord);
+    const output = [];
+
+    let i = 0;
+    while (i < words.length) {
+      const match = this.matchPhrase(trie, words, i);
+      if (!match) {
+        output.push(words[i].token);
+        i++;
+        continue;
+      }
+
+      const first = words[i];
+      const last = words[i + match.count - 1];
+      const source = words.slice(i, i + match.count).map(word => word.core).join(' ');
+      output.push(`${first.leading}${matchCase(source, match.translation)}${last.trailing}`);
+      i += match.count;
+    }
     
-    const words = text.toLowerCase().split(/\s+/);
-    const translatedWords = words.map(word => dictionary[word] || word);
-    
-    return translatedWords.join(' ');
+    return placeInvertedMarks(output, PUNCTUATION_RULES[targetLang]?.invertedMarks).join(' ');
+  }
+
+  /**
+   * Longest dictionary phrase starting at a word. Phrases do not run past
+   * punctuation, so "yes, please" is two matches rather than one.
+   * @param {Object} trie - Phrase trie (see buildTrie)
+   * @param {Array<Object>} words - Split words (see splitWord)
+   * @param {number} start - Index of the first word
+   * @returns {Object|null} { translation, count }, or null if no entry starts here
+   */
+  matchPhrase(trie, words, start) {
+    let node = trie;
+    let match = null;
+
+    for (let i = start; i < words.length; i++) {
+      const word = words[i];
+      if (i > start && word.leading) break;
+
+      node = node.children.get(word.key);
+      if (!node) break;
+      if (node.translation !== null) {
+        match = { translation: node.translation, count: i - start + 1 };
+      }
+      if (word.trailing) break;
+    }
+
+    return match;
+  }
+
+  /**
+   * Pairs the dictionaries cover
+   * @returns {Promise<Array<string>>} Dictionary keys (e.g. 'en-es')
+   */
+  async getAvailablePairs() {
+    return Object.keys(this.dictionaries);
+  }
+
+  /**
+   * Language pairs the dictionaries cover, in LANGUAGE_PAIRS form for routing
+   * @returns {Object} Dictionary key to { source, target }
+   */
+  getPairs() {
+    return Object.fromEntries(Object.keys(this.dictionaries).map((dictKey) => {
+      const [source, target] = dictKey.split('-');
+      return [dictKey, { source, target }];
+    }));
+  }
+
+  /**
+   * Phrase trie of a dictionary, built on first use
+   * @param {string} dictKey - Dictionary key (e.g. 'en-es')
+   * @returns {Object} Root node
+   */
+  getTrie(dictKey) {
+    if (!this.tries.has(dictKey)) {
+      this.tries.set(dictKey, buildTrie(this.dictionaries[dictKey]));
+    }
+    return this.tries.get(dictKey);
   }
 
   /**
    * Add custom translation to dictionary
    * @param {string} source - Source text
-   * @param {string} target - Target text
+   * @param {string} target - Target text (casing is kept, e.g. proper nouns)
    * @param {string} sourceLang - Source language
    * @param {string} targetLang - Target language
    */
@@ -325,7 +665,8 @@ export class DictionaryMT {
     if (!this.dictionaries[dictKey]) {
       this.dictionaries[dictKey] = {};
     }
-    this.dictionaries[dictKey][source.toLowerCase()] = target.toLowerCase();
+    this.dictionaries[dictKey][source.toLowerCase()] = target;
+    this.tries.delete(dictKey);
   }
 
   /**
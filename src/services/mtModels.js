@@ -0,0 +1,266 @@
+/**
+ * On-demand registry of Marian translation models
+ *
+ * Each language pair names its own Marian model (LANGUAGE_PAIRS[pair].mtModel).
+ * Models are loaded the first time a pair is translated and kept in
+ * least-recently-used order; once the loaded models exceed the memory budget
+ * the least recently used ones that are not mid-translation are released.
+ */
+
+import { modelLoader } from './modelLoader.js';
+import { modelStore } from './modelStore.js';
+import { detectDeviceCapabilities } from './modelVariants.js';
+import { SentencePieceTokenizer } from '../utils/sentencePieceTokenizer.js';
+
+const MB = 1024 * 1024;
+
+// Registry configuration
+export const MT_MODEL_CONFIG = {
+  // null derives the budget from the device's memory
+  memoryBudgetBytes: null,
+  minBudgetBytes: 512 * MB,
+  maxBudgetBytes: 1536 * MB,
+  // Share of device memory translation models may use
+  deviceMemoryShare: 0.25,
+  // Assumed size of an encoder or decoder whose size the manifest does not list
+  defaultPartBytes: 200 * MB
+};
+
+/**
+ * Conventional file names for a Marian export: <name>-encoder / -decoder in
+ * the manifest, with the vocabulary and source SentencePiece model next to them
+ * @param {string} name - MT model name
+ * @returns {Object} { encoder, decoder, vocabPath, spmPath }
+ */
+function marianFiles(name) {
+  return {
+    encoder: `${name}-encoder`,
+    decoder: `${name}-decoder`,
+    vocabPath: `/wasm/${name}-vocab.json`,
+    spmPath: `/wasm/${name}-source.spm`
+  };
+}
+
+// MT models named by LANGUAGE_PAIRS[pair].mtModel. Pairs whose model the
+// manifest does not list are left out of translation (see isAvailable).
+export const MARIAN_MODELS = {
+  // The original en-es export keeps its unprefixed file names
+  'marian-en-es': {
+    encoder: 'marian-encoder',
+    decoder: 'marian-decoder',
+    vocabPath: '/wasm/marian-vocab.json',
+    spmPath: '/wasm/marian-source.spm'
+  },
+  'marian-es-en': marianFiles('marian-es-en'),
+  'marian-en-fr': marianFiles('marian-en-fr'),
+  'marian-fr-en': marianFiles('marian-fr-en'),
+  'marian-es-fr': marianFiles('marian-es-fr'),
+  'marian-fr-es': marianFiles('marian-fr-es'),
+  'marian-en-de': marianFiles('marian-en-de'),
+  'marian-de-en': marianFiles('marian-de-en')
+};
+
+export const DEFAULT_MARIAN_MODEL = 'marian-en-es';
+
+export class MTModelRegistry {
+  constructor(options = {}, loader = modelLoader, store = modelStore) {
+    this.options = { ...MT_MODEL_CONFIG, ...options };
+    this.loader = loader;
+    this.store = store;
+    // Insertion order is recency order: the first entry is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Memory available to loaded translation models
+   * @returns {number} Budget in bytes
+   */
+  getMemoryBudget() {
+    const { memoryBudgetBytes, minBudgetBytes, maxBudgetBytes, deviceMemoryShare } = this.options;
+    if (memoryBudgetBytes !== null) return memoryBudgetBytes;
+
+    const { deviceMemory } = detectDeviceCapabilities();
+    if (deviceMemory === null) return maxBudgetBytes;
+    return Math.min(maxBudgetBytes, Math.max(minBudgetBytes, deviceMemory * 1024 * MB * deviceMemoryShare));
+  }
+
+  /**
+   * Check whether a model is known
+   * @param {string} name - MT model name
+   * @returns {boolean} Whether the registry can load it
+   */
+  has(name) {
+    return Boolean(MARIAN_MODELS[name]);
+  }
+
+  /**
+   * Check whether the manifest lists a known model's encoder and decoder
+   * @param {string} name - MT model name
+   * @returns {Promise<boolean>} Whether the model can be loaded
+   */
+  async isAvailable(name) {
+    const config = MARIAN_MODELS[name];
+    if (!config) return false;
+
+    const [encoders, decoders] = await Promise.all([
+      this.store.getVariants(config.encoder),
+      this.store.getVariants(config.decoder)
+    ]);
+    return encoders.length > 0 && decoders.length > 0;
+  }
+
+  /**
+   * Check whether a model is loaded (or loading)
+   * @param {string} name - MT model name
+   * @returns {boolean} Whether the model is in memory
+   */
+  isLoaded(name) {
+    return this.entries.has(name);
+  }
+
+  /**
+   * Run a callback with a loaded model. The model cannot be evicted while
+   * the callback runs.
+   * @param {string} name - MT model name
+   * @param {Function} callback - async (model) => result, model being { name, tokenizer, encoder, decoder }
+   * @param {Object} options - Load options
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @returns {Promise<*>} Callback result
+   */
+  async use(name, callback, { signal = null } = {}) {
+    const entry = this.touch(name, signal);
+    entry.users++;
+    try {
+      const model = await entry.promise;
+      return await callback(model);
+    } finally {
+      entry.users--;
+      this.evict();
+    }
+  }
+
+  /**
+   * Load a model ahead of its first use (e.g. when the target language changes)
+   * @param {string} name - MT model name
+   * @param {Object} options - Load options
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @returns {Promise<Object>} Loaded model
+   */
+  async preload(name, { signal = null } = {}) {
+    const model = await this.touch(name, signal).promise;
+    this.evict();
+    return model;
+  }
+
+  /**
+   * Get a model's entry, starting its load if needed, and mark it most recently used
+   * @param {string} name - MT model name
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Object} Registry entry
+   */
+  touch(name, signal) {
+    let entry = this.entries.get(name);
+    if (entry) {
+      this.entries.delete(name);
+    } else {
+      entry = { name, users: 0, bytes: 0, isLoaded: false, promise: null };
+      entry.promise = this.load(entry, signal).catch((error) => {
+        if (this.entries.get(name) === entry) {
+          this.entries.delete(name);
+        }
+        throw error;
+      });
+    }
+    this.entries.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * Load a model's tokenizer, encoder and decoder
+   * @param {Object} entry - Registry entry
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<Object>} { name, tokenizer, encoder, decoder }
+   */
+  async load(entry, signal) {
+    const { name } = entry;
+    const config = MARIAN_MODELS[name];
+    if (!config) {
+      throw new Error(`Unknown MT model: ${name}`);
+    }
+
+    // Grouped by model so MTService can hand encoder output to the decoder by handle
+    const sessionOptions = { signal, group: name };
+    try {
+      const [tokenizer, encoder, decoder] = await Promise.all([
+        SentencePieceTokenizer.load(config.vocabPath, config.spmPath),
+        this.loader.loadModel(config.encoder, { ...sessionOptions, name: `${name} encoder` }),
+        this.loader.loadModel(config.decoder, { ...sessionOptions, name: `${name} decoder` })
+      ]);
+
+      entry.bytes = await this.getModelBytes(config);
+      entry.isLoaded = true;
+      return { name, tokenizer, encoder, decoder };
+    } catch (error) {
+      this.releaseSessions(config);
+      throw error;
+    }
+  }
+
+  /**
+   * Size of a loaded model, from the manifest entries of the loaded variants
+   * @param {Object} config - MARIAN_MODELS entry
+   * @returns {Promise<number>} Bytes
+   */
+  async getModelBytes(config) {
+    let bytes = 0;
+    for (const part of [config.encoder, config.decoder]) {
+      const path = this.loader.getModelPath(part);
+      const manifestEntry = path ? await this.store.getEntry(path) : null;
+      bytes += manifestEntry?.size || this.options.defaultPartBytes;
+    }
+    return bytes;
+  }
+
+  /**
+   * Release least recently used models until the loaded ones fit the budget.
+   * Models in use or still loading are kept, as is the most recently used one.
+   */
+  evict() {
+    const budget = this.getMemoryBudget();
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.bytes;
+    }
+
+    const mostRecent = Array.from(this.entries.keys()).pop();
+    for (const entry of Array.from(this.entries.values())) {
+      if (total <= budget) break;
+      if (entry.name === mostRecent || entry.users > 0 || !entry.isLoaded) continue;
+
+      this.entries.delete(entry.name);
+      this.releaseSessions(MARIAN_MODELS[entry.name]);
+      total -= entry.bytes;
+    }
+  }
+
+  /**
+   * Release a model's sessions
+   * @param {Object} config - MARIAN_MODELS entry
+   */
+  releaseSessions(config) {
+    this.loader.releaseModel(config.encoder);
+    this.loader.releaseModel(config.decoder);
+  }
+
+  /**
+   * Release every loaded model
+   */
+  cleanup() {
+    for (const entry of this.entries.values()) {
+      if (entry.isLoaded) {
+        this.releaseSessions(MARIAN_MODELS[entry.name]);
+      }
+    }
+    this.entries.clear();
+  }
+}
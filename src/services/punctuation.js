@@ -0,0 +1,523 @@
+/**
+ * Punctuation and truecasing restoration
+ *
+ * Raw recognizer output is one lowercase run without sentence marks, which
+ * MT and TTS handle poorly. This stage restores sentence boundaries,
+ * punctuation and casing per language: a small ONNX token classifier
+ * predicts a punctuation mark and a casing class for every word, and a
+ * rule-based fallback uses Whisper's segment boundaries, question words and
+ * known capitalized words when the model is not available. Language-specific
+ * typography (Spanish inverted marks, French spacing) is applied either way.
+ */
+
+import * as ort from 'onnxruntime-web';
+import { modelLoader } from './modelLoader.js';
+import { modelStore } from './modelStore.js';
+
+// Punctuation configuration
+export const PUNCTUATION_CONFIG = {
+  modelPath: '/wasm/punctuation.onnx',
+  vocabPath: '/wasm/punctuation-vocab.json',
+  // Output classes of the model, in logit order
+  punctuationLabels: ['', ',', '.', '?'],
+  caseLabels: ['lower', 'capitalize', 'upper'],
+  modelLanguages: ['en', 'es', 'fr'],
+  maxWords: 128,
+  // Silence between Whisper segments that always ends a sentence
+  pauseSeconds: 0.6
+};
+
+// Per-language rules for the fallback and for typography
+export const PUNCTUATION_RULES = {
+  en: {
+    questionStarters: [
+      'what', 'where', 'when', 'why', 'who', 'whom', 'whose', 'which', 'how'
+    ],
+    // An auxiliary only opens a question when a subject follows it
+    // ("will you" but not "will is here")
+    auxiliaries: [
+      'is', 'are', 'was', 'were', 'do', 'does', 'did', 'can', 'could', 'would',
+      'will', 'should', 'shall', 'may', 'might', 'must', 'have', 'has', 'had'
+    ],
+    // Auxiliaries that also start commands ("do this now", "have a nice day"):
+    // only a pronoun subject makes them questions
+    imperativeAuxiliaries: ['do', 'have'],
+    subjectPronouns: [
+      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'there',
+      'anyone', 'anybody', 'anything', 'someone', 'somebody', 'something',
+      'everyone', 'everybody', 'everything'
+    ],
+    // Words that open a noun phrase subject ("is the train late")
+    determiners: [
+      'the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his',
+      'her', 'its', 'our', 'their', 'any', 'some', 'every', 'each'
+    ],
+    // Words that continue the previous sentence rather than start a new one
+    continuations: ['and', 'or', 'because', 'that', 'which', 'so', 'than', 'to', 'of'],
+    commaBefore: ['but'],
+    capitalized: [
+      'i', "i'm", "i'll", "i've", "i'd",
+      'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+      'january', 'february', 'march', 'april', 'june', 'july', 'august',
+      'september', 'october', 'november', 'december',
+      'english', 'spanish', 'french', 'german'
+    ],
+    invertedMarks: false,
+    spaceBeforeMarks: false
+  },
+  es: {
+    questionStarters: [
+      'qué', 'quién', 'quiénes', 'cómo', 'cuándo', 'dónde', 'adónde', 'cuál',
+      'cuáles', 'cuánto', 'cuánta', 'cuántos', 'cuántas', 'por qué'
+    ],
+    continuations: ['y', 'o', 'porque', 'que', 'de', 'a'],
+    commaBefore: ['pero'],
+    capitalized: [],
+    invertedMarks: true,
+    spaceBeforeMarks: false
+  },
+  fr: {
+    questionStarters: [
+      'est-ce', "qu'est-ce", 'où', 'quand', 'pourquoi', 'comment', 'qui',
+      'quel', 'quelle', 'quels', 'quelles', 'combien'
+    ],
+    continuations: ['et', 'ou', 'parce', 'que', 'qui', 'de', 'à'],
+    commaBefore: ['mais'],
+    capitalized: [],
+    invertedMarks: false,
+    // French typography puts a (narrow) space before ? ! ; :
+    spaceBeforeMarks: true
+  },
+  de: {
+    questionStarters: [
+      'was', 'wer', 'wen', 'wem', 'wessen', 'wo', 'wohin', 'woher', 'wann',
+      'warum', 'wieso', 'weshalb', 'wie', 'welche', 'welcher', 'welches'
+    ],
+    continuations: ['und', 'oder', 'weil', 'dass', 'denn'],
+    commaBefore: ['aber', 'sondern'],
+    capitalized: [],
+    invertedMarks: false,
+    spaceBeforeMarks: false
+  }
+};
+
+const SENTENCE_END = /[.?!…]$/;
+
+/**
+ * Whether a sentence reads as a question: it opens with a question word,
+ * or with an auxiliary directly followed by its subject
+ * @param {Array<string>} words - Lowercase words of the sentence
+ * @param {Object} rules - PUNCTUATION_RULES entry
+ * @returns {boolean} Whether the sentence is a question
+ */
+function isQuestion(words, rules) {
+  const [first, second] = words;
+  if (rules.questionStarters.includes(first) || rules.questionStarters.includes(`${first} ${second}`)) {
+    return true;
+  }
+  if (!rules.auxiliaries?.includes(first) || second === undefined) {
+    return false;
+  }
+
+  if (rules.subjectPronouns.includes(second)) {
+    return true;
+  }
+  return !rules.imperativeAuxiliaries.includes(first) && rules.determiners.includes(second);
+}
+
+/**
+ * Split a token into its word and trailing punctuation
+ * @param {string} token - Whitespace-delimited token
+ * @returns {Object} { word, mark }
+ */
+function splitToken(token) {
+  const match = token.match(/^(.*?)([.,?!;:…]*)$/u);
+  return { word: match[1].replace(/^[¿¡]+/, ''), mark: match[2] };
+}
+
+/**
+ * Uppercase the first letter of a word
+ * @param {string} word - Word
+ * @returns {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.replace(/\p{L}/u, letter => letter.toUpperCase());
+}
+
+/**
+ * Index of the largest value in a slice
+ * @param {Float32Array} array - Values
+ * @param {number} offset - Slice start
+ * @param {number} length - Slice length
+ * @returns {number} Index within the slice
+ */
+function argmax(array, offset, length) {
+  let best = 0;
+  for (let i = 1; i < length; i++) {
+    if (array[offset + i] > array[offset + best]) best = i;
+  }
+  return best;
+}
+
+export class PunctuationService {
+  constructor(options = {}) {
+    this.options = { ...PUNCTUATION_CONFIG, ...options };
+    this.session = null;
+    this.vocab = null;
+    this.termCasing = new Map();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the service, loading the punctuation model if the manifest
+   * lists one
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.useModel - Try the ONNX model before falling back to rules
+   * @param {AbortSignal} options.signal - Cancels the model download
+   */
+  async initialize({ useModel = true, signal = null } = {}) {
+    if (useModel && !(await modelStore.getEntry(this.options.modelPath))) {
+      console.log('No punctuation model in the manifest, using rules');
+    } else if (useModel) {
+      try {
+        const vocabResponse = await fetch(this.options.vocabPath, { signal });
+        if (!vocabResponse.ok) {
+          throw new Error('Failed to load punctuation vocabulary');
+        }
+        this.vocab = await vocabResponse.json();
+        this.session = await modelLoader.loadSession(this.options.modelPath, {
+          name: 'Punctuation',
+          signal
+        });
+        console.log('Punctuation initialized with ONNX model');
+      } catch (error) {
+        console.log('Punctuation model unavailable, using rules');
+        this.session = null;
+        this.vocab = null;
+      }
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Keep the casing of domain terms (e.g. product names) in restored text
+   * @param {Array<string>} terms - Vocabulary terms as the user typed them
+   */
+  setVocabulary(terms = []) {
+    this.termCasing = new Map(
+      terms.filter(term => !/\s/.test(term)).map(term => [term.toLowerCase(), term])
+    );
+  }
+
+  /**
+   * Restore punctuation and casing
+   * @param {string} text - Raw transcript
+   * @param {string} language - Language code
+   * @param {Array<Object>} segments - Timed segments of the transcript, if available
+   * @returns {Promise<Object>} { text, sentences, segments } with segment words formatted to match
+   */
+  async restore(text, language = 'en', segments = []) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return { text: '', sentences: [], segments };
+    }
+
+    let words = null;
+    if (this.session && this.options.modelLanguages.includes(language)) {
+      try {
+        words = await this.restoreWithModel(tokens);
+      } catch (error) {
+        console.warn('Punctuation model failed, using rules:', error);
+      }
+    }
+    if (!words) {
+      words = this.restoreWithRules(tokens, language, this.getSegmentBreaks(tokens, segments));
+    }
+
+    const sentences = this.formatSentences(words, language);
+    return {
+      text: sentences.join(' '),
+      sentences,
+      segments: this.formatSegments(segments, words, language)
+    };
+  }
+
+  /**
+   * Predict punctuation and casing for every word
+   * @param {Array<string>} tokens - Words
+   * @returns {Promise<Array<Object>>} Words: { word, mark }
+   */
+  async restoreWithModel(tokens) {
+    const { maxWords, punctuationLabels, caseLabels } = this.options;
+    const words = [];
+
+    for (let offset = 0; offset < tokens.length; offset += maxWords) {
+      const chunk = tokens.slice(offset, offset + maxWords).map(splitToken);
+      const ids = chunk.map(({ word }) => BigInt(this.vocab[word.toLowerCase()] ?? this.vocab['<unk>'] ?? 1));
+
+      const inputIds = new ort.Tensor('int64', BigInt64Array.from(ids), [1, ids.length]);
+      const attentionMask = new ort.Tensor('int64', new BigInt64Array(ids.length).fill(1n), [1, ids.length]);
+      const results = await this.session.run({ input_ids: inputIds, attention_mask: attentionMask });
+      const punctuationLogits = results.punctuation.data;
+      const caseLogits = results.capitalization.data;
+
+      chunk.forEach(({ word }, i) => {
+        const mark = punctuationLabels[argmax(punctuationLogits, i * punctuationLabels.length, punctuationLabels.length)];
+        const casing = caseLabels[argmax(caseLogits, i * caseLabels.length, caseLabels.length)];
+        words.push({ word: this.applyCasing(word, casing), mark });
+      });
+    }
+
+    return words;
+  }
+
+  /**
+   * Rule-based fallback: sentence breaks at long pauses and segment
+   * boundaries, question marks after question openings (see isQuestion), commas before
+   * contrasting conjunctions and capitalization of known words
+   * @param {Array<string>} tokens - Words
+   * @param {string} language - Language code
+   * @param {Map<number, boolean>} breaks - Indices of words after a segment boundary, mapped to whether the gap was a long pause
+   * @returns {Array<Object>} Words: { word, mark }
+   */
+  restoreWithRules(tokens, language, breaks = new Map()) {
+    const rules = PUNCTUATION_RULES[language] || PUNCTUATION_RULES.en;
+    const words = tokens.map(splitToken);
+
+    for (let i = 1; i < words.length; i++) {
+      const previous = words[i - 1];
+      const current = words[i].word.toLowerCase();
+      if (previous.mark || !breaks.has(i)) continue;
+
+      // A segment boundary ends the sentence unless the next word plainly continues it
+      if (breaks.get(i) || !rules.continuations.includes(current)) {
+        previous.mark = '.';
+      }
+    }
+
+    for (let i = 1; i < words.length; i++) {
+      if (!words[i - 1].mark && rules.commaBefore.includes(words[i].word.toLowerCase())) {
+        words[i - 1].mark = ',';
+      }
+    }
+    if (!SENTENCE_END.test(words[words.length - 1].mark)) {
+      words[words.length - 1].mark = '.';
+    }
+
+    // Sentences that open like a question get a question mark; anything else keeps its period
+    let sentenceStart = 0;
+    words.forEach(({ mark }, i) => {
+      if (!SENTENCE_END.test(mark)) return;
+      const opening = words.slice(sentenceStart, Math.min(i + 1, sentenceStart + 2)).map(({ word }) => word.toLowerCase());
+      if (mark === '.' && isQuestion(opening, rules)) {
+        words[i].mark = '?';
+      }
+      sentenceStart = i + 1;
+    });
+
+    return words.map(({ word, mark }) => ({
+      word: rules.capitalized.includes(word.toLowerCase()) ? capitalize(word) : word,
+      mark
+    }));
+  }
+
+  /**
+   * Word indices that follow a segment boundary, when segment words line up
+   * with the transcript
+   * @param {Array<string>} tokens - Transcript words
+   * @param {Array<Object>} segments - Timed segments
+   * @returns {Map<number, boolean>} Word index -> whether the boundary is a long pause
+   */
+  getSegmentBreaks(tokens, segments) {
+    const breaks = new Map();
+    const counts = segments.map(segment => segment.words?.length || 0);
+    if (counts.reduce((sum, count) => sum + count, 0) !== tokens.length) {
+      return breaks;
+    }
+
+    let index = 0;
+    segments.forEach((segment, i) => {
+      index += counts[i];
+      const next = segments[i + 1];
+      if (next && index < tokens.length) {
+        breaks.set(index, next.start - segment.end >= this.options.pauseSeconds);
+      }
+    });
+    return breaks;
+  }
+
+  /**
+   * Apply a predicted casing class, keeping words that already carry capitals
+   * @param {string} word - Word
+   * @param {string} casing - 'lower', 'capitalize' or 'upper'
+   * @returns {string} Cased word
+   */
+  applyCasing(word, casing) {
+    if (word !== word.toLowerCase()) return word;
+    if (casing === 'upper') return word.toUpperCase();
+    if (casing === 'capitalize') return capitalize(word);
+    return word;
+  }
+
+  /**
+   * Join words into sentences with sentence-initial capitals, vocabulary
+   * casing and the language's typography
+   * @param {Array<Object>} words - Words: { word, mark }
+   * @param {string} language - Language code
+   * @returns {Array<string>} Sentences
+   */
+  formatSentences(words, language) {
+    return this.formatWords(words, language).reduce((sentences, { text, endsSentence }, i, all) => {
+      if (i === 0 || all[i - 1].endsSentence) sentences.push(text);
+      else sentences[sentences.length - 1] += ` ${text}`;
+      return sentences;
+    }, []);
+  }
+
+  /**
+   * Format each word with its punctuation attached
+   * @param {Array<Object>} words - Words: { word, mark }
+   * @param {string} language - Language code
+   * @returns {Array<Object>} { text, endsSentence }, one per word
+   */
+  formatWords(words, language) {
+    const rules = PUNCTUATION_RULES[language] || PUNCTUATION_RULES.en;
+    const formatted = [];
+    let sentenceStart = 0;
+
+    words.forEach(({ word, mark }, i) => {
+      const atStart = i === sentenceStart;
+      const cased = this.termCasing.get(word.toLowerCase()) || (atStart ? capitalize(word) : word);
+      const spacing = rules.spaceBeforeMarks && /^[?!;:]/.test(mark) ? ' ' : '';
+      const endsSentence = SENTENCE_END.test(mark) || i === words.length - 1;
+      formatted.push({ text: `${cased}${spacing}${mark}`, endsSentence });
+
+      if (endsSentence) {
+        // Spanish opens questions and exclamations with inverted marks
+        const opening = { '?': '¿', '!': '¡' }[mark.slice(-1)];
+        if (rules.invertedMarks && opening && !formatted[sentenceStart].text.startsWith(opening)) {
+          formatted[sentenceStart].text = `${opening}${formatted[sentenceStart].text}`;
+        }
+        sentenceStart = i + 1;
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Carry formatted words over to the timed segments
+   * @param {Array<Object>} segments - Timed segments
+   * @param {Array<Object>} words - Words: { word, mark }
+   * @param {string} language - Language code
+   * @returns {Array<Object>} Segments with formatted words and text
+   */
+  formatSegments(segments, words, language) {
+    const formatted = this.formatWords(words, language);
+    const total = segments.reduce((sum, segment) => sum + (segment.words?.length || 0), 0);
+    if (total !== words.length) {
+      return this.alignSegments(segments, formatted);
+    }
+
+    let index = 0;
+    return segments.map((segment) => {
+      const segmentWords = segment.words.map(word => ({ ...word, word: formatted[index++].text }));
+      return { ...segment, text: segmentWords.map(word => word.word).join(' '), words: segmentWords };
+    });
+  }
+
+  /**
+   * Carry formatted words over to segments whose words were split
+   * differently ("e-mail" vs "e mail"), matching them by their offsets in
+   * the letters-and-digits text. Each formatted word takes the timing of the
+   * segment words it overlaps. When the texts differ letter for letter the
+   * segments keep their timing but drop their words, so only the restored
+   * text is shown.
+   * @param {Array<Object>} segments - Timed segments
+   * @param {Array<Object>} formatted - Formatted words (see formatWords)
+   * @returns {Array<Object>} Segments
+   */
+  alignSegments(segments, formatted) {
+    const letters = text => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const segmentWords = segments.flatMap((segment, index) =>
+      (segment.words || []).map(word => ({ ...word, segment: index }))
+    );
+
+    // Letter offset -> index of the segment word it belongs to
+    const owners = [];
+    segmentWords.forEach((word, index) => {
+      owners.push(...new Array(letters(word.word).length).fill(index));
+    });
+    const restored = formatted.map(({ text }) => letters(text));
+    if (owners.length === 0 || restored.join('') !== segmentWords.map(word => letters(word.word)).join('')) {
+      return segments.map(segment => ({ ...segment, words: [] }));
+    }
+
+    const aligned = segments.map(() => []);
+    let offset = 0;
+    formatted.forEach(({ text }, i) => {
+      const length = restored[i].length;
+      // Pure punctuation sticks to the word before it
+      const first = owners[Math.min(offset, owners.length - 1)];
+      const last = owners[Math.min(offset + Math.max(length, 1) - 1, owners.length - 1)];
+      const covered = segmentWords.slice(first, last + 1);
+      const confidences = covered.map(word => word.confidence).filter(value => typeof value === 'number');
+
+      aligned[covered[0].segment].push({
+        word: text,
+        start: covered[0].start,
+        end: covered[covered.length - 1].end,
+        confidence: confidences.length > 0 ? Math.min(...confidences) : null,
+        estimated: covered.some(word => word.estimated)
+      });
+      offset += length;
+    });
+
+    return segments.map((segment, index) => ({
+      ...segment,
+      text: aligned[index].length > 0 ? aligned[index].map(word => word.word).join(' ') : segment.text,
+      words: aligned[index]
+    }));
+  }
+
+  /**
+   * Give a translated sentence the source sentence's closing mark and a
+   * capital, for MT systems that drop or never see punctuation
+   * @param {string} source - Source sentence
+   * @param {string} translated - Its translation
+   * @param {string} language - Target language code
+   * @returns {string} Formatted translation
+   */
+  transferPunctuation(source, translated, language = 'en') {
+    const tokens = translated.split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return '';
+
+    const words = tokens.map(splitToken);
+    const last = words[words.length - 1];
+    if (!SENTENCE_END.test(last.mark)) {
+      last.mark = source.trim().match(/[.?!…]+$/)?.[0] || '.';
+    }
+    return this.formatSentences(words, language).join(' ');
+  }
+
+  /**
+   * Check whether text already ends with a closing mark
+   * @param {string} text - Sentence
+   * @returns {boolean} Whether the sentence is closed
+   */
+  endsSentence(text) {
+    return SENTENCE_END.test(text.trim());
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    if (this.session) {
+      modelLoader.releaseSession(this.options.modelPath);
+      this.session = null;
+    }
+  }
+}
@@ -3,20 +3,178 @@
  */
 
 import * as ort from 'onnxruntime-web';
+import { WHISPER_AUDIO, WhisperFeatureExtractor } from '../utils/melSpectrogram.js';
+import {
+  inferencePool,
+  isWorkerSession,
+  sharesWorker,
+  releaseTensors,
+  runDecoderStep,
+  releaseDecoderCache
+} from './inferencePool.js';
+import { modelLoader } from './modelLoader.js';
+import { ByteLevelBPETokenizer } from '../utils/bpeTokenizer.js';
+import { buildVocabularyPrompt, correctWithVocabulary } from '../utils/vocabulary.js';
+import { beamSearch, sampleSequence, compressionRatio, logSoftmax, logAddExp } from '../utils/decoding.js';
+import { resampleAudio } from '../utils/audioUtils.js';
+import { alignRows } from '../utils/alignment.js';
+
+export { WHISPER_AUDIO };
+
+// Languages in Whisper token order; language tokens start right after <|startoftranscript|>
+export const WHISPER_LANGUAGES = [
+  'en', 'zh', 'de', 'es', 'ru', 'ko', 'fr', 'ja', 'pt', 'tr', 'pl', 'ca', 'nl', 'ar', 'sv', 'it',
+  'id', 'hi', 'fi', 'vi', 'he', 'uk', 'el', 'ms', 'cs', 'ro', 'da', 'hu', 'ta', 'no', 'th', 'ur',
+  'hr', 'bg', 'lt', 'la', 'mi', 'ml', 'cy', 'sk', 'te', 'fa', 'lv', 'bn', 'sr', 'az', 'sl', 'kn',
+  'et', 'mk', 'br', 'eu', 'is', 'hy', 'ne', 'mn', 'bs', 'kk', 'sq', 'sw', 'gl', 'mr', 'pa', 'si',
+  'km', 'sn', 'yo', 'so', 'af', 'oc', 'ka', 'be', 'tg', 'sd', 'gu', 'am', 'yi', 'lo', 'uz', 'fo',
+  'ht', 'ps', 'tk', 'nn', 'mt', 'sa', 'lb', 'my', 'bo', 'tl', 'mg', 'as', 'tt', 'haw', 'ln', 'ha',
+  'ba', 'jw', 'su'
+];
+
+// Special token ids of the multilingual Whisper vocabulary
+export const WHISPER_TOKENS = {
+  endOfText: 50257,
+  startOfTranscript: 50258,
+  languageBegin: 50259,
+  translate: 50358,
+  transcribe: 50359,
+  startOfLm: 50360,
+  startOfPrev: 50361,
+  noSpeech: 50362,
+  noTimestamps: 50363,
+  timestampBegin: 50364
+};
+
+// Seconds per timestamp token and the latest allowed first timestamp
+export const WHISPER_TIME_PRECISION = 0.02;
+export const WHISPER_MAX_INITIAL_TIMESTAMP = 1.0;
+
+// Decoder shape used to seed an empty KV cache (whisper-tiny)
+export const WHISPER_DECODER = {
+  numLayers: 4,
+  numHeads: 6,
+  headDim: 64,
+  maxTokens: 224,
+  maxPromptTokens: 223,
+  // [layer, head] pairs whose cross-attention follows the audio in time,
+  // used for word timings when the decoder exports cross_attentions.<layer>
+  alignmentHeads: [[2, 2], [3, 0], [3, 2], [3, 3], [3, 4], [3, 5]]
+};
+
+// STT models named by SUPPORTED_LANGUAGES[code].sttModel, mapped to their
+// encoder/decoder in the model manifest. Languages whose entries point at the
+// same files share one loaded multilingual model; a language-specific
+// fine-tune only needs its own manifest names here.
+export const WHISPER_MODELS = {
+  'whisper-en': { encoder: 'whisper-encoder', decoder: 'whisper-decoder' },
+  'whisper-es': { encoder: 'whisper-encoder', decoder: 'whisper-decoder' },
+  'whisper-fr': { encoder: 'whisper-encoder', decoder: 'whisper-decoder' },
+  'whisper-de': { encoder: 'whisper-encoder', decoder: 'whisper-decoder' }
+};
+
+export const DEFAULT_WHISPER_MODEL = 'whisper-en';
+
+// Default decoding settings (Whisper's transcribe() defaults)
+export const WHISPER_DECODING = {
+  beamSize: 5,
+  bestOf: 5,
+  lengthPenalty: null,
+  temperatures: [0, 0.2, 0.4, 0.6, 0.8, 1.0],
+  compressionRatioThreshold: 2.4,
+  logProbThreshold: -1.0
+};
+
+// Sliding-window settings for streaming transcription
+export const STREAMING_CONFIG = {
+  stepSeconds: 1.0,
+  minWindowSeconds: 0.5,
+  maxWindowSeconds: 15
+};
+
+// Web Speech API fallback: n-best size and restart backoff
+export const WEB_SPEECH_CONFIG = {
+  maxAlternatives: 3,
+  restartDelayMs: 250,
+  maxRestartDelayMs: 8000,
+  fatalErrors: ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported']
+};
+
+const WEB_SPEECH_ERROR_MESSAGES = {
+  'network': 'Speech recognition lost its network connection; retrying.',
+  'not-allowed': 'Microphone access for speech recognition was denied.',
+  'service-not-allowed': 'Speech recognition is not allowed in this browser.',
+  'audio-capture': 'No microphone is available for speech recognition.',
+  'language-not-supported': 'Speech recognition does not support the selected language.',
+  'bad-grammar': 'Speech recognition rejected its grammar.'
+};
+
+/**
+ * Confidence of a token span: the geometric mean of its token probabilities
+ * @param {Array<number>} logProbs - Token log-probabilities
+ * @returns {number|null} Confidence in [0, 1], or null without scores
+ */
+function spanConfidence(logProbs) {
+  if (!logProbs || logProbs.length === 0) {
+    return null;
+  }
+  return Math.exp(logProbs.reduce((sum, value) => sum + value, 0) / logProbs.length);
+}
+
+/**
+ * Text of every Whisper special token, for the tokenizer
+ * @returns {Object} Special token text to id
+ */
+function createWhisperSpecialTokens() {
+  const specialTokens = {
+    '<|endoftext|>': WHISPER_TOKENS.endOfText,
+    '<|startoftranscript|>': WHISPER_TOKENS.startOfTranscript,
+    '<|translate|>': WHISPER_TOKENS.translate,
+    '<|transcribe|>': WHISPER_TOKENS.transcribe,
+    '<|startoflm|>': WHISPER_TOKENS.startOfLm,
+    '<|startofprev|>': WHISPER_TOKENS.startOfPrev,
+    '<|nospeech|>': WHISPER_TOKENS.noSpeech,
+    '<|notimestamps|>': WHISPER_TOKENS.noTimestamps
+  };
+  WHISPER_LANGUAGES.forEach((code, index) => {
+    specialTokens[`<|${code}|>`] = WHISPER_TOKENS.languageBegin + index;
+  });
+  for (let i = 0; i <= WHISPER_AUDIO.chunkLength / WHISPER_TIME_PRECISION; i++) {
+    specialTokens[`<|${(i * WHISPER_TIME_PRECISION).toFixed(2)}|>`] = WHISPER_TOKENS.timestampBegin + i;
+  }
+  return specialTokens;
+}
 
 export class STTService {
   constructor() {
     this.session = null;
     this.isInitialized = false;
-    this.modelPath = '/wasm/whisper-encoder.onnx';
+    this.decoderSession = null;
+    this.model = DEFAULT_WHISPER_MODEL;
+    this.encoderModel = null;
+    this.decoderModel = null;
+    this.loadedModels = new Set();
+    // Models the latest setModel call is still loading
+    this.pendingModels = new Set();
+    this.modelRequestId = 0;
+    this.modelSwap = null;
+    this.activeOperations = 0;
+    this.onIdle = null;
     this.vocabPath = '/wasm/whisper-vocab.json';
-    this.vocab = null;
+    this.mergesPath = '/wasm/whisper-merges.txt';
+    this.tokenizer = null;
+    this.featureExtractor = new WhisperFeatureExtractor();
+    this.decodingOptions = { ...WHISPER_DECODING };
+    this.initialPrompt = '';
   }
 
   /**
    * Initialize the STT service
+   * @param {Object} options - Initialization options
+   * @param {string} options.model - STT model name (see WHISPER_MODELS), e.g. from Language.getSTTModel()
+   * @param {AbortSignal} options.signal - Cancels model downloads
    */
-  async initialize() {
+  async initialize({ model = this.model, signal = null } = {}) {
     try {
       console.log('Initializing STT service...');
       
@@ -25,34 +183,20 @@ export class STTService {
         throw new Error('ONNX runtime not available');
       }
       
-      // Load vocabulary
-      const vocabResponse = await fetch(this.vocabPath);
-      if (!vocabResponse.ok) {
-        throw new Error('Failed to load vocabulary');
-      }
-      this.vocab = await vocabResponse.json();
+      // Load byte-level BPE tokenizer
+      this.tokenizer = await ByteLevelBPETokenizer.load(
+        this.vocabPath,
+        this.mergesPath,
+        createWhisperSpecialTokens()
+      );
       
-      // Load ONNX model
-      const modelResponse = await fetch(this.modelPath);
-      if (!modelResponse.ok) {
-        throw new Error('Failed to load model');
-      }
-      const modelBuffer = await modelResponse.arrayBuffer();
-      
-      // Create ONNX session with timeout
-      const sessionPromise = ort.InferenceSession.create(modelBuffer, {
-        executionProviders: ['wasm'],
-        graphOptimizationLevel: 'all',
-        enableCpuMemArena: false,
-        enableMemPattern: false
-      });
-      
-      // Add timeout to prevent hanging
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('ONNX initialization timeout')), 10000);
-      });
-      
-      this.session = await Promise.race([sessionPromise, timeoutPromise]);
+      // Load encoder and decoder models
+      const config = this.resolveModel(model);
+      this.session = await this.createSession(config.encoder, 'Whisper encoder', signal);
+      this.decoderSession = await this.createSession(config.decoder, 'Whisper decoder', signal);
+      this.model = model;
+      this.encoderModel = config.encoder;
+      this.decoderModel = config.decoder;
       
       this.isInitialized = true;
       console.log('STT service initialized successfully');
@@ -64,306 +208,1180 @@ export class STTService {
     }
   }
 
+  /**
+   * Get the inference session for a Whisper model through the shared loader
+   * @param {string} model - Model name in the manifest
+   * @param {string} label - Name shown while loading
+   * @param {AbortSignal} signal - Cancels the download
+   * @returns {Promise<ort.InferenceSession>} Inference session
+   */
+  createSession(model, label, signal = null) {
+    this.loadedModels.add(model);
+    // One worker for both, so encoder states and decoder key/values can be
+    // kept there by handle instead of copied on every step
+    return modelLoader.loadModel(model, { name: label, signal, group: 'whisper' });
+  }
+
+  /**
+   * Encoder/decoder names for an STT model, falling back to the default model
+   * @param {string} model - STT model name
+   * @returns {Object} { encoder, decoder }
+   */
+  resolveModel(model) {
+    if (WHISPER_MODELS[model]) {
+      return WHISPER_MODELS[model];
+    }
+    console.warn(`Unknown STT model ${model}, using ${DEFAULT_WHISPER_MODEL}`);
+    return WHISPER_MODELS[DEFAULT_WHISPER_MODEL];
+  }
+
+  /**
+   * Switch to the STT model for another language. The new model is loaded
+   * while the current one keeps serving requests, then swapped in between
+   * requests; models shared by both languages are not reloaded.
+   * @param {string} model - STT model name (see WHISPER_MODELS)
+   * @param {Object} options - Load options
+   * @param {AbortSignal} options.signal - Cancels model downloads
+   * @returns {Promise<boolean>} Whether different model files were swapped in
+   */
+  async setModel(model, { signal = null } = {}) {
+    const requestId = ++this.modelRequestId;
+    const config = this.resolveModel(model);
+
+    if (config.encoder === this.encoderModel && config.decoder === this.decoderModel) {
+      this.pendingModels = new Set();
+      this.model = model;
+      return false;
+    }
+
+    this.pendingModels = new Set([config.encoder, config.decoder]);
+    const [session, decoderSession] = await Promise.all([
+      this.createSession(config.encoder, 'Whisper encoder', signal),
+      this.createSession(config.decoder, 'Whisper decoder', signal)
+    ]);
+
+    // Let a swap that is already waiting finish first
+    while (this.modelSwap) {
+      await this.modelSwap;
+    }
+    if (requestId !== this.modelRequestId) {
+      // A later language change superseded this one. It may have kept the
+      // current models, so nothing else would release what this call loaded.
+      this.releaseUnusedModels();
+      return false;
+    }
+
+    let finishSwap;
+    this.modelSwap = new Promise(resolve => { finishSwap = resolve; });
+    if (this.activeOperations > 0) {
+      await new Promise(resolve => { this.onIdle = resolve; });
+      this.onIdle = null;
+    }
+
+    this.session = session;
+    this.decoderSession = decoderSession;
+    this.model = model;
+    this.encoderModel = config.encoder;
+    this.decoderModel = config.decoder;
+
+    this.modelSwap = null;
+    this.pendingModels = new Set();
+    finishSwap();
+
+    this.releaseUnusedModels();
+    return true;
+  }
+
+  /**
+   * Release models loaded for earlier languages that neither the active one
+   * nor a pending switch uses
+   */
+  releaseUnusedModels() {
+    for (const name of this.loadedModels) {
+      if (name !== this.encoderModel && name !== this.decoderModel && !this.pendingModels.has(name)) {
+        modelLoader.releaseModel(name);
+        this.loadedModels.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Wait for any model swap, then mark a request as using the current sessions
+   * @returns {Promise<Function>} Call when the request is done
+   */
+  async beginOperation() {
+    while (this.modelSwap) {
+      await this.modelSwap;
+    }
+    this.activeOperations++;
+
+    return () => {
+      this.activeOperations--;
+      if (this.activeOperations === 0 && this.onIdle) {
+        this.onIdle();
+      }
+    };
+  }
+
+  /**
+   * Update default decoding settings, e.g. a smaller beam on slow devices
+   * @param {Object} options - Any of the WHISPER_DECODING keys
+   */
+  setDecodingOptions(options) {
+    this.decodingOptions = { ...this.decodingOptions, ...options };
+  }
+
+  /**
+   * Bias recognition towards domain terms through Whisper's initial prompt
+   * @param {Array<string>} terms - Product names, jargon, etc.
+   * @param {string} prompt - Optional free-form context
+   */
+  setVocabulary(terms = [], prompt = '') {
+    this.initialPrompt = buildVocabularyPrompt(terms, prompt);
+  }
+
   /**
    * Convert audio data to text
    * @param {Float32Array} audioData - Raw audio data
    * @param {string} language - Source language code
-   * @returns {Promise<string>} Transcribed text
+   * @param {Object} options - Decoding options, overriding setDecodingOptions() per call
+   * @param {string} options.task - 'transcribe' or 'translate' (to English)
+   * @param {number} options.maxTokens - Maximum number of generated tokens
+   * @param {number} options.sampleRate - Sample rate of audioData (default 16kHz)
+   * @param {number} options.beamSize - Beam size at temperature 0 (1 = greedy)
+   * @param {Array<number>} options.temperatures - Fallback temperature schedule
+   * @param {boolean} options.returnTimestamps - Resolve to { text, confidence, segments } with word timings and confidences
+   * @param {string} options.initialPrompt - Context text overriding the session vocabulary
+   * @returns {Promise<string|Object>} Transcribed text, or a timed transcript when requested
    */
-  async transcribe(audioData, language = 'en') {
+  async transcribe(audioData, language = 'en', options = {}) {
     if (!this.isInitialized) {
       throw new Error('STT service not initialized');
     }
 
+    const endOperation = await this.beginOperation();
+    let encoderHiddenStates = null;
     try {
-      // Preprocess audio data
-      const processedAudio = this.preprocessAudio(audioData);
-      
-      // Run inference
-      const inputTensor = new ort.Tensor('float32', processedAudio, [1, 1, processedAudio.length]);
-      const feeds = { input: inputTensor };
+      encoderHiddenStates = await this.encode(audioData, options.sampleRate);
       
-      const results = await this.session.run(feeds);
-      const output = results.output.data;
+      // Decode encoder states to text
+      const result = await this.decodeOutput(encoderHiddenStates, language, options);
       
-      // Decode output to text
-      const text = this.decodeOutput(output, language);
+      if (!options.returnTimestamps) {
+        return result.text;
+      }
       
-      return text;
+      const duration = audioData.length / (options.sampleRate || WHISPER_AUDIO.sampleRate);
+      const windowDuration = Math.min(duration, WHISPER_AUDIO.chunkLength);
+      const textLogProbs = result.tokenLogProbs.filter((_, i) => result.tokens[i] < WHISPER_TOKENS.endOfText);
+      const tokenTimes = await this.alignTokens(encoderHiddenStates, result.prompt, result.tokens, windowDuration);
+      return {
+        text: result.text,
+        language,
+        duration,
+        confidence: spanConfidence(textLogProbs),
+        segments: this.buildSegments(result.tokens, windowDuration, result.tokenLogProbs, tokenTimes)
+      };
     } catch (error) {
       console.error('Transcription failed:', error);
       throw error;
+    } finally {
+      releaseTensors([encoderHiddenStates]);
+      endOperation();
+    }
+  }
+
+  /**
+   * Identify the spoken language from Whisper's language-token probabilities
+   * @param {Float32Array} audioData - Raw audio data
+   * @param {Object} options - Detection options
+   * @param {number} options.sampleRate - Sample rate of audioData
+   * @param {Array<string>} options.candidates - Language codes to choose from (all Whisper languages by default)
+   * @param {number} options.topK - Number of languages to return
+   * @returns {Promise<Array<{language: string, confidence: number}>>} Languages ranked by confidence
+   */
+  async detectLanguage(audioData, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('STT service not initialized');
+    }
+
+    const {
+      sampleRate = WHISPER_AUDIO.sampleRate,
+      candidates = WHISPER_LANGUAGES,
+      topK = 5
+    } = options;
+
+    const endOperation = await this.beginOperation();
+    let encoderHiddenStates = null;
+    try {
+      encoderHiddenStates = await this.encode(audioData, sampleRate);
+      
+      // The token after <|startoftranscript|> is the language token
+      const { logits, cache } = await this.runDecoder([WHISPER_TOKENS.startOfTranscript], encoderHiddenStates);
+      releaseTensors(Object.values(cache));
+      
+      const languages = candidates
+        .map(code => code.split('-')[0].toLowerCase())
+        .filter(code => WHISPER_LANGUAGES.includes(code));
+      const candidateLogits = Float32Array.from(
+        languages,
+        code => logits[WHISPER_TOKENS.languageBegin + WHISPER_LANGUAGES.indexOf(code)]
+      );
+      
+      // Renormalize over the candidate set only
+      const logProbs = logSoftmax(candidateLogits);
+      return languages
+        .map((language, i) => ({ language, confidence: Math.exp(logProbs[i]) }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topK);
+    } catch (error) {
+      console.error('Language detection failed:', error);
+      throw error;
+    } finally {
+      releaseTensors([encoderHiddenStates]);
+      endOperation();
     }
   }
 
+  /**
+   * Run the encoder over a 30-second window of audio
+   * @param {Float32Array} audioData - Raw audio data
+   * @param {number} sampleRate - Sample rate of audioData
+   * @returns {Promise<ort.Tensor>} Encoder hidden states
+   */
+  async encode(audioData, sampleRate = WHISPER_AUDIO.sampleRate) {
+    // The mel frontend is the heaviest JS step, so run it next to the encoder
+    const workerSession = isWorkerSession(this.session);
+    const processedAudio = workerSession
+      ? await inferencePool.extractFeatures('whisper-log-mel', audioData, { sampleRate })
+      : this.preprocessAudio(audioData, sampleRate);
+    
+    const inputTensor = new ort.Tensor('float32', processedAudio, [1, WHISPER_AUDIO.numMels, WHISPER_AUDIO.numFrames]);
+    const feeds = { [this.session.inputNames[0]]: inputTensor };
+    
+    // Features are not needed afterwards, so hand them over instead of copying.
+    // The encoder states stay in the worker when the decoder runs there as well.
+    const outputName = this.session.outputNames[0];
+    const results = await this.session.run(feeds, {
+      transferInputs: workerSession,
+      keepOutputs: sharesWorker(this.session, this.decoderSession) ? [outputName] : []
+    });
+    return results[outputName];
+  }
+
   /**
    * Preprocess audio data for Whisper model
    * @param {Float32Array} audioData - Raw audio data
-   * @returns {Float32Array} Preprocessed audio
+   * @param {number} sampleRate - Sample rate of audioData
+   * @returns {Float32Array} Log-mel features laid out as [numMels, numFrames]
    */
-  preprocessAudio(audioData) {
-    // Resample to 16kHz if needed
-    let resampled = audioData;
-    if (audioData.length !== 16000) {
-      resampled = this.resample(audioData, 16000);
+  preprocessAudio(audioData, sampleRate = WHISPER_AUDIO.sampleRate) {
+    return this.featureExtractor.preprocessAudio(audioData, sampleRate);
+  }
+
+  /**
+   * Build the decoder prompt: <|startoftranscript|><|lang|><|task|>, followed by
+   * <|notimestamps|> unless timestamp tokens are wanted. Context text is put in
+   * front as <|startofprev|> tokens, which is how Whisper sees earlier speech.
+   * @param {string} language - Language code
+   * @param {string} task - 'transcribe' or 'translate'
+   * @param {boolean} withTimestamps - Let the model emit timestamp tokens
+   * @param {string} initialPrompt - Context text (vocabulary, topic)
+   * @returns {Array<number>} Prompt token ids
+   */
+  getPromptTokens(language = 'en', task = 'transcribe', withTimestamps = false, initialPrompt = '') {
+    const languageIndex = WHISPER_LANGUAGES.indexOf((language || 'en').split('-')[0].toLowerCase());
+    if (languageIndex < 0) {
+      throw new Error(`Unsupported Whisper language: ${language}`);
     }
     
-    // Apply mel spectrogram
-    const melSpectrogram = this.computeMelSpectrogram(resampled);
+    const prompt = [];
+    if (initialPrompt && this.tokenizer) {
+      // Keep the end of over-long prompts, like Whisper does with earlier text
+      const contextTokens = this.tokenizer.encode(` ${initialPrompt.trim()}`);
+      prompt.push(WHISPER_TOKENS.startOfPrev, ...contextTokens.slice(-WHISPER_DECODER.maxPromptTokens));
+    }
     
-    // Normalize
-    const normalized = this.normalize(melSpectrogram);
+    prompt.push(
+      WHISPER_TOKENS.startOfTranscript,
+      WHISPER_TOKENS.languageBegin + languageIndex,
+      task === 'translate' ? WHISPER_TOKENS.translate : WHISPER_TOKENS.transcribe
+    );
+    if (!withTimestamps) {
+      prompt.push(WHISPER_TOKENS.noTimestamps);
+    }
     
-    return normalized;
+    return prompt;
   }
 
   /**
-   * Resample audio to target sample rate
-   * @param {Float32Array} audio - Input audio
-   * @param {number} targetSampleRate - Target sample rate
-   * @returns {Float32Array} Resampled audio
+   * Run one decoder step (see runDecoderStep)
+   * @param {Array<number>} tokens - All tokens decoded so far (prompt included)
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {Object|null} cache - Key/value tensors from the previous step
+   * @returns {Promise<{logits: Float32Array, cache: Object}>} Last-position logits and updated cache
    */
-  resample(audio, targetSampleRate) {
-    // Simple linear interpolation resampling
-    const originalSampleRate = 44100; // Assuming original sample rate
-    const ratio = targetSampleRate / originalSampleRate;
-    const newLength = Math.floor(audio.length * ratio);
-    const resampled = new Float32Array(newLength);
+  runDecoder(tokens, encoderHiddenStates, cache = null) {
+    return runDecoderStep(
+      this.decoderSession,
+      tokens,
+      { encoder_hidden_states: encoderHiddenStates },
+      cache,
+      WHISPER_DECODER
+    );
+  }
+
+  /**
+   * Mask tokens that must never be sampled as text
+   * @param {Float32Array} logits - Logits for the next token
+   * @param {number} step - Number of tokens generated so far
+   * @param {Array<number>} generated - Tokens generated so far (prompt excluded)
+   * @param {boolean} withTimestamps - Whether timestamp tokens are allowed
+   * @returns {Float32Array} Masked copy of the logits
+   */
+  suppressTokens(logits, step, generated = [], withTimestamps = false) {
+    const masked = new Float32Array(logits);
     
-    for (let i = 0; i < newLength; i++) {
-      const originalIndex = i / ratio;
-      const index1 = Math.floor(originalIndex);
-      const index2 = Math.min(index1 + 1, audio.length - 1);
-      const fraction = originalIndex - index1;
-      
-      resampled[i] = audio[index1] * (1 - fraction) + audio[index2] * fraction;
+    // Only <|endoftext|> (and timestamps, if requested) are allowed among special tokens
+    const lastSpecial = withTimestamps ? WHISPER_TOKENS.timestampBegin : masked.length;
+    for (let token = WHISPER_TOKENS.startOfTranscript; token < lastSpecial; token++) {
+      masked[token] = -Infinity;
     }
     
-    return resampled;
+    // Do not end (or start with a blank) before anything was said
+    if (step === 0) {
+      masked[WHISPER_TOKENS.endOfText] = -Infinity;
+      const blank = this.tokenizer?.vocab['\u0120'];
+      if (blank !== undefined) masked[blank] = -Infinity;
+    }
+    
+    if (withTimestamps) {
+      this.applyTimestampRules(masked, generated);
+    }
+    
+    return masked;
   }
 
   /**
-   * Compute mel spectrogram from audio
-   * @param {Float32Array} audio - Audio data
-   * @returns {Float32Array} Mel spectrogram
+   * Whisper's timestamp constraints: timestamps come in pairs, never go
+   * backwards, the first token is an early timestamp, and a timestamp is
+   * forced when timestamps are jointly more likely than any text token
+   * @param {Float32Array} logits - Logits to mask in place
+   * @param {Array<number>} generated - Tokens generated so far (prompt excluded)
    */
-  computeMelSpectrogram(audio) {
-    // Simplified mel spectrogram computation
-    // In production, use a proper FFT library
-    const frameSize = 400;
-    const hopSize = 160;
-    const numFrames = Math.floor((audio.length - frameSize) / hopSize) + 1;
-    const numMels = 80;
+  applyTimestampRules(logits, generated) {
+    const { timestampBegin, endOfText } = WHISPER_TOKENS;
+    const count = generated.length;
+    const lastWasTimestamp = count >= 1 && generated[count - 1] >= timestampBegin;
+    const penultimateWasTimestamp = count < 2 || generated[count - 2] >= timestampBegin;
     
-    const spectrogram = new Float32Array(numFrames * numMels);
+    if (lastWasTimestamp) {
+      if (penultimateWasTimestamp) {
+        // A pair just closed: text must follow
+        logits.fill(-Infinity, timestampBegin);
+      } else {
+        // Segment text ended: close it with a timestamp or stop
+        logits.fill(-Infinity, 0, endOfText);
+      }
+    }
     
-    for (let frame = 0; frame < numFrames; frame++) {
-      const start = frame * hopSize;
-      const end = start + frameSize;
-      const frameData = audio.slice(start, end);
-      
-      // Apply window function (Hamming)
-      const windowed = this.applyWindow(frameData);
+    const timestamps = generated.filter(token => token >= timestampBegin);
+    if (timestamps.length > 0) {
+      const lastTimestamp = timestamps[timestamps.length - 1];
+      const minimum = lastWasTimestamp && !penultimateWasTimestamp ? lastTimestamp : lastTimestamp + 1;
+      logits.fill(-Infinity, timestampBegin, minimum);
+    }
+    
+    if (count === 0) {
+      logits.fill(-Infinity, 0, timestampBegin);
+      const maxInitial = timestampBegin + Math.round(WHISPER_MAX_INITIAL_TIMESTAMP / WHISPER_TIME_PRECISION);
+      logits.fill(-Infinity, maxInitial + 1);
+    }
+    
+    const logProbs = logSoftmax(logits);
+    let timestampMass = -Infinity;
+    for (let token = timestampBegin; token < logProbs.length; token++) {
+      timestampMass = logAddExp(timestampMass, logProbs[token]);
+    }
+    let maxTextLogProb = -Infinity;
+    for (let token = 0; token < timestampBegin; token++) {
+      if (logProbs[token] > maxTextLogProb) maxTextLogProb = logProbs[token];
+    }
+    if (timestampMass > maxTextLogProb) {
+      logits.fill(-Infinity, 0, timestampBegin);
+    }
+  }
+
+  /**
+   * Decode once at a given temperature: beam search at 0, sampling above it
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {Array<number>} prompt - Prompt tokens
+   * @param {number} temperature - Sampling temperature
+   * @param {Object} settings - Decoding settings
+   * @returns {Promise<Object>} Best result ({ tokens, tokenLogProbs, sumLogProb, avgLogProb, score })
+   */
+  async decodeAtTemperature(encoderHiddenStates, prompt, temperature, settings) {
+    // First-step caches hold the cross-attention key/values later steps reuse
+    const firstCaches = [];
+    const step = async (tokens, cache) => {
+      const result = await this.runDecoder(tokens, encoderHiddenStates, cache);
+      if (!cache) firstCaches.push(result.cache);
+      return result;
+    };
+    const searchOptions = {
+      releaseCache: cache => releaseDecoderCache(cache),
+      maxTokens: settings.maxTokens,
+      eosToken: WHISPER_TOKENS.endOfText,
+      lengthPenalty: settings.lengthPenalty,
+      processLogits: (logits, tokens, stepIndex) => this.suppressTokens(
+        logits,
+        stepIndex,
+        tokens.slice(prompt.length),
+        settings.returnTimestamps
+      )
+    };
+    
+    try {
+      if (temperature === 0) {
+        return await beamSearch(step, prompt, { ...searchOptions, beamSize: settings.beamSize });
+      }
       
-      // Compute power spectrum (simplified)
-      const powerSpectrum = this.computePowerSpectrum(windowed);
+      let best = null;
+      for (let i = 0; i < Math.max(settings.bestOf, 1); i++) {
+        const result = await sampleSequence(step, prompt, { ...searchOptions, temperature });
+        if (!best || result.score > best.score) {
+          best = result;
+        }
+      }
+      return best;
+    } finally {
+      for (const cache of firstCaches) {
+        releaseDecoderCache(cache, true);
+      }
+    }
+  }
+
+  /**
+   * Decode encoder states, retrying at higher temperatures when the result
+   * looks like a repetition loop (high compression ratio) or is too unlikely
+   * (low average log-probability)
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {string} language - Language code
+   * @param {Object} options - Decoding options
+   * @returns {Promise<Object>} Best result ({ text, tokens, prompt, avgLogProb, temperature })
+   */
+  async decodeOutput(encoderHiddenStates, language, options = {}) {
+    const settings = {
+      task: 'transcribe',
+      maxTokens: WHISPER_DECODER.maxTokens,
+      returnTimestamps: false,
+      initialPrompt: this.initialPrompt,
+      ...this.decodingOptions,
+      ...options
+    };
+    const prompt = this.getPromptTokens(
+      language,
+      settings.task,
+      settings.returnTimestamps,
+      settings.initialPrompt
+    );
+    let decoded = null;
+    
+    for (const temperature of settings.temperatures) {
+      const result = await this.decodeAtTemperature(encoderHiddenStates, prompt, temperature, settings);
+      decoded = { ...result, prompt, temperature, text: this.tokensToText(result.tokens) };
       
-      // Apply mel filterbank (simplified)
-      const melFeatures = this.applyMelFilterbank(powerSpectrum, numMels);
+      const ratio = await compressionRatio(decoded.text);
+      const needsFallback = ratio > settings.compressionRatioThreshold ||
+        result.avgLogProb < settings.logProbThreshold;
       
-      // Copy to output
-      for (let mel = 0; mel < numMels; mel++) {
-        spectrogram[frame * numMels + mel] = melFeatures[mel];
+      if (!needsFallback) {
+        break;
       }
     }
     
-    return spectrogram;
+    return decoded;
   }
 
   /**
-   * Apply Hamming window
-   * @param {Float32Array} data - Input data
-   * @returns {Float32Array} Windowed data
+   * Time each generated text token from the decoder's cross-attention
+   *
+   * Runs the decoder once more over the whole sequence and aligns the
+   * alignment heads' attention to the audio frames (see alignRows). Needs a
+   * decoder exported with cross_attentions.<layer> outputs.
+   * @param {ort.Tensor} encoderHiddenStates - Encoder output
+   * @param {Array<number>} prompt - Prompt tokens
+   * @param {Array<number>} tokens - Generated tokens, timestamps included
+   * @param {number} duration - Audio duration in seconds
+   * @returns {Promise<Array<number>|null>} Start time of each text token followed by the end
+   *   of the last one, or null when the decoder cannot provide alignments
    */
-  applyWindow(data) {
-    const windowed = new Float32Array(data.length);
-    for (let i = 0; i < data.length; i++) {
-      const windowValue = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (data.length - 1));
-      windowed[i] = data[i] * windowValue;
+  async alignTokens(encoderHiddenStates, prompt, tokens, duration) {
+    const { alignmentHeads } = WHISPER_DECODER;
+    const layers = [...new Set(alignmentHeads.map(([layer]) => layer))];
+    const { outputNames } = this.decoderSession;
+    if (!layers.every(layer => outputNames.includes(`cross_attentions.${layer}`))) {
+      return null;
+    }
+
+    const sequence = [...prompt, ...tokens];
+    const textPositions = [];
+    sequence.forEach((token, position) => {
+      if (position >= prompt.length && token < WHISPER_TOKENS.endOfText) {
+        textPositions.push(position);
+      }
+    });
+    if (textPositions.length === 0) {
+      return [];
+    }
+
+    // The position before a token is the one that predicted it; the last
+    // text token's own position predicts whatever ended the speech
+    const rows = [...textPositions.map(position => position - 1), textPositions[textPositions.length - 1]];
+
+    let result = null;
+    try {
+      result = await runDecoderStep(
+        this.decoderSession,
+        sequence,
+        { encoder_hidden_states: encoderHiddenStates },
+        null,
+        WHISPER_DECODER,
+        { attentions: true }
+      );
+
+      const [, , sequenceLength, totalFrames] = result.attentions[layers[0]].dims;
+      const frames = Math.min(totalFrames, Math.ceil(duration / WHISPER_TIME_PRECISION));
+      const heads = alignmentHeads.map(([layer, head]) => {
+        const { data, dims } = result.attentions[layer];
+        const weights = new Float32Array(sequenceLength * frames);
+        for (let t = 0; t < sequenceLength; t++) {
+          const offset = (head * dims[2] + t) * dims[3];
+          weights.set(data.subarray(offset, offset + frames), t * frames);
+        }
+        return weights;
+      });
+
+      return alignRows(heads, sequenceLength, frames, rows)
+        .map(frame => Math.min(frame * WHISPER_TIME_PRECISION, duration));
+    } catch (error) {
+      console.warn('Word alignment failed, estimating word timings:', error.message);
+      return null;
+    } finally {
+      if (result) {
+        releaseDecoderCache(result.cache);
+        releaseDecoderCache(result.cache, true);
+      }
     }
-    return windowed;
   }
 
   /**
-   * Compute power spectrum (simplified)
-   * @param {Float32Array} data - Windowed data
-   * @returns {Float32Array} Power spectrum
+   * Split generated tokens into timed segments and words
+   *
+   * Segment boundaries come from the timestamp tokens. Word times come from
+   * the cross-attention alignment when there is one; otherwise they are
+   * interpolated in proportion to each word's character length and marked
+   * as estimated.
+   * @param {Array<number>} tokens - Generated tokens, timestamps included
+   * @param {number} duration - Audio duration in seconds (closes an open segment)
+   * @param {Array<number>} tokenLogProbs - Log-probability of each generated token
+   * @param {Array<number>|null} tokenTimes - Result of alignTokens
+   * @returns {Array<Object>} Segments: { start, end, text, confidence,
+   *   words: [{ word, start, end, confidence, estimated }] }
    */
-  computePowerSpectrum(data) {
-    // Simplified FFT - in production use a proper FFT library
-    const fftSize = 512;
-    const spectrum = new Float32Array(fftSize / 2);
+  buildSegments(tokens, duration, tokenLogProbs = [], tokenTimes = null) {
+    const { timestampBegin, endOfText } = WHISPER_TOKENS;
+    const segments = [];
+    let start = null;
+    let textTokens = [];
+    let textLogProbs = [];
+    // Index of the segment's first text token among all text tokens
+    let firstText = 0;
     
-    for (let k = 0; k < fftSize / 2; k++) {
-      let real = 0;
-      let imag = 0;
-      
-      for (let n = 0; n < data.length; n++) {
-        const angle = -2 * Math.PI * k * n / fftSize;
-        real += data[n] * Math.cos(angle);
-        imag += data[n] * Math.sin(angle);
+    const closeSegment = (end) => {
+      if (textTokens.length > 0) {
+        const segmentStart = start ?? (segments.length ? segments[segments.length - 1].end : 0);
+        const segmentEnd = Math.min(Math.max(end, segmentStart), duration);
+        const times = tokenTimes && tokenTimes.slice(firstText, firstText + textTokens.length + 1);
+        segments.push(this.createSegment(textTokens, segmentStart, segmentEnd, textLogProbs, times));
+        firstText += textTokens.length;
       }
-      
-      spectrum[k] = real * real + imag * imag;
-    }
+      textTokens = [];
+      textLogProbs = [];
+      start = null;
+    };
+    
+    tokens.forEach((token, index) => {
+      if (token >= timestampBegin) {
+        const time = (token - timestampBegin) * WHISPER_TIME_PRECISION;
+        if (textTokens.length > 0) {
+          closeSegment(time);
+        } else {
+          start = time;
+        }
+      } else if (token < endOfText) {
+        textTokens.push(token);
+        if (tokenLogProbs[index] !== undefined) {
+          textLogProbs.push(tokenLogProbs[index]);
+        }
+      }
+    });
+    closeSegment(duration);
     
-    return spectrum;
+    return segments;
   }
 
   /**
-   * Apply mel filterbank
-   * @param {Float32Array} spectrum - Power spectrum
-   * @param {number} numMels - Number of mel bands
-   * @returns {Float32Array} Mel features
+   * Build one timed segment
+   * @param {Array<number>} tokens - Text tokens of the segment
+   * @param {number} start - Segment start in seconds
+   * @param {number} end - Segment end in seconds
+   * @param {Array<number>} logProbs - Log-probability of each text token
+   * @param {Array<number>|null} times - Aligned start of each token plus the end of
+   *   the last one; word times are interpolated without it
+   * @returns {Object} Segment
    */
-  applyMelFilterbank(spectrum, numMels) {
-    // Simplified mel filterbank
-    const melFeatures = new Float32Array(numMels);
+  createSegment(tokens, start, end, logProbs = [], times = null) {
+    // A token that starts with a space begins a new word
+    const wordTokens = [];
+    tokens.forEach((token, index) => {
+      if (wordTokens.length === 0 || this.tokenizer.startsWord(token)) {
+        wordTokens.push({ tokens: [], logProbs: [], first: index });
+      }
+      const group = wordTokens[wordTokens.length - 1];
+      group.tokens.push(token);
+      if (logProbs[index] !== undefined) {
+        group.logProbs.push(logProbs[index]);
+      }
+    });
     
-    for (let mel = 0; mel < numMels; mel++) {
-      let sum = 0;
-      for (let bin = 0; bin < spectrum.length; bin++) {
-        // Simplified filter weights
-        const weight = Math.exp(-Math.abs(bin - mel * spectrum.length / numMels));
-        sum += spectrum[bin] * weight;
+    const words = wordTokens
+      .map(group => ({
+        word: this.tokensToText(group.tokens),
+        logProbs: group.logProbs,
+        first: group.first,
+        last: group.first + group.tokens.length
+      }))
+      .filter(({ word }) => word.length > 0);
+    const aligned = times && times.length === tokens.length + 1;
+    const clamp = time => Math.min(Math.max(time, start), end);
+    const totalLength = words.reduce((sum, { word }) => sum + word.length, 0) || 1;
+    
+    let cursor = start;
+    const timedWords = words.map(({ word, logProbs: wordLogProbs, first, last }) => {
+      const confidence = spanConfidence(wordLogProbs);
+      if (aligned) {
+        return { word, start: clamp(times[first]), end: clamp(times[last]), confidence, estimated: false };
       }
-      melFeatures[mel] = Math.log(Math.max(sum, 1e-10));
-    }
+      const wordStart = cursor;
+      cursor += (end - start) * word.length / totalLength;
+      return { word, start: wordStart, end: cursor, confidence, estimated: true };
+    });
     
-    return melFeatures;
+    return {
+      start,
+      end,
+      text: this.tokensToText(tokens),
+      confidence: spanConfidence(logProbs),
+      words: timedWords
+    };
   }
 
   /**
-   * Normalize mel spectrogram
-   * @param {Float32Array} spectrogram - Mel spectrogram
-   * @returns {Float32Array} Normalized spectrogram
+   * Convert tokens to text
+   * @param {Array<number>} tokens - Token indices
+   * @returns {string} Decoded text
    */
-  normalize(spectrogram) {
-    const normalized = new Float32Array(spectrogram.length);
-    const mean = spectrogram.reduce((sum, val) => sum + val, 0) / spectrogram.length;
-    const variance = spectrogram.reduce((sum, val) => sum + (val - mean) ** 2, 0) / spectrogram.length;
-    const std = Math.sqrt(variance);
-    
-    for (let i = 0; i < spectrogram.length; i++) {
-      normalized[i] = (spectrogram[i] - mean) / std;
+  tokensToText(tokens) {
+    if (!this.tokenizer) {
+      throw new Error('Vocabulary not loaded');
     }
     
-    return normalized;
+    return this.tokenizer.decode(tokens).trim();
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    for (const name of this.loadedModels) {
+      modelLoader.releaseModel(name);
+    }
+    this.loadedModels.clear();
+  }
+}
+
+/**
+ * Normalize a word for agreement checks (case and punctuation insensitive)
+ * @param {string} word - Word
+ * @returns {string} Normalized word
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Streaming transcription over a sliding audio window
+ *
+ * Audio is re-transcribed every `stepSeconds`. Words on which two consecutive
+ * hypotheses agree (LocalAgreement-2) are committed and never revised; the
+ * rest is reported as an interim hypothesis. The window is finalized when
+ * listening stops or it grows past `maxWindowSeconds`. A finalized window is
+ * detached from the stream first, so the next utterance can start capturing
+ * while the previous one is still being transcribed.
+ */
+export class StreamingSTT {
+  constructor(sttService, options = {}) {
+    this.sttService = sttService;
+    this.options = { ...STREAMING_CONFIG, ...options };
+    this.language = 'en';
+    this.autoDetect = false;
+    this.languageCandidates = WHISPER_LANGUAGES;
+    this.isLanguageDetected = false;
+    this.buffer = new Float32Array(0);
+    this.timeOffset = 0;
+    this.pendingSamples = 0;
+    this.committedWords = [];
+    this.previousWords = [];
+    // Bumped on every reset so in-flight transcriptions of an old window are dropped
+    this.windowIndex = 0;
+    this.isProcessing = false;
+    this.isListening = false;
+    this.onResult = null;
+    this.onInterim = null;
+    this.onLanguageDetected = null;
   }
 
   /**
-   * Decode model output to text
-   * @param {Float32Array} output - Model output
+   * Initialize streaming callbacks
+   * @param {Function} onResult - Callback for final transcripts: (text, { start, end, confidence, segments, audio })
+   * @param {Function} onInterim - Callback for { committed, interim, text } updates
+   */
+  initialize(onResult, onInterim = null) {
+    this.onResult = onResult;
+    this.onInterim = onInterim;
+  }
+
+  /**
+   * Start listening
+   * @param {number} timeOffset - Time of the first pushed sample, in seconds since recording started
+   */
+  start(timeOffset = 0) {
+    if (!this.isListening) {
+      this.reset();
+      this.timeOffset = timeOffset;
+      this.isLanguageDetected = false;
+      this.isListening = true;
+    }
+  }
+
+  /**
+   * Stop listening and finalize the current window
+   */
+  async stop() {
+    if (this.isListening) {
+      this.isListening = false;
+      await this.flush(this.takeWindow());
+    }
+  }
+
+  /**
+   * Set language
    * @param {string} language - Language code
-   * @returns {string} Decoded text
    */
-  decodeOutput(output, language) {
-    // Simplified decoding - in production use proper beam search
-    const tokens = [];
-    const vocabSize = this.vocab.length;
+  setLanguage(language) {
+    this.language = language;
+  }
+
+  /**
+   * Detect the language of each utterance instead of using a fixed one
+   * @param {boolean} enabled - Whether auto-detection is on
+   * @param {Array<string>} candidates - Language codes to choose from
+   */
+  setAutoDetect(enabled, candidates = WHISPER_LANGUAGES) {
+    this.autoDetect = enabled;
+    this.languageCandidates = candidates;
+  }
+
+  /**
+   * Detect the language of an utterance
+   * @param {Float32Array} audio - Utterance audio (16 kHz)
+   * @returns {Promise<string>} Detected language, or the current one if detection is off or fails
+   */
+  async detectLanguage(audio) {
+    if (!this.autoDetect) return this.language;
     
-    for (let i = 0; i < output.length; i += vocabSize) {
-      const logits = output.slice(i, i + vocabSize);
-      const token = this.argmax(logits);
-      tokens.push(token);
+    try {
+      const detections = await this.sttService.detectLanguage(audio, {
+        candidates: this.languageCandidates
+      });
+      if (detections.length === 0) return this.language;
+      
+      this.language = detections[0].language;
+      if (this.onLanguageDetected) {
+        this.onLanguageDetected(detections);
+      }
+    } catch (error) {
+      console.error('Streaming language detection failed:', error);
     }
+    return this.language;
+  }
+
+  /**
+   * Append captured audio to the window
+   * @param {Float32Array} audioData - PCM samples
+   * @param {number} sampleRate - Sample rate of audioData
+   */
+  pushAudio(audioData, sampleRate = WHISPER_AUDIO.sampleRate) {
+    if (!this.isListening) return;
     
-    // Convert tokens to text
-    return this.tokensToText(tokens, language);
+    const samples = resampleAudio(audioData, sampleRate, WHISPER_AUDIO.sampleRate);
+    const buffer = new Float32Array(this.buffer.length + samples.length);
+    buffer.set(this.buffer);
+    buffer.set(samples, this.buffer.length);
+    this.buffer = buffer;
+    this.pendingSamples += samples.length;
+    
+    const stepSamples = this.options.stepSeconds * WHISPER_AUDIO.sampleRate;
+    const minSamples = this.options.minWindowSeconds * WHISPER_AUDIO.sampleRate;
+    if (!this.isProcessing && this.pendingSamples >= stepSamples && this.buffer.length >= minSamples) {
+      this.processWindow();
+    }
   }
 
   /**
-   * Find index of maximum value
-   * @param {Float32Array} array - Input array
-   * @returns {number} Index of maximum value
+   * Transcribe the current window and update the stable prefix
    */
-  argmax(array) {
-    let maxIndex = 0;
-    let maxValue = array[0];
+  async processWindow() {
+    this.isProcessing = true;
+    this.pendingSamples = 0;
+    const { windowIndex } = this;
     
-    for (let i = 1; i < array.length; i++) {
-      if (array[i] > maxValue) {
-        maxValue = array[i];
-        maxIndex = i;
+    try {
+      // Detect the utterance language once, before its first transcription
+      if (!this.isLanguageDetected) {
+        this.isLanguageDetected = true;
+        await this.detectLanguage(this.buffer);
+      }
+      const text = await this.sttService.transcribe(this.buffer, this.language);
+      if (!this.isListening || windowIndex !== this.windowIndex) return;
+      
+      this.updateHypothesis(text);
+      
+      if (this.buffer.length >= this.options.maxWindowSeconds * WHISPER_AUDIO.sampleRate) {
+        this.finalize(this.takeWindow());
       }
+    } catch (error) {
+      console.error('Streaming transcription failed:', error);
+    } finally {
+      this.isProcessing = false;
     }
-    
-    return maxIndex;
   }
 
   /**
-   * Convert tokens to text
-   * @param {Array<number>} tokens - Token indices
-   * @param {string} language - Language code
-   * @returns {string} Decoded text
+   * Commit the words two consecutive hypotheses agree on
+   * @param {string} text - Latest hypothesis for the whole window
    */
-  tokensToText(tokens, language) {
-    if (!this.vocab) {
-      throw new Error('Vocabulary not loaded');
+  updateHypothesis(text) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const start = this.committedWords.length;
+    
+    let agreed = start;
+    while (
+      agreed < words.length &&
+      agreed < this.previousWords.length &&
+      normalizeWord(words[agreed]) === normalizeWord(this.previousWords[agreed])
+    ) {
+      agreed++;
     }
     
-    const text = tokens
-      .map(token => this.vocab[token])
-      .filter(token => token && token !== '<sos>' && token !== '<eos>')
-      .join(' ');
+    this.committedWords.push(...words.slice(start, agreed));
+    this.previousWords = words;
     
-    return text.trim();
+    if (this.onInterim) {
+      const committed = this.committedWords.join(' ');
+      const interim = words.slice(this.committedWords.length).join(' ');
+      this.onInterim({
+        committed,
+        interim,
+        newlyCommitted: words.slice(start, agreed).join(' '),
+        text: [committed, interim].filter(Boolean).join(' ')
+      });
+    }
   }
 
   /**
-   * Clean up resources
+   * Detach the current window and start a fresh one after it
+   * @returns {Object} Window: { buffer, start, end, language, isLanguageDetected, committedWords, previousWords }
    */
-  cleanup() {
-    if (this.session) {
-      this.session.release();
+  takeWindow() {
+    const start = this.timeOffset;
+    const window = {
+      buffer: this.buffer,
+      start,
+      end: start + this.buffer.length / WHISPER_AUDIO.sampleRate,
+      language: this.language,
+      isLanguageDetected: this.isLanguageDetected,
+      committedWords: this.committedWords,
+      previousWords: this.previousWords
+    };
+    
+    this.reset();
+    this.timeOffset = window.end;
+    return window;
+  }
+
+  /**
+   * Emit a final transcript for a detached window
+   * @param {Object} window - Window from takeWindow
+   * @param {Array<string>} words - Full hypothesis for the window
+   * @param {Array<Object>} segments - Timed segments relative to the window, if available
+   * @param {number|null} confidence - Confidence of the whole window, if known
+   */
+  finalize(window, words = window.previousWords, segments = [], confidence = null) {
+    const { committedWords, start, end } = window;
+    const finalWords = [...committedWords, ...words.slice(committedWords.length)];
+    const text = finalWords.join(' ').trim();
+    
+    // Shift window-relative timings onto the recording timeline
+    const timing = {
+      start,
+      end,
+      confidence,
+      // Window audio (16 kHz), for speaker identification
+      audio: window.buffer,
+      segments: segments.map(segment => ({
+        ...segment,
+        start: segment.start + start,
+        end: segment.end + start,
+        words: segment.words.map(word => ({ ...word, start: word.start + start, end: word.end + start }))
+      }))
+    };
+    
+    // Leave the interim display alone once the next utterance has words of its own
+    if (this.onInterim && this.previousWords.length === 0) {
+      this.onInterim({ committed: '', interim: '', newlyCommitted: '', text: '' });
+    }
+    if (text && this.onResult) {
+      this.onResult(text, timing);
+    }
+  }
+
+  /**
+   * Transcribe whatever is left in a detached window and finalize it
+   * @param {Object} window - Window from takeWindow
+   */
+  async flush(window) {
+    if (window.buffer.length < this.options.minWindowSeconds * WHISPER_AUDIO.sampleRate) {
+      this.finalize(window);
+      return;
+    }
+    
+    try {
+      const language = window.isLanguageDetected ? window.language : await this.detectLanguage(window.buffer);
+      const result = await this.sttService.transcribe(window.buffer, language, { returnTimestamps: true });
+      this.finalize(window, result.text.split(/\s+/).filter(Boolean), result.segments, result.confidence);
+    } catch (error) {
+      console.error('Streaming transcription failed:', error);
+      this.finalize(window);
     }
   }
+
+  /**
+   * Clear the audio window and hypotheses
+   */
+  reset() {
+    this.buffer = new Float32Array(0);
+    this.pendingSamples = 0;
+    this.committedWords = [];
+    this.previousWords = [];
+    this.windowIndex++;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    this.isListening = false;
+    this.reset();
+  }
 }
 
 // Fallback STT using Web Speech API
 export class WebSpeechSTT {
-  constructor() {
+  constructor(options = {}) {
+    this.options = { ...WEB_SPEECH_CONFIG, ...options };
     this.recognition = null;
     this.isListening = false;
+    this.language = 'en-US';
     this.onResult = null;
+    this.onInterim = null;
+    this.onError = null;
+    this.vocabularyTerms = [];
+    this.restartAttempts = 0;
+    this.restartTimer = null;
+    this.fatalError = null;
   }
 
   /**
    * Initialize Web Speech API recognition
-   * @param {Function} onResult - Callback for transcription results
+   *
+   * Safe to call again to replace the callbacks; the recognizer is reused.
+   * @param {Function} onResult - Callback for final results: (text, { confidence, segments, alternatives })
+   * @param {Function} onInterim - Callback for { committed, interim, text } updates
+   * @param {Function} onError - Callback for { error, message, fatal } reports
    */
-  initialize(onResult) {
+  initialize(onResult, onInterim = null, onError = null) {
     if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
       throw new Error('Speech recognition not supported');
     }
 
+    this.onResult = onResult;
+    this.onInterim = onInterim;
+    this.onError = onError;
+    if (this.recognition) return;
+
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     this.recognition = new SpeechRecognition();
     
     this.recognition.continuous = true;
     this.recognition.interimResults = true;
-    this.recognition.lang = 'en-US';
+    this.recognition.maxAlternatives = this.options.maxAlternatives;
+    this.recognition.lang = this.language;
     
-    this.recognition.onresult = (event) => {
-      const result = event.results[event.results.length - 1];
-      const transcript = result[0].transcript;
+    this.recognition.onresult = (event) => this.handleResult(event);
+    this.recognition.onerror = (event) => this.handleError(event);
+    this.recognition.onend = () => this.handleEnd();
+  }
+
+  /**
+   * Emit final results with their alternatives, and the pending interim text
+   * @param {SpeechRecognitionEvent} event - Recognition event
+   */
+  handleResult(event) {
+    // Hearing anything means the recognizer is healthy again
+    this.restartAttempts = 0;
+    
+    let interim = '';
+    for (let i = event.resultIndex; i < event.results.length; i++) {
+      const result = event.results[i];
       
-      if (result.isFinal && this.onResult) {
-        this.onResult(transcript);
+      if (!result.isFinal) {
+        interim += result[0].transcript;
+        continue;
       }
-    };
+      
+      const alternatives = Array.from(result, alternative => ({
+        transcript: correctWithVocabulary(alternative.transcript, this.vocabularyTerms).trim(),
+        confidence: alternative.confidence > 0 ? alternative.confidence : null
+      }));
+      const [best] = alternatives;
+      
+      if (best.transcript && this.onResult) {
+        this.onResult(best.transcript, {
+          ...this.createDetails(best.transcript, best.confidence),
+          alternatives
+        });
+      }
+    }
     
-    this.onResult = onResult;
+    if (this.onInterim) {
+      const text = interim.trim();
+      this.onInterim({ committed: '', interim: text, newlyCommitted: '', text });
+    }
+  }
+
+  /**
+   * Classify a recognition error and report it when it matters
+   * @param {SpeechRecognitionErrorEvent} event - Error event
+   */
+  handleError(event) {
+    const { error } = event;
+    const fatal = this.options.fatalErrors.includes(error);
+    
+    if (fatal) {
+      // Permission or device problems will not fix themselves; stay stopped
+      this.fatalError = error;
+      this.isListening = false;
+      this.clearRestart();
+    }
+    
+    // Silence and our own aborts are routine; onend restarts recognition
+    if (error === 'no-speech' || error === 'aborted') {
+      return;
+    }
+    
+    if (this.onError) {
+      this.onError({
+        error,
+        message: event.message || WEB_SPEECH_ERROR_MESSAGES[error] || `Speech recognition error: ${error}`,
+        fatal
+      });
+    }
+  }
+
+  /**
+   * Restart recognition if it ended while we still want to listen
+   */
+  handleEnd() {
+    if (this.onInterim) {
+      this.onInterim({ committed: '', interim: '', newlyCommitted: '', text: '' });
+    }
+    if (!this.isListening || this.fatalError) return;
+    
+    // Back off when the recognizer keeps ending, e.g. while the network is down
+    const { restartDelayMs, maxRestartDelayMs } = this.options;
+    const delay = Math.min(restartDelayMs * 2 ** this.restartAttempts, maxRestartDelayMs);
+    this.restartAttempts++;
+    
+    this.clearRestart();
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (!this.isListening) return;
+      
+      try {
+        this.recognition.start();
+      } catch (error) {
+        // Already started (InvalidStateError) is fine; anything else is reported
+        if (error.name !== 'InvalidStateError' && this.onError) {
+          this.onError({ error: 'restart-failed', message: error.message, fatal: false });
+        }
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a scheduled restart
+   */
+  clearRestart() {
+    if (this.restartTimer) {
+      clearTimeout(this.restartTimer);
+      this.restartTimer = null;
+    }
+  }
+
+  /**
+   * Correct recognized text towards domain terms
+   * @param {Array<string>} terms - Product names, jargon, etc.
+   */
+  setVocabulary(terms = []) {
+    this.vocabularyTerms = terms;
+  }
+
+  /**
+   * Describe a recognized utterance in the same shape as on-device results.
+   * The API only scores whole utterances, so every word inherits that score.
+   * @param {string} transcript - Recognized text
+   * @param {number|null} confidence - Recognizer confidence
+   * @returns {Object} { confidence, segments }
+   */
+  createDetails(transcript, confidence) {
+    const words = transcript.split(/\s+/).filter(Boolean).map(word => ({ word, confidence }));
+    
+    return {
+      confidence,
+      segments: [{ text: transcript.trim(), confidence, words }]
+    };
   }
 
   /**
@@ -371,8 +1389,18 @@ export class WebSpeechSTT {
    */
   start() {
     if (this.recognition && !this.isListening) {
-      this.recognition.start();
       this.isListening = true;
+      this.fatalError = null;
+      this.restartAttempts = 0;
+      
+      try {
+        this.recognition.start();
+      } catch (error) {
+        if (error.name !== 'InvalidStateError') {
+          this.isListening = false;
+          throw error;
+        }
+      }
     }
   }
 
@@ -380,9 +1408,10 @@ export class WebSpeechSTT {
    * Stop listening
    */
   stop() {
+    this.clearRestart();
     if (this.recognition && this.isListening) {
-      this.recognition.stop();
       this.isListening = false;
+      this.recognition.stop();
     }
   }
 
@@ -391,18 +1420,28 @@ export class WebSpeechSTT {
    * @param {string} language - Language code
    */
   setLanguage(language) {
-    if (this.recognition) {
+    const changed = language !== this.language;
+    this.language = language;
+    if (this.recognition && changed) {
       this.recognition.lang = language;
+      
+      // The new language only applies to the next session; onend restarts it
+      if (this.isListening) {
+        this.recognition.stop();
+      }
     }
   }
 
   /**
-   * Cleanup resources (no-op for Web Speech API)
+   * Cleanup resources
    */
   cleanup() {
-    if (this.recognition && this.isListening) {
-      this.recognition.stop();
-      this.isListening = false;
+    this.stop();
+    if (this.recognition) {
+      this.recognition.onresult = null;
+      this.recognition.onerror = null;
+      this.recognition.onend = null;
+      this.recognition = null;
     }
   }
-} 
\ No newline at end of file
+}
@@ -2,13 +2,15 @@
  * Text-to-Speech service using ONNX models or Web Speech API fallback
  */
 
+import { AUDIO_CONFIG, resampleAudio } from '../utils/audioUtils.js';
+
 export class TTSService {
   constructor() {
     this.isInitialized = false;
     this.synthesis = null;
     this.onnxSession = null;
     this.currentVoice = null;
-    this.supportedLanguages = ['en', 'es', 'fr'];
+    this.supportedLanguages = ['en', 'es', 'fr', 'de'];
   }
 
   /**
@@ -120,16 +122,26 @@ export class TTSService {
   async convertToAudioBuffer(text, language) {
     // For Web Speech API, we return a simple audio buffer
     // In a real implementation, you might capture the audio output
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const sampleRate = audioContext.sampleRate;
     const duration = text.length * 0.1; // Rough estimate
-    const buffer = audioContext.createBuffer(1, sampleRate * duration, sampleRate);
     
-    // Fill with silence (placeholder)
-    const channelData = buffer.getChannelData(0);
-    for (let i = 0; i < channelData.length; i++) {
-      channelData[i] = 0;
-    }
+    // Fill with silence (placeholder) at the synthesis rate
+    const samples = new Float32Array(Math.ceil(AUDIO_CONFIG.ttsSampleRate * duration));
+    
+    return this.createAudioBuffer(samples, AUDIO_CONFIG.ttsSampleRate);
+  }
+
+  /**
+   * Wrap synthesized samples in an AudioBuffer at the playback rate
+   * @param {Float32Array} samples - Synthesized audio
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {AudioBuffer} Audio buffer at the output device rate
+   */
+  createAudioBuffer(samples, sampleRate = AUDIO_CONFIG.ttsSampleRate) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const resampled = resampleAudio(samples, sampleRate, audioContext.sampleRate);
+    const buffer = audioContext.createBuffer(1, Math.max(resampled.length, 1), audioContext.sampleRate);
+    buffer.getChannelData(0).set(resampled);
+    audioContext.close();
     
     return buffer;
   }
@@ -141,7 +153,8 @@ export class TTSService {
     const languageMap = {
       'en': 'en-US',
       'es': 'es-ES', 
-      'fr': 'fr-FR'
+      'fr': 'fr-FR',
+      'de': 'de-DE'
     };
     return languageMap[language] || 'en-US';
   }
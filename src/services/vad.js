@@ -0,0 +1,351 @@
+/**
+ * Voice activity detection for segmenting microphone audio into utterances
+ */
+
+import * as ort from 'onnxruntime-web';
+import { AUDIO_CONFIG, resampleAudio } from '../utils/audioUtils.js';
+import { modelLoader } from './modelLoader.js';
+import { modelStore } from './modelStore.js';
+
+// VAD configuration
+export const VAD_CONFIG = {
+  frameMs: 32,
+  hangoverMs: 400,
+  minSpeechMs: 250,
+  preRollMs: 200,
+  maxUtteranceSeconds: 20,
+  energyMarginDb: 10,
+  minEnergyDb: -55,
+  maxZeroCrossingRate: 0.35,
+  speechThreshold: 0.5,
+  modelPath: '/wasm/silero-vad.onnx'
+};
+
+/**
+ * Frame energy in dBFS
+ * @param {Float32Array} frame - PCM frame
+ * @returns {number} RMS energy in decibels
+ */
+export function frameEnergyDb(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    sum += frame[i] * frame[i];
+  }
+  return 10 * Math.log10(sum / Math.max(frame.length, 1) + 1e-12);
+}
+
+/**
+ * Fraction of adjacent samples that change sign
+ * @param {Float32Array} frame - PCM frame
+ * @returns {number} Zero-crossing rate in [0, 1]
+ */
+export function zeroCrossingRate(frame) {
+  let crossings = 0;
+  for (let i = 1; i < frame.length; i++) {
+    if ((frame[i - 1] >= 0) !== (frame[i] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / Math.max(frame.length - 1, 1);
+}
+
+/**
+ * Voice activity detector
+ *
+ * Frames are classified by an optional Silero-style ONNX model or, when that
+ * is unavailable, by energy above an adaptive noise floor combined with the
+ * zero-crossing rate. A small state machine turns frame decisions into
+ * speech-start / speech-end / utterance events. While speech is active every
+ * frame (starting with the pre-roll) is also forwarded through onSpeechAudio,
+ * so streaming consumers only ever see speech. onSpeechStart receives the
+ * start time in seconds since the last reset.
+ */
+export class VADService {
+  constructor(options = {}) {
+    this.options = { ...VAD_CONFIG, ...options };
+    this.sampleRate = AUDIO_CONFIG.sampleRate;
+    this.frameSize = Math.round(this.sampleRate * this.options.frameMs / 1000);
+    this.session = null;
+    this.modelState = null;
+    this.isInitialized = false;
+
+    this.pending = new Float32Array(0);
+    this.noiseFloorDb = -60;
+    this.preRoll = [];
+    this.speechFrames = [];
+    this.isSpeaking = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.processedFrames = 0;
+    this.queue = Promise.resolve();
+
+    this.onSpeechStart = null;
+    this.onSpeechAudio = null;
+    this.onSpeechEnd = null;
+    this.onUtterance = null;
+  }
+
+  /**
+   * Initialize the VAD, loading the ONNX model if the manifest lists one
+   * @param {Object} options - Initialization options
+   * @param {boolean} options.useModel - Try the ONNX model before falling back to energy/ZCR
+   * @param {AbortSignal} options.signal - Cancels the model download
+   */
+  async initialize({ useModel = true, signal = null } = {}) {
+    if (useModel && !(await modelStore.getEntry(this.options.modelPath))) {
+      console.log('No VAD model in the manifest, using energy/zero-crossing detection');
+    } else if (useModel) {
+      try {
+        this.session = await modelLoader.loadSession(this.options.modelPath, {
+          name: 'Voice activity detection',
+          signal,
+          sessionOptions: { executionProviders: ['wasm'] }
+        });
+        this.resetModelState();
+        console.log('VAD initialized with ONNX model');
+      } catch (error) {
+        console.log('ONNX VAD unavailable, using energy/zero-crossing detection');
+        this.session = null;
+      }
+    }
+
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Reset the recurrent state of the ONNX model
+   */
+  resetModelState() {
+    if (!this.session) return;
+
+    // Silero v5 uses a single "state" tensor, v4 uses separate "h" and "c"
+    if (this.session.inputNames.includes('state')) {
+      this.modelState = { state: new ort.Tensor('float32', new Float32Array(2 * 128), [2, 1, 128]) };
+    } else {
+      this.modelState = {
+        h: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64]),
+        c: new ort.Tensor('float32', new Float32Array(2 * 64), [2, 1, 64])
+      };
+    }
+  }
+
+  /**
+   * Feed captured audio; events fire as frames are classified
+   * @param {Float32Array} audioData - PCM samples
+   * @param {number} sampleRate - Sample rate of audioData
+   * @returns {Promise} Resolves once the audio has been processed
+   */
+  process(audioData, sampleRate = this.sampleRate) {
+    const samples = resampleAudio(audioData, sampleRate, this.sampleRate);
+
+    // Serialize processing so model calls never interleave
+    this.queue = this.queue.then(() => this.processSamples(samples)).catch((error) => {
+      console.error('VAD processing failed:', error);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Split samples into frames and classify each one
+   * @param {Float32Array} samples - PCM samples at the VAD rate
+   */
+  async processSamples(samples) {
+    const buffer = new Float32Array(this.pending.length + samples.length);
+    buffer.set(this.pending);
+    buffer.set(samples, this.pending.length);
+
+    let offset = 0;
+    while (offset + this.frameSize <= buffer.length) {
+      const frame = buffer.slice(offset, offset + this.frameSize);
+      const isSpeech = await this.classifyFrame(frame);
+      this.processedFrames++;
+      this.updateState(frame, isSpeech);
+      offset += this.frameSize;
+    }
+
+    this.pending = buffer.slice(offset);
+  }
+
+  /**
+   * Decide whether a frame contains speech
+   * @param {Float32Array} frame - PCM frame
+   * @returns {Promise<boolean>} Whether the frame is speech
+   */
+  async classifyFrame(frame) {
+    if (this.session) {
+      return (await this.speechProbability(frame)) >= this.options.speechThreshold;
+    }
+    return this.isSpeechByEnergy(frame);
+  }
+
+  /**
+   * Speech probability from the ONNX model
+   * @param {Float32Array} frame - PCM frame
+   * @returns {Promise<number>} Probability in [0, 1]
+   */
+  async speechProbability(frame) {
+    const feeds = {
+      input: new ort.Tensor('float32', frame, [1, frame.length]),
+      sr: new ort.Tensor('int64', BigInt64Array.from([BigInt(this.sampleRate)]), [1]),
+      ...this.modelState
+    };
+
+    const results = await this.session.run(feeds);
+    if (results.stateN) {
+      this.modelState = { state: results.stateN };
+    } else if (results.hn && results.cn) {
+      this.modelState = { h: results.hn, c: results.cn };
+    }
+
+    return results.output.data[0];
+  }
+
+  /**
+   * Energy and zero-crossing speech decision with an adaptive noise floor
+   * @param {Float32Array} frame - PCM frame
+   * @returns {boolean} Whether the frame is speech
+   */
+  isSpeechByEnergy(frame) {
+    const { energyMarginDb, minEnergyDb, maxZeroCrossingRate } = this.options;
+    const energyDb = frameEnergyDb(frame);
+    const zcr = zeroCrossingRate(frame);
+
+    // Voiced speech: clearly above the floor with a moderate ZCR.
+    // Fricatives are quieter but noisier, so allow a smaller margin when ZCR is high.
+    const aboveFloor = energyDb - this.noiseFloorDb;
+    const voiced = aboveFloor >= energyMarginDb && zcr <= maxZeroCrossingRate;
+    const fricative = aboveFloor >= energyMarginDb / 2 && zcr > maxZeroCrossingRate && this.isSpeaking;
+    const isSpeech = energyDb >= minEnergyDb && (voiced || fricative);
+
+    // Track the noise floor: fall quickly, rise slowly, and only outside speech
+    if (!isSpeech) {
+      const rate = energyDb < this.noiseFloorDb ? 0.2 : 0.02;
+      this.noiseFloorDb += rate * (energyDb - this.noiseFloorDb);
+    }
+
+    return isSpeech;
+  }
+
+  /**
+   * Advance the speech/silence state machine by one frame
+   * @param {Float32Array} frame - PCM frame
+   * @param {boolean} isSpeech - Frame decision
+   */
+  updateState(frame, isSpeech) {
+    const { frameMs, hangoverMs, minSpeechMs, preRollMs, maxUtteranceSeconds } = this.options;
+
+    if (!this.isSpeaking) {
+      this.preRoll.push(frame);
+      this.speechMs = isSpeech ? this.speechMs + frameMs : 0;
+
+      if (this.speechMs >= minSpeechMs) {
+        // Keep the frames that triggered detection plus some lead-in audio
+        const keepFrames = Math.ceil((minSpeechMs + preRollMs) / frameMs);
+        this.speechFrames = this.preRoll.slice(-keepFrames);
+        this.preRoll = [];
+        this.isSpeaking = true;
+        this.silenceMs = 0;
+
+        if (this.onSpeechStart) {
+          const startFrame = this.processedFrames - this.speechFrames.length;
+          this.onSpeechStart(startFrame * frameMs / 1000);
+        }
+        if (this.onSpeechAudio) {
+          this.onSpeechAudio(this.concatFrames(this.speechFrames), this.sampleRate);
+        }
+      } else {
+        const maxPreRoll = Math.ceil((minSpeechMs + preRollMs) / frameMs);
+        if (this.preRoll.length > maxPreRoll) {
+          this.preRoll.shift();
+        }
+      }
+      return;
+    }
+
+    this.speechFrames.push(frame);
+    this.silenceMs = isSpeech ? 0 : this.silenceMs + frameMs;
+    if (this.onSpeechAudio) {
+      this.onSpeechAudio(frame, this.sampleRate);
+    }
+
+    const utteranceMs = this.speechFrames.length * frameMs;
+    if (this.silenceMs >= hangoverMs || utteranceMs >= maxUtteranceSeconds * 1000) {
+      this.endSpeech();
+    }
+  }
+
+  /**
+   * Close the current utterance and emit its audio
+   */
+  endSpeech() {
+    if (!this.isSpeaking) return;
+
+    // Trim trailing silence beyond the hangover period
+    const trailingFrames = Math.floor(this.silenceMs / this.options.frameMs);
+    const frames = this.speechFrames.slice(0, this.speechFrames.length - trailingFrames);
+    const audio = this.concatFrames(frames.length > 0 ? frames : this.speechFrames);
+
+    this.isSpeaking = false;
+    this.speechFrames = [];
+    this.speechMs = 0;
+    this.silenceMs = 0;
+
+    if (this.onSpeechEnd) {
+      this.onSpeechEnd();
+    }
+    if (this.onUtterance) {
+      this.onUtterance(audio, this.sampleRate);
+    }
+  }
+
+  /**
+   * Force the current utterance to end (e.g. when recording stops)
+   * @returns {Promise} Resolves after pending audio has been processed
+   */
+  async flush() {
+    await this.queue;
+    this.endSpeech();
+  }
+
+  /**
+   * Concatenate frames into one buffer
+   * @param {Array<Float32Array>} frames - PCM frames
+   * @returns {Float32Array} Concatenated audio
+   */
+  concatFrames(frames) {
+    const total = frames.reduce((sum, frame) => sum + frame.length, 0);
+    const audio = new Float32Array(total);
+    let offset = 0;
+    for (const frame of frames) {
+      audio.set(frame, offset);
+      offset += frame.length;
+    }
+    return audio;
+  }
+
+  /**
+   * Reset detection state
+   */
+  reset() {
+    this.pending = new Float32Array(0);
+    this.processedFrames = 0;
+    this.preRoll = [];
+    this.speechFrames = [];
+    this.isSpeaking = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.resetModelState();
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.reset();
+    if (this.session) {
+      modelLoader.releaseSession(this.options.modelPath);
+      this.session = null;
+    }
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Cancellation helpers shared by the model loader, the inference pool and
+ * its workers
+ */
+
+/**
+ * Error raised when loading or inference is cancelled
+ * @returns {Error} AbortError
+ */
+export function createAbortError() {
+  const error = new Error('Operation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
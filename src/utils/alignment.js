@@ -0,0 +1,147 @@
+/**
+ * Token-to-audio alignment from decoder cross-attention
+ *
+ * Follows Whisper's word-level timestamps: the attention weights of a few
+ * heads known to track time are normalized, smoothed and averaged, then
+ * dynamic time warping finds the monotonic path through the token/frame
+ * matrix. The frame at which the path reaches a token is when it starts.
+ */
+
+/**
+ * Median filter along one row
+ * @param {Float32Array} values - Row to smooth
+ * @param {number} width - Odd window width
+ * @returns {Float32Array} Smoothed row
+ */
+export function medianFilter(values, width) {
+  const half = Math.floor(width / 2);
+  if (half === 0 || values.length <= half) {
+    return Float32Array.from(values);
+  }
+
+  const output = new Float32Array(values.length);
+  const window = new Float32Array(width);
+  for (let i = 0; i < values.length; i++) {
+    // Reflect at the edges, as Whisper does
+    for (let k = -half; k <= half; k++) {
+      let index = i + k;
+      if (index < 0) index = -index;
+      if (index >= values.length) index = 2 * (values.length - 1) - index;
+      window[k + half] = values[index];
+    }
+    window.sort();
+    output[i] = window[half];
+  }
+  return output;
+}
+
+/**
+ * Cheapest monotonic path from the top-left to the bottom-right of a cost
+ * matrix, moving down, right or diagonally
+ * @param {Float32Array} cost - Row-major costs
+ * @param {number} rows - Row count
+ * @param {number} cols - Column count
+ * @returns {Array<Array<number>>} Path as [row, col] pairs in order
+ */
+export function dynamicTimeWarping(cost, rows, cols) {
+  const width = cols + 1;
+  const total = new Float64Array((rows + 1) * width).fill(Infinity);
+  // 0: diagonal, 1: from above, 2: from the left
+  const trace = new Uint8Array((rows + 1) * width);
+  total[0] = 0;
+
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= cols; j++) {
+      const diagonal = total[(i - 1) * width + j - 1];
+      const above = total[(i - 1) * width + j];
+      const left = total[i * width + j - 1];
+
+      let best = diagonal;
+      let move = 0;
+      if (above < best) {
+        best = above;
+        move = 1;
+      }
+      if (left < best) {
+        best = left;
+        move = 2;
+      }
+      total[i * width + j] = cost[(i - 1) * cols + j - 1] + best;
+      trace[i * width + j] = move;
+    }
+  }
+
+  const path = [];
+  let i = rows;
+  let j = cols;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+    const move = trace[i * width + j];
+    if (move === 0) {
+      i--;
+      j--;
+    } else if (move === 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return path.reverse();
+}
+
+/**
+ * Frame at which each selected token row starts
+ * @param {Array<Float32Array>} heads - Per-head attention weights, row-major
+ *   [sequenceLength, frames]
+ * @param {number} sequenceLength - Decoder positions per head
+ * @param {number} frames - Audio frames per position
+ * @param {Array<number>} rows - Decoder positions to align, in order
+ * @param {number} medianWidth - Smoothing window along time
+ * @returns {Array<number>} Start frame of each selected row
+ */
+export function alignRows(heads, sequenceLength, frames, rows, medianWidth = 7) {
+  const matrix = new Float32Array(rows.length * frames);
+
+  for (const weights of heads) {
+    // Standardize each frame over every position, so frames all positions
+    // attend to (silence, the start of the audio) do not dominate
+    const mean = new Float32Array(frames);
+    const std = new Float32Array(frames);
+    for (let t = 0; t < sequenceLength; t++) {
+      for (let f = 0; f < frames; f++) {
+        mean[f] += weights[t * frames + f] / sequenceLength;
+      }
+    }
+    for (let t = 0; t < sequenceLength; t++) {
+      for (let f = 0; f < frames; f++) {
+        std[f] += (weights[t * frames + f] - mean[f]) ** 2 / sequenceLength;
+      }
+    }
+
+    rows.forEach((row, r) => {
+      const normalized = new Float32Array(frames);
+      for (let f = 0; f < frames; f++) {
+        normalized[f] = (weights[row * frames + f] - mean[f]) / (Math.sqrt(std[f]) || 1);
+      }
+      const smoothed = medianFilter(normalized, medianWidth);
+      for (let f = 0; f < frames; f++) {
+        matrix[r * frames + f] += smoothed[f] / heads.length;
+      }
+    });
+  }
+
+  // Strong attention is a cheap step
+  for (let i = 0; i < matrix.length; i++) {
+    matrix[i] = -matrix[i];
+  }
+
+  const starts = new Array(rows.length).fill(0);
+  let previousRow = -1;
+  for (const [row, frame] of dynamicTimeWarping(matrix, rows.length, frames)) {
+    if (row !== previousRow) {
+      starts[row] = frame;
+      previousRow = row;
+    }
+  }
+  return starts;
+}
@@ -8,11 +8,294 @@ export const AUDIO_CONFIG = {
   channels: 1,
   bufferSize: 4096,
   encoding: 'opus',
-  bitrate: 32000
+  bitrate: 32000,
+  ttsSampleRate: 22050,
+  frameSize: 512,
+  ringBufferSeconds: 2
 };
 
+// URL of the capture worklet; bundlers emit it as a separate asset
+const PCM_CAPTURE_WORKLET_URL = new URL('./pcmCaptureProcessor.js', import.meta.url);
+
+// Kernel tables reused across calls, keyed by rates and filter options
+const resamplerKernels = new Map();
+
+// Phase tables larger than this are computed per sample instead of cached
+const MAX_KERNEL_PHASES = 4096;
+
+/**
+ * Greatest common divisor
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} GCD
+ */
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Hann-windowed sinc low-pass tap
+ * @param {number} offset - Distance from the output position, in source samples
+ * @param {number} cutoff - Cutoff relative to the source Nyquist frequency
+ * @param {number} halfWidth - Filter half-width in source samples
+ * @returns {number} Filter weight
+ */
+function windowedSinc(offset, cutoff, halfWidth) {
+  if (Math.abs(offset) >= halfWidth) {
+    return 0;
+  }
+  const x = Math.PI * cutoff * offset;
+  const sinc = x === 0 ? 1 : Math.sin(x) / x;
+  const window = 0.5 + 0.5 * Math.cos(Math.PI * offset / halfWidth);
+  return cutoff * sinc * window;
+}
+
+/**
+ * Polyphase filter parameters for a rate conversion
+ * @param {number} sourceRate - Sample rate of the input
+ * @param {number} targetRate - Desired sample rate
+ * @param {Object} options - Filter options ({ zeroCrossings, rolloff })
+ * @returns {Object} { up, down, cutoff, halfWidth, taps, kernel } (kernel is null for huge phase counts)
+ */
+function createResamplerFilter(sourceRate, targetRate, options = {}) {
+  const { zeroCrossings = 16, rolloff = 0.945 } = options;
+  const divisor = gcd(Math.round(sourceRate), Math.round(targetRate));
+  const up = Math.round(targetRate) / divisor;
+  const down = Math.round(sourceRate) / divisor;
+  const cutoff = Math.min(1, targetRate / sourceRate) * rolloff;
+  const halfWidth = Math.ceil(zeroCrossings / cutoff);
+  const taps = 2 * halfWidth;
+
+  // One filter per output phase; output i sits at source position i * down / up
+  let kernel = null;
+  if (up <= MAX_KERNEL_PHASES) {
+    const key = `${sourceRate}:${targetRate}:${zeroCrossings}:${rolloff}`;
+    kernel = resamplerKernels.get(key);
+    if (!kernel) {
+      kernel = new Float32Array(up * taps);
+      for (let phase = 0; phase < up; phase++) {
+        for (let k = 0; k < taps; k++) {
+          kernel[phase * taps + k] = windowedSinc(k - halfWidth + 1 - phase / up, cutoff, halfWidth);
+        }
+      }
+      resamplerKernels.set(key, kernel);
+    }
+  }
+
+  return { up, down, cutoff, halfWidth, taps, kernel };
+}
+
+/**
+ * Resample audio between arbitrary sample rates
+ *
+ * Uses a polyphase windowed-sinc filter whose cutoff sits just below the
+ * lower of the two Nyquist frequencies, so downsampling does not alias.
+ * @param {Float32Array} audio - Input samples
+ * @param {number} sourceRate - Sample rate of the input
+ * @param {number} targetRate - Desired sample rate
+ * @param {Object} options - Filter options
+ * @param {number} options.zeroCrossings - Sinc zero crossings per side (quality)
+ * @param {number} options.rolloff - Cutoff as a fraction of the target Nyquist
+ * @returns {Float32Array} Resampled audio
+ */
+export function resampleAudio(audio, sourceRate, targetRate = AUDIO_CONFIG.sampleRate, options = {}) {
+  if (!sourceRate || !targetRate) {
+    throw new Error('Resampling requires both source and target sample rates');
+  }
+  if (sourceRate === targetRate) {
+    return audio instanceof Float32Array ? audio : Float32Array.from(audio);
+  }
+
+  const { up, down, cutoff, halfWidth, taps, kernel } = createResamplerFilter(sourceRate, targetRate, options);
+
+  const outputLength = Math.ceil(audio.length * up / down);
+  const output = new Float32Array(outputLength);
+
+  for (let i = 0; i < outputLength; i++) {
+    const position = i * down;
+    const base = Math.floor(position / up);
+    const phase = position % up;
+    const first = base - halfWidth + 1;
+    let sum = 0;
+
+    for (let k = Math.max(0, -first); k < taps; k++) {
+      const index = first + k;
+      if (index >= audio.length) break;
+      const weight = kernel
+        ? kernel[phase * taps + k]
+        : windowedSinc(k - halfWidth + 1 - phase / up, cutoff, halfWidth);
+      sum += audio[index] * weight;
+    }
+
+    output[i] = sum;
+  }
+
+  return output;
+}
+
+/**
+ * Resampler for audio that arrives in chunks
+ *
+ * Applies the same filter as resampleAudio but keeps the source history
+ * between calls, so chunk boundaries do not produce clicks. Output lags the
+ * input by half the filter width.
+ */
+export class StreamingResampler {
+  /**
+   * @param {number} sourceRate - Sample rate of the input
+   * @param {number} targetRate - Desired sample rate
+   * @param {Object} options - Filter options ({ zeroCrossings, rolloff })
+   */
+  constructor(sourceRate, targetRate = AUDIO_CONFIG.sampleRate, options = {}) {
+    this.sourceRate = sourceRate;
+    this.targetRate = targetRate;
+    this.filter = sourceRate === targetRate ? null : createResamplerFilter(sourceRate, targetRate, options);
+    this.reset();
+  }
+
+  /**
+   * Resample the next chunk
+   * @param {Float32Array} chunk - Input samples
+   * @returns {Float32Array} Output samples that are fully determined so far
+   */
+  process(chunk) {
+    if (!this.filter) {
+      return chunk;
+    }
+
+    const { up, down, halfWidth, taps, kernel, cutoff } = this.filter;
+    const history = new Float32Array(this.history.length + chunk.length);
+    history.set(this.history);
+    history.set(chunk, this.history.length);
+    const available = this.historyStart + history.length;
+
+    const output = [];
+    while (true) {
+      const position = this.outputIndex * down;
+      const base = Math.floor(position / up);
+      const phase = position % up;
+      const first = base - halfWidth + 1;
+      if (first + taps > available) break;
+
+      let sum = 0;
+      for (let k = Math.max(0, -first); k < taps; k++) {
+        const weight = kernel
+          ? kernel[phase * taps + k]
+          : windowedSinc(k - halfWidth + 1 - phase / up, cutoff, halfWidth);
+        sum += history[first + k - this.historyStart] * weight;
+      }
+      output.push(sum);
+      this.outputIndex++;
+    }
+
+    // Keep only the source samples the next output still needs
+    const nextFirst = Math.floor(this.outputIndex * down / up) - halfWidth + 1;
+    const drop = Math.min(history.length, Math.max(0, nextFirst - this.historyStart));
+    this.history = history.slice(drop);
+    this.historyStart += drop;
+
+    return Float32Array.from(output);
+  }
+
+  /**
+   * Forget all buffered input
+   */
+  reset() {
+    this.history = new Float32Array(0);
+    this.historyStart = 0;
+    this.outputIndex = 0;
+  }
+}
+
+/**
+ * Fixed-capacity FIFO of audio samples
+ *
+ * When writes outpace reads the oldest samples are overwritten, so a stalled
+ * consumer loses old audio instead of growing memory without bound.
+ */
+export class PCMRingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of buffered samples
+   */
+  constructor(capacity) {
+    this.buffer = new Float32Array(capacity);
+    this.readIndex = 0;
+    this.length = 0;
+    this.droppedSamples = 0;
+  }
+
+  /**
+   * Number of samples ready to be read
+   * @returns {number} Buffered sample count
+   */
+  available() {
+    return this.length;
+  }
+
+  /**
+   * Append samples, overwriting the oldest ones on overflow
+   * @param {Float32Array} samples - Samples to append
+   */
+  write(samples) {
+    const capacity = this.buffer.length;
+    let input = samples;
+    if (input.length > capacity) {
+      this.droppedSamples += input.length - capacity;
+      input = input.subarray(input.length - capacity);
+    }
+
+    const overflow = Math.max(0, this.length + input.length - capacity);
+    if (overflow > 0) {
+      this.readIndex = (this.readIndex + overflow) % capacity;
+      this.length -= overflow;
+      this.droppedSamples += overflow;
+    }
+
+    const writeIndex = (this.readIndex + this.length) % capacity;
+    const firstPart = Math.min(input.length, capacity - writeIndex);
+    this.buffer.set(input.subarray(0, firstPart), writeIndex);
+    this.buffer.set(input.subarray(firstPart), 0);
+    this.length += input.length;
+  }
+
+  /**
+   * Remove and return the oldest samples
+   * @param {number} count - Number of samples to read
+   * @returns {Float32Array|null} Samples, or null if fewer than count are buffered
+   */
+  read(count) {
+    if (count > this.length) {
+      return null;
+    }
+
+    const capacity = this.buffer.length;
+    const output = new Float32Array(count);
+    const firstPart = Math.min(count, capacity - this.readIndex);
+    output.set(this.buffer.subarray(this.readIndex, this.readIndex + firstPart));
+    output.set(this.buffer.subarray(0, count - firstPart), firstPart);
+
+    this.readIndex = (this.readIndex + count) % capacity;
+    this.length -= count;
+    return output;
+  }
+
+  /**
+   * Discard all buffered samples
+   */
+  clear() {
+    this.readIndex = 0;
+    this.length = 0;
+  }
+}
+
 /**
  * Audio capture class for microphone input
+ *
+ * The microphone feeds two paths: MediaRecorder produces the Opus stream sent
+ * to the peer, and an AudioWorklet delivers raw PCM for on-device recognition.
  */
 export class AudioCapture {
   constructor() {
@@ -21,6 +304,12 @@ export class AudioCapture {
     this.mediaRecorder = null;
     this.isRecording = false;
     this.onAudioData = null;
+    this.pcmListeners = new Set();
+    this.pcmSource = null;
+    this.pcmNode = null;
+    this.pcmResampler = null;
+    this.pcmRingBuffer = null;
+    this.workletLoaded = null;
   }
 
   /**
@@ -88,25 +377,124 @@ export class AudioCapture {
   }
 
   /**
-   * Get raw audio data from microphone
-   * @returns {Promise<Float32Array>} Audio data
+   * Continuously deliver raw PCM frames from the microphone
+   *
+   * Frames are AUDIO_CONFIG.frameSize mono samples at AUDIO_CONFIG.sampleRate,
+   * whatever rate the browser actually runs the audio context at. Several
+   * listeners may share the stream.
+   * @param {Function} onPCM - Callback receiving Float32Array frames
+   * @returns {Promise} Resolves once audio is flowing
    */
-  async getRawAudioData() {
+  async startPCMStream(onPCM) {
     if (!this.stream || !this.audioContext) {
       throw new Error('Audio capture not initialized');
     }
+    if (!this.audioContext.audioWorklet) {
+      throw new Error('AudioWorklet not supported');
+    }
+
+    this.pcmListeners.add(onPCM);
+    if (this.pcmNode) return;
+
+    if (!this.workletLoaded) {
+      this.workletLoaded = this.audioContext.audioWorklet.addModule(PCM_CAPTURE_WORKLET_URL);
+    }
+    await this.workletLoaded;
+    if (this.pcmNode || this.pcmListeners.size === 0) return;
 
-    const source = this.audioContext.createMediaStreamSource(this.stream);
-    const processor = this.audioContext.createScriptProcessor(AUDIO_CONFIG.bufferSize, 1, 1);
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    const contextRate = this.audioContext.sampleRate;
+    this.pcmResampler = new StreamingResampler(contextRate, AUDIO_CONFIG.sampleRate);
+    this.pcmRingBuffer = new PCMRingBuffer(AUDIO_CONFIG.sampleRate * AUDIO_CONFIG.ringBufferSeconds);
+
+    this.pcmSource = this.audioContext.createMediaStreamSource(this.stream);
+    this.pcmNode = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCountMode: 'explicit',
+      channelCount: AUDIO_CONFIG.channels,
+      processorOptions: {
+        // Roughly one frame's worth of audio per message
+        batchSize: Math.ceil(AUDIO_CONFIG.frameSize * contextRate / AUDIO_CONFIG.sampleRate)
+      }
+    });
+
+    this.pcmNode.port.onmessage = (event) => {
+      this.pcmRingBuffer.write(this.pcmResampler.process(event.data));
+      this.deliverPCMFrames();
+    };
+
+    this.pcmSource.connect(this.pcmNode);
+  }
+
+  /**
+   * Hand complete frames from the ring buffer to the listeners
+   */
+  deliverPCMFrames() {
+    let frame;
+    // A listener may stop the stream while frames are being delivered
+    while (this.pcmRingBuffer && (frame = this.pcmRingBuffer.read(AUDIO_CONFIG.frameSize))) {
+      for (const listener of this.pcmListeners) {
+        listener(frame);
+      }
+    }
+  }
 
-    return new Promise((resolve) => {
-      processor.onaudioprocess = (event) => {
-        const inputData = event.inputBuffer.getChannelData(0);
-        resolve(new Float32Array(inputData));
+  /**
+   * Stop delivering PCM frames
+   * @param {Function} onPCM - Listener to remove; all listeners when omitted
+   */
+  stopPCMStream(onPCM = null) {
+    if (onPCM) {
+      this.pcmListeners.delete(onPCM);
+    } else {
+      this.pcmListeners.clear();
+    }
+    if (this.pcmListeners.size > 0) return;
+
+    if (this.pcmNode) {
+      this.pcmNode.port.postMessage('stop');
+      this.pcmNode.port.onmessage = null;
+      this.pcmNode.disconnect();
+      this.pcmNode = null;
+    }
+    if (this.pcmSource) {
+      this.pcmSource.disconnect();
+      this.pcmSource = null;
+    }
+    this.pcmResampler = null;
+    this.pcmRingBuffer = null;
+  }
+
+  /**
+   * Record a fixed amount of raw audio from the microphone
+   * @param {number} durationSeconds - Amount of audio to collect
+   * @returns {Promise<Float32Array>} Audio data at AUDIO_CONFIG.sampleRate
+   */
+  async getRawAudioData(durationSeconds = AUDIO_CONFIG.bufferSize / AUDIO_CONFIG.sampleRate) {
+    const totalSamples = Math.round(durationSeconds * AUDIO_CONFIG.sampleRate);
+    const audio = new Float32Array(totalSamples);
+    let offset = 0;
+
+    return new Promise((resolve, reject) => {
+      const collect = (frame) => {
+        const count = Math.min(frame.length, totalSamples - offset);
+        audio.set(frame.subarray(0, count), offset);
+        offset += count;
+
+        if (offset >= totalSamples) {
+          this.stopPCMStream(collect);
+          resolve(audio);
+        }
       };
 
-      source.connect(processor);
-      processor.connect(this.audioContext.destination);
+      this.startPCMStream(collect).catch((error) => {
+        this.stopPCMStream(collect);
+        reject(error);
+      });
     });
   }
 
@@ -114,6 +502,7 @@ export class AudioCapture {
    * Clean up audio resources
    */
   cleanup() {
+    this.stopPCMStream();
     if (this.mediaRecorder) {
       this.mediaRecorder.stop();
     }
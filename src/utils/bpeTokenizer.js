@@ -0,0 +1,307 @@
+/**
+ * Byte-level BPE tokenizer (GPT-2 / Whisper style)
+ *
+ * Tokens are sequences of "printable" characters that stand for raw UTF-8
+ * bytes, so decoding maps each character back to its byte and decodes the
+ * whole byte string at once. Splitting text into words first and then
+ * applying merges by rank reproduces the reference tokenization.
+ */
+
+// GPT-2 pre-tokenization: contractions, letters, numbers, other symbols, whitespace
+const PRETOKENIZE_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+// Special tokens are written as <|name|>
+const SPECIAL_TOKEN_PATTERN = /<\|[^|<>]+\|>/g;
+
+/**
+ * GPT-2 mapping from bytes to printable unicode characters
+ * @returns {Array<string>} Character for each byte value
+ */
+function createByteEncoder() {
+  const bytes = [];
+  for (let b = 0x21; b <= 0x7e; b++) bytes.push(b);
+  for (let b = 0xa1; b <= 0xac; b++) bytes.push(b);
+  for (let b = 0xae; b <= 0xff; b++) bytes.push(b);
+
+  const encoder = new Array(256);
+  for (const b of bytes) {
+    encoder[b] = String.fromCharCode(b);
+  }
+
+  // Bytes that are not printable are shifted above 0xff
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (encoder[b] === undefined) {
+      encoder[b] = String.fromCharCode(256 + extra);
+      extra++;
+    }
+  }
+  return encoder;
+}
+
+const BYTE_ENCODER = createByteEncoder();
+const BYTE_DECODER = new Map(BYTE_ENCODER.map((char, byte) => [char, byte]));
+
+export class ByteLevelBPETokenizer {
+  /**
+   * @param {Object} vocab - Token string to id
+   * @param {Array<string>} merges - Merge rules ("a b") in rank order
+   * @param {Object} specialTokens - Special token text (e.g. '<|endoftext|>') to id
+   */
+  constructor(vocab, merges = [], specialTokens = {}) {
+    this.vocab = vocab;
+    this.idToToken = [];
+    for (const [token, id] of Object.entries(vocab)) {
+      this.idToToken[id] = token;
+    }
+
+    this.mergeRanks = new Map();
+    merges.forEach((merge, rank) => {
+      this.mergeRanks.set(merge, rank);
+    });
+
+    this.specialTokens = new Map(Object.entries(specialTokens));
+    this.specialIds = new Map();
+    for (const [text, id] of this.specialTokens) {
+      this.specialIds.set(id, text);
+    }
+
+    this.cache = new Map();
+    this.textDecoder = new TextDecoder('utf-8');
+    this.textEncoder = new TextEncoder();
+  }
+
+  /**
+   * Load a tokenizer from a vocabulary JSON and an optional merges file
+   * @param {string} vocabPath - URL of the vocabulary JSON
+   * @param {string|null} mergesPath - URL of the merges text file
+   * @param {Object} specialTokens - Special token text to id
+   * @returns {Promise<ByteLevelBPETokenizer>} Tokenizer
+   */
+  static async load(vocabPath, mergesPath = null, specialTokens = {}) {
+    const vocabResponse = await fetch(vocabPath);
+    if (!vocabResponse.ok) {
+      throw new Error('Failed to load vocabulary');
+    }
+    const vocab = await vocabResponse.json();
+
+    let merges = [];
+    if (mergesPath) {
+      try {
+        const mergesResponse = await fetch(mergesPath);
+        if (!mergesResponse.ok) {
+          throw new Error('Merges not found');
+        }
+        merges = ByteLevelBPETokenizer.parseMerges(await mergesResponse.text());
+      } catch (error) {
+        console.warn('BPE merges unavailable, encoding with longest vocabulary match');
+      }
+    }
+
+    return new ByteLevelBPETokenizer(vocab, merges, specialTokens);
+  }
+
+  /**
+   * Parse a merges.txt file
+   * @param {string} text - File contents
+   * @returns {Array<string>} Merge rules in rank order
+   */
+  static parseMerges(text) {
+    return text
+      .split('\n')
+      .filter(line => line && !line.startsWith('#version'))
+      .map(line => line.trim().split(/\s+/).join(' '))
+      .filter(line => line.includes(' '));
+  }
+
+  /**
+   * Check whether an id is a special token
+   * @param {number} id - Token id
+   * @returns {boolean} Whether the token is special
+   */
+  isSpecial(id) {
+    return this.specialIds.has(id);
+  }
+
+  /**
+   * Raw token string for an id (byte-level characters or special token text)
+   * @param {number} id - Token id
+   * @returns {string|undefined} Token string
+   */
+  tokenToString(id) {
+    return this.specialIds.get(id) ?? this.idToToken[id];
+  }
+
+  /**
+   * Check whether a token starts a new word (its first byte is a space)
+   * @param {number} id - Token id
+   * @returns {boolean} Whether the token begins with a space
+   */
+  startsWord(id) {
+    const token = this.idToToken[id];
+    return !this.isSpecial(id) && token !== undefined && token.startsWith(BYTE_ENCODER[0x20]);
+  }
+
+  /**
+   * Decode token ids to text
+   * @param {Array<number>} ids - Token ids
+   * @param {Object} options - Decoding options
+   * @param {boolean} options.skipSpecialTokens - Drop special tokens instead of writing them out
+   * @returns {string} Decoded text
+   */
+  decode(ids, { skipSpecialTokens = true } = {}) {
+    let text = '';
+    let bytes = [];
+
+    const flushBytes = () => {
+      if (bytes.length > 0) {
+        text += this.textDecoder.decode(Uint8Array.from(bytes));
+        bytes = [];
+      }
+    };
+
+    for (const id of ids) {
+      if (this.isSpecial(id)) {
+        if (!skipSpecialTokens) {
+          flushBytes();
+          text += this.specialIds.get(id);
+        }
+        continue;
+      }
+
+      const token = this.idToToken[id];
+      if (token === undefined) continue;
+
+      // Bytes of a multi-byte character may span several tokens
+      for (const char of token) {
+        const byte = BYTE_DECODER.get(char);
+        if (byte !== undefined) {
+          bytes.push(byte);
+        }
+      }
+    }
+    flushBytes();
+
+    return text;
+  }
+
+  /**
+   * Encode text to token ids
+   * @param {string} text - Input text
+   * @param {Object} options - Encoding options
+   * @param {boolean} options.allowSpecialTokens - Map <|...|> markers to special token ids
+   * @returns {Array<number>} Token ids
+   */
+  encode(text, { allowSpecialTokens = false } = {}) {
+    const ids = [];
+    if (!allowSpecialTokens) {
+      this.encodeOrdinary(text, ids);
+      return ids;
+    }
+
+    let offset = 0;
+    for (const match of text.matchAll(SPECIAL_TOKEN_PATTERN)) {
+      const id = this.specialTokens.get(match[0]);
+      if (id === undefined) continue;
+
+      this.encodeOrdinary(text.slice(offset, match.index), ids);
+      ids.push(id);
+      offset = match.index + match[0].length;
+    }
+    this.encodeOrdinary(text.slice(offset), ids);
+
+    return ids;
+  }
+
+  /**
+   * Encode text without special tokens
+   * @param {string} text - Input text
+   * @param {Array<number>} ids - Output ids (appended to)
+   */
+  encodeOrdinary(text, ids) {
+    for (const match of text.matchAll(PRETOKENIZE_PATTERN)) {
+      const word = Array.from(this.textEncoder.encode(match[0]), byte => BYTE_ENCODER[byte]).join('');
+      for (const token of this.bpe(word)) {
+        const id = this.vocab[token];
+        if (id !== undefined) {
+          ids.push(id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Split one pre-tokenized word into vocabulary tokens
+   * @param {string} word - Word in byte-level characters
+   * @returns {Array<string>} Tokens
+   */
+  bpe(word) {
+    if (this.cache.has(word)) {
+      return this.cache.get(word);
+    }
+
+    const tokens = this.mergeRanks.size > 0 ? this.applyMerges(word) : this.longestMatch(word);
+    this.cache.set(word, tokens);
+    return tokens;
+  }
+
+  /**
+   * Merge adjacent symbols by rank until no merge applies
+   * @param {string} word - Word in byte-level characters
+   * @returns {Array<string>} Tokens
+   */
+  applyMerges(word) {
+    let symbols = Array.from(word);
+
+    while (symbols.length > 1) {
+      let bestRank = Infinity;
+      let bestIndex = -1;
+      for (let i = 0; i < symbols.length - 1; i++) {
+        const rank = this.mergeRanks.get(`${symbols[i]} ${symbols[i + 1]}`);
+        if (rank !== undefined && rank < bestRank) {
+          bestRank = rank;
+          bestIndex = i;
+        }
+      }
+      if (bestIndex < 0) break;
+
+      // Merge every occurrence of the best pair in one pass
+      const first = symbols[bestIndex];
+      const second = symbols[bestIndex + 1];
+      const merged = [];
+      for (let i = 0; i < symbols.length; i++) {
+        if (i < symbols.length - 1 && symbols[i] === first && symbols[i + 1] === second) {
+          merged.push(first + second);
+          i++;
+        } else {
+          merged.push(symbols[i]);
+        }
+      }
+      symbols = merged;
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Greedy longest-prefix segmentation, used when no merges are available
+   * @param {string} word - Word in byte-level characters
+   * @returns {Array<string>} Tokens
+   */
+  longestMatch(word) {
+    const chars = Array.from(word);
+    const tokens = [];
+    let start = 0;
+
+    while (start < chars.length) {
+      let end = chars.length;
+      while (end > start + 1 && this.vocab[chars.slice(start, end).join('')] === undefined) {
+        end--;
+      }
+      tokens.push(chars.slice(start, end).join(''));
+      start = end;
+    }
+
+    return tokens;
+  }
+}
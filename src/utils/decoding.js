@@ -0,0 +1,301 @@
+/**
+ * Sequence decoding strategies shared by the on-device seq2seq models
+ *
+ * Every strategy drives a `step(tokens, cache)` callback that returns the
+ * next-token logits and an updated key/value cache, so the same search code
+ * works for any encoder-decoder model. Caches no hypothesis will continue
+ * from are handed to `releaseCache`, for models whose caches hold resources.
+ */
+
+/**
+ * Log-softmax of logits with optional temperature
+ * @param {Float32Array} logits - Raw logits
+ * @param {number} temperature - Softmax temperature (> 0)
+ * @returns {Float32Array} Log-probabilities
+ */
+export function logSoftmax(logits, temperature = 1) {
+  const output = new Float32Array(logits.length);
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] > max) max = logits[i];
+  }
+
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    sum += Math.exp((logits[i] - max) / temperature);
+  }
+  const logSum = Math.log(sum);
+
+  for (let i = 0; i < logits.length; i++) {
+    output[i] = (logits[i] - max) / temperature - logSum;
+  }
+  return output;
+}
+
+/**
+ * Numerically stable log(exp(a) + exp(b))
+ * @param {number} a - First log value
+ * @param {number} b - Second log value
+ * @returns {number} log(exp(a) + exp(b))
+ */
+export function logAddExp(a, b) {
+  if (a === -Infinity) return b;
+  if (b === -Infinity) return a;
+  const max = Math.max(a, b);
+  return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+}
+
+/**
+ * Indices of the k largest finite values
+ * @param {Float32Array} values - Input values
+ * @param {number} k - Number of entries to return
+ * @returns {Array<{index: number, value: number}>} Entries sorted by value, descending
+ */
+export function topK(values, k) {
+  const best = [];
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (value === -Infinity || (best.length === k && value <= best[k - 1].value)) {
+      continue;
+    }
+
+    let position = best.length < k ? best.length : k - 1;
+    while (position > 0 && best[position - 1].value < value) {
+      best[position] = best[position - 1];
+      position--;
+    }
+    best[position] = { index: i, value };
+  }
+  return best;
+}
+
+/**
+ * CTRL-style repetition penalty: make tokens that were already generated
+ * less likely (positive logits are divided, negative ones multiplied)
+ * @param {Float32Array} logits - Logits for the next token
+ * @param {Array<number>} tokens - Tokens generated so far
+ * @param {number} penalty - Penalty factor (1 disables it)
+ * @returns {Float32Array} Penalized copy of the logits
+ */
+export function applyRepetitionPenalty(logits, tokens, penalty = 1) {
+  const output = new Float32Array(logits);
+  if (penalty === 1) return output;
+
+  for (const token of new Set(tokens)) {
+    const value = output[token];
+    output[token] = value > 0 ? value / penalty : value * penalty;
+  }
+  return output;
+}
+
+/**
+ * Length-normalized sequence score (Whisper's maximum likelihood ranker)
+ * @param {number} sumLogProb - Sum of token log-probabilities
+ * @param {number} length - Number of tokens
+ * @param {number|null} lengthPenalty - Alpha for the Google NMT penalty, or null for plain length
+ * @returns {number} Score (higher is better)
+ */
+export function lengthPenaltyScore(sumLogProb, length, lengthPenalty = null) {
+  const penalty = lengthPenalty === null || lengthPenalty === undefined
+    ? Math.max(length, 1)
+    : ((5 + length) / 6) ** lengthPenalty;
+  return sumLogProb / penalty;
+}
+
+/**
+ * Turn a finished hypothesis into a result object
+ * @param {Array<number>} tokens - Generated tokens (prompt and EOS excluded)
+ * @param {number} sumLogProb - Sum of log-probabilities, EOS included
+ * @param {number|null} lengthPenalty - Length penalty for scoring
+ * @param {Array<number>} tokenLogProbs - Log-probability of each generated token
+ * @returns {Object} Decoding result
+ */
+function toResult(tokens, sumLogProb, lengthPenalty, tokenLogProbs = []) {
+  return {
+    tokens,
+    tokenLogProbs: tokenLogProbs.slice(0, tokens.length),
+    sumLogProb,
+    avgLogProb: sumLogProb / (tokens.length + 1),
+    score: lengthPenaltyScore(sumLogProb, tokens.length, lengthPenalty)
+  };
+}
+
+/**
+ * Beam search (greedy decoding when beamSize is 1)
+ * @param {Function} step - async (tokens, cache) => ({ logits, cache })
+ * @param {Array<number>} prompt - Initial tokens
+ * @param {Object} options - Search options
+ * @param {number} options.beamSize - Number of beams kept per step
+ * @param {number} options.maxTokens - Maximum number of generated tokens
+ * @param {number} options.eosToken - End-of-sequence token id
+ * @param {number|null} options.lengthPenalty - Length penalty alpha
+ * @param {Function} options.processLogits - Optional (logits, tokens, stepIndex) => logits
+ * @param {Function} options.releaseCache - Optional (cache) => void for caches no beam continues from
+ * @returns {Promise<Object>} Best result ({ tokens, tokenLogProbs, sumLogProb, avgLogProb, score })
+ */
+export async function beamSearch(step, prompt, options) {
+  const {
+    beamSize = 1,
+    maxTokens,
+    eosToken,
+    lengthPenalty = null,
+    processLogits = logits => logits,
+    releaseCache = () => {}
+  } = options;
+
+  let beams = [{ tokens: [...prompt], tokenLogProbs: [], sumLogProb: 0, cache: null }];
+  const finished = [];
+  // Caches returned by the model and not released yet
+  const liveCaches = new Set();
+
+  try {
+    for (let stepIndex = 0; stepIndex < maxTokens && beams.length > 0; stepIndex++) {
+      const candidates = [];
+
+      for (const beam of beams) {
+        const result = await step(beam.tokens, beam.cache);
+        liveCaches.add(result.cache);
+        const logProbs = logSoftmax(processLogits(result.logits, beam.tokens, stepIndex));
+
+        for (const { index, value } of topK(logProbs, beamSize + 1)) {
+          candidates.push({
+            tokens: [...beam.tokens, index],
+            tokenLogProbs: [...beam.tokenLogProbs, value],
+            sumLogProb: beam.sumLogProb + value,
+            cache: result.cache,
+            token: index
+          });
+        }
+      }
+
+      candidates.sort((a, b) => b.sumLogProb - a.sumLogProb);
+
+      beams = [];
+      for (const [rank, candidate] of candidates.entries()) {
+        if (candidate.token === eosToken) {
+          // Only an end that ranks among the best beams finishes a hypothesis
+          if (rank < beamSize && finished.length < beamSize) {
+            finished.push(toResult(
+              candidate.tokens.slice(prompt.length, -1),
+              candidate.sumLogProb,
+              lengthPenalty,
+              candidate.tokenLogProbs
+            ));
+          }
+        } else if (beams.length < beamSize) {
+          beams.push(candidate);
+        }
+      }
+
+      const keptCaches = new Set(beams.map(beam => beam.cache));
+      for (const cache of liveCaches) {
+        if (!keptCaches.has(cache)) {
+          liveCaches.delete(cache);
+          releaseCache(cache);
+        }
+      }
+
+      if (finished.length >= beamSize) {
+        break;
+      }
+    }
+  } finally {
+    for (const cache of liveCaches) {
+      releaseCache(cache);
+    }
+  }
+
+  // Hypotheses that hit the length limit still count
+  if (finished.length === 0) {
+    for (const beam of beams) {
+      finished.push(toResult(beam.tokens.slice(prompt.length), beam.sumLogProb, lengthPenalty, beam.tokenLogProbs));
+    }
+  }
+
+  finished.sort((a, b) => b.score - a.score);
+  return finished[0] || toResult([], 0, lengthPenalty);
+}
+
+/**
+ * Ancestral sampling at a fixed temperature
+ * @param {Function} step - async (tokens, cache) => ({ logits, cache })
+ * @param {Array<number>} prompt - Initial tokens
+ * @param {Object} options - Sampling options
+ * @param {number} options.temperature - Sampling temperature (> 0)
+ * @param {number} options.maxTokens - Maximum number of generated tokens
+ * @param {number} options.eosToken - End-of-sequence token id
+ * @param {number|null} options.lengthPenalty - Length penalty alpha for scoring
+ * @param {Function} options.processLogits - Optional (logits, tokens, stepIndex) => logits
+ * @param {Function} options.random - Uniform random source in [0, 1)
+ * @param {Function} options.releaseCache - Optional (cache) => void for caches no longer needed
+ * @returns {Promise<Object>} Result ({ tokens, tokenLogProbs, sumLogProb, avgLogProb, score })
+ */
+export async function sampleSequence(step, prompt, options) {
+  const {
+    temperature,
+    maxTokens,
+    eosToken,
+    lengthPenalty = null,
+    processLogits = logits => logits,
+    random = Math.random,
+    releaseCache = () => {}
+  } = options;
+
+  const tokens = [...prompt];
+  const tokenLogProbs = [];
+  let cache = null;
+  let sumLogProb = 0;
+
+  try {
+    for (let stepIndex = 0; stepIndex < maxTokens; stepIndex++) {
+      const result = await step(tokens, cache);
+      if (cache) releaseCache(cache);
+      cache = result.cache;
+
+      const logits = processLogits(result.logits, tokens, stepIndex);
+      const scaled = logSoftmax(logits, temperature);
+
+      // Inverse-CDF sampling over the tempered distribution
+      let threshold = random();
+      let token = eosToken;
+      for (let i = 0; i < scaled.length; i++) {
+        threshold -= Math.exp(scaled[i]);
+        if (threshold <= 0) {
+          token = i;
+          break;
+        }
+      }
+
+      // Likelihood is always measured on the untempered distribution
+      const logProb = logSoftmax(logits)[token];
+      sumLogProb += logProb;
+      tokenLogProbs.push(logProb);
+
+      if (token === eosToken) {
+        break;
+      }
+      tokens.push(token);
+    }
+  } finally {
+    if (cache) releaseCache(cache);
+  }
+
+  return toResult(tokens.slice(prompt.length), sumLogProb, lengthPenalty, tokenLogProbs);
+}
+
+/**
+ * gzip-style compression ratio of text, used to detect repetition loops
+ * @param {string} text - Decoded text
+ * @returns {Promise<number>} Uncompressed / compressed byte length
+ */
+export async function compressionRatio(text) {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length === 0 || typeof CompressionStream === 'undefined') {
+    // Nothing to measure; never trigger a fallback on this signal alone
+    return 1;
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  const compressed = await new Response(stream).arrayBuffer();
+  return bytes.length / compressed.byteLength;
+}
@@ -0,0 +1,246 @@
+/**
+ * Fast Fourier Transform utilities for audio feature extraction
+ */
+
+/**
+ * Check whether a number is a power of two
+ * @param {number} n - Number to check
+ * @returns {boolean} Whether n is a power of two
+ */
+export function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+/**
+ * Smallest power of two greater than or equal to n
+ * @param {number} n - Lower bound
+ * @returns {number} Power of two
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) {
+    size <<= 1;
+  }
+  return size;
+}
+
+/**
+ * Iterative in-place radix-2 Cooley-Tukey FFT
+ */
+class Radix2FFT {
+  constructor(size) {
+    if (!isPowerOfTwo(size)) {
+      throw new Error(`Radix-2 FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+    this.cosTable = new Float64Array(size / 2);
+    this.sinTable = new Float64Array(size / 2);
+    this.reverseTable = new Uint32Array(size);
+
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+      this.sinTable[i] = -Math.sin(2 * Math.PI * i / size);
+    }
+
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.reverseTable[i] = reversed;
+    }
+  }
+
+  /**
+   * Transform complex data in place
+   * @param {Float64Array} real - Real parts
+   * @param {Float64Array} imag - Imaginary parts
+   * @param {boolean} inverse - Compute the inverse transform
+   */
+  transform(real, imag, inverse = false) {
+    const n = this.size;
+
+    // Bit-reversal permutation
+    for (let i = 0; i < n; i++) {
+      const j = this.reverseTable[i];
+      if (j > i) {
+        let temp = real[i];
+        real[i] = real[j];
+        real[j] = temp;
+        temp = imag[i];
+        imag[i] = imag[j];
+        imag[j] = temp;
+      }
+    }
+
+    // Butterflies
+    for (let length = 2; length <= n; length <<= 1) {
+      const half = length >> 1;
+      const step = n / length;
+
+      for (let start = 0; start < n; start += length) {
+        for (let j = 0; j < half; j++) {
+          const twiddleReal = this.cosTable[j * step];
+          const twiddleImag = inverse ? -this.sinTable[j * step] : this.sinTable[j * step];
+          const a = start + j;
+          const b = a + half;
+
+          const tempReal = real[b] * twiddleReal - imag[b] * twiddleImag;
+          const tempImag = real[b] * twiddleImag + imag[b] * twiddleReal;
+
+          real[b] = real[a] - tempReal;
+          imag[b] = imag[a] - tempImag;
+          real[a] += tempReal;
+          imag[a] += tempImag;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        real[i] /= n;
+        imag[i] /= n;
+      }
+    }
+  }
+}
+
+/**
+ * FFT of arbitrary size
+ *
+ * Power-of-two sizes use the radix-2 transform directly. Other sizes (such as
+ * Whisper's 400-point frames) use Bluestein's chirp-z algorithm on top of a
+ * radix-2 transform, so the result matches an exact DFT of the requested size.
+ */
+export class FFT {
+  constructor(size) {
+    this.size = size;
+
+    if (isPowerOfTwo(size)) {
+      this.radix2 = new Radix2FFT(size);
+      this.bluestein = null;
+    } else {
+      this.radix2 = null;
+      this.bluestein = this.createBluestein(size);
+    }
+
+    // Scratch buffers reused across calls
+    this.real = new Float64Array(size);
+    this.imag = new Float64Array(size);
+  }
+
+  /**
+   * Precompute chirp and its transform for Bluestein's algorithm
+   * @param {number} size - Transform size
+   * @returns {Object} Bluestein state
+   */
+  createBluestein(size) {
+    const convolutionSize = nextPowerOfTwo(2 * size - 1);
+    const inner = new Radix2FFT(convolutionSize);
+
+    const chirpReal = new Float64Array(size);
+    const chirpImag = new Float64Array(size);
+    for (let k = 0; k < size; k++) {
+      // k^2 mod 2n keeps the angle small for large k
+      const angle = Math.PI * ((k * k) % (2 * size)) / size;
+      chirpReal[k] = Math.cos(angle);
+      chirpImag[k] = -Math.sin(angle);
+    }
+
+    const kernelReal = new Float64Array(convolutionSize);
+    const kernelImag = new Float64Array(convolutionSize);
+    kernelReal[0] = chirpReal[0];
+    kernelImag[0] = -chirpImag[0];
+    for (let k = 1; k < size; k++) {
+      kernelReal[k] = kernelReal[convolutionSize - k] = chirpReal[k];
+      kernelImag[k] = kernelImag[convolutionSize - k] = -chirpImag[k];
+    }
+    inner.transform(kernelReal, kernelImag);
+
+    return {
+      inner,
+      chirpReal,
+      chirpImag,
+      kernelReal,
+      kernelImag,
+      workReal: new Float64Array(convolutionSize),
+      workImag: new Float64Array(convolutionSize)
+    };
+  }
+
+  /**
+   * Transform complex data in place
+   * @param {Float64Array} real - Real parts (length === size)
+   * @param {Float64Array} imag - Imaginary parts (length === size)
+   * @param {boolean} inverse - Compute the inverse transform
+   */
+  transform(real, imag, inverse = false) {
+    if (this.radix2) {
+      this.radix2.transform(real, imag, inverse);
+      return;
+    }
+
+    // Inverse via conjugation: ifft(x) = conj(fft(conj(x))) / n
+    if (inverse) {
+      for (let i = 0; i < this.size; i++) {
+        imag[i] = -imag[i];
+      }
+    }
+
+    const { inner, chirpReal, chirpImag, kernelReal, kernelImag, workReal, workImag } = this.bluestein;
+    const n = this.size;
+
+    workReal.fill(0);
+    workImag.fill(0);
+    for (let k = 0; k < n; k++) {
+      workReal[k] = real[k] * chirpReal[k] - imag[k] * chirpImag[k];
+      workImag[k] = real[k] * chirpImag[k] + imag[k] * chirpReal[k];
+    }
+
+    inner.transform(workReal, workImag);
+    for (let k = 0; k < workReal.length; k++) {
+      const re = workReal[k] * kernelReal[k] - workImag[k] * kernelImag[k];
+      const im = workReal[k] * kernelImag[k] + workImag[k] * kernelReal[k];
+      workReal[k] = re;
+      workImag[k] = im;
+    }
+    inner.transform(workReal, workImag, true);
+
+    for (let k = 0; k < n; k++) {
+      real[k] = workReal[k] * chirpReal[k] - workImag[k] * chirpImag[k];
+      imag[k] = workReal[k] * chirpImag[k] + workImag[k] * chirpReal[k];
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        real[i] /= n;
+        imag[i] = -imag[i] / n;
+      }
+    }
+  }
+
+  /**
+   * Power spectrum of a real-valued frame
+   * @param {Float32Array|Float64Array} frame - Real input (length <= size, zero-padded)
+   * @param {Float32Array} output - Optional output of length size / 2 + 1
+   * @returns {Float32Array} |X[k]|^2 for k = 0..size/2
+   */
+  powerSpectrum(frame, output = null) {
+    const numBins = Math.floor(this.size / 2) + 1;
+    const spectrum = output || new Float32Array(numBins);
+
+    this.real.fill(0);
+    this.imag.fill(0);
+    this.real.set(frame.length > this.size ? frame.subarray(0, this.size) : frame);
+
+    this.transform(this.real, this.imag);
+
+    for (let k = 0; k < numBins; k++) {
+      spectrum[k] = this.real[k] * this.real[k] + this.imag[k] * this.imag[k];
+    }
+
+    return spectrum;
+  }
+}
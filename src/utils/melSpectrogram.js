@@ -0,0 +1,279 @@
+/**
+ * Whisper log-mel spectrogram frontend
+ *
+ * Kept free of ONNX and DOM dependencies so it can run in inference workers.
+ */
+
+import { FFT } from './fft.js';
+import { resampleAudio } from './audioUtils.js';
+
+// Whisper feature extraction parameters
+export const WHISPER_AUDIO = {
+  sampleRate: 16000,
+  nFft: 400,
+  hopLength: 160,
+  numMels: 80,
+  chunkLength: 30,
+  numSamples: 16000 * 30,
+  numFrames: 3000
+};
+
+/**
+ * Convert frequency to Slaney mel scale (librosa default, htk=False)
+ * @param {number} hz - Frequency in Hz
+ * @returns {number} Mel value
+ */
+function hzToMel(hz) {
+  const fSp = 200 / 3;
+  const minLogHz = 1000;
+  const minLogMel = minLogHz / fSp;
+  const logStep = Math.log(6.4) / 27;
+  return hz >= minLogHz ? minLogMel + Math.log(hz / minLogHz) / logStep : hz / fSp;
+}
+
+/**
+ * Convert Slaney mel value back to frequency
+ * @param {number} mel - Mel value
+ * @returns {number} Frequency in Hz
+ */
+function melToHz(mel) {
+  const fSp = 200 / 3;
+  const minLogHz = 1000;
+  const minLogMel = minLogHz / fSp;
+  const logStep = Math.log(6.4) / 27;
+  return mel >= minLogMel ? minLogHz * Math.exp(logStep * (mel - minLogMel)) : mel * fSp;
+}
+
+export class WhisperFeatureExtractor {
+  constructor() {
+    this.fft = null;
+    this.window = null;
+    this.melFilterbank = null;
+  }
+
+  /**
+   * Preprocess audio data for Whisper model
+   * @param {Float32Array} audioData - Raw audio data
+   * @param {number} sampleRate - Sample rate of audioData
+   * @returns {Float32Array} Log-mel features laid out as [numMels, numFrames]
+   */
+  preprocessAudio(audioData, sampleRate = WHISPER_AUDIO.sampleRate) {
+    // Resample to 16kHz if needed
+    const resampled = resampleAudio(audioData, sampleRate, WHISPER_AUDIO.sampleRate);
+    
+    // Whisper always sees a 30-second window
+    const padded = this.padOrTrim(resampled, WHISPER_AUDIO.numSamples);
+    
+    // Apply mel spectrogram
+    const melSpectrogram = this.computeMelSpectrogram(padded);
+    
+    // Normalize
+    const normalized = this.normalize(melSpectrogram);
+    
+    return normalized;
+  }
+
+  /**
+   * Zero-pad or trim audio to an exact length
+   * @param {Float32Array} audio - Input audio
+   * @param {number} length - Target length in samples
+   * @returns {Float32Array} Audio of exactly `length` samples
+   */
+  padOrTrim(audio, length) {
+    if (audio.length === length) {
+      return audio;
+    }
+    
+    const output = new Float32Array(length);
+    output.set(audio.length > length ? audio.subarray(0, length) : audio);
+    return output;
+  }
+
+  /**
+   * Compute log-mel spectrogram from audio
+   *
+   * Matches Whisper's `log_mel_spectrogram`: a centered STFT with reflect
+   * padding and a periodic Hann window, power magnitudes, Slaney mel filters
+   * and log10 with a 1e-10 floor. The trailing STFT frame is dropped.
+   * @param {Float32Array} audio - Audio data at 16kHz
+   * @returns {Float32Array} Log-mel spectrogram laid out as [numMels, numFrames]
+   */
+  computeMelSpectrogram(audio) {
+    const { nFft, hopLength, numMels } = WHISPER_AUDIO;
+    const numFrames = Math.floor(audio.length / hopLength);
+    const padding = nFft / 2;
+    const padded = this.reflectPad(audio, padding);
+    const filterbank = this.getMelFilterbank();
+    const numBins = nFft / 2 + 1;
+    
+    const spectrogram = new Float32Array(numMels * numFrames);
+    const frameData = new Float32Array(nFft);
+    const powerSpectrum = new Float32Array(numBins);
+    
+    for (let frame = 0; frame < numFrames; frame++) {
+      const start = frame * hopLength;
+      frameData.set(padded.subarray(start, start + nFft));
+      
+      // Apply window function (Hann)
+      const windowed = this.applyWindow(frameData);
+      
+      // Compute power spectrum
+      this.computePowerSpectrum(windowed, powerSpectrum);
+      
+      // Apply mel filterbank
+      const melFeatures = this.applyMelFilterbank(powerSpectrum, filterbank);
+      
+      // Copy to output
+      for (let mel = 0; mel < numMels; mel++) {
+        spectrogram[mel * numFrames + frame] = Math.log10(Math.max(melFeatures[mel], 1e-10));
+      }
+    }
+    
+    return spectrogram;
+  }
+
+  /**
+   * Reflect-pad audio on both sides (numpy/torch "reflect" mode)
+   * @param {Float32Array} audio - Input audio
+   * @param {number} padding - Samples to add on each side
+   * @returns {Float32Array} Padded audio
+   */
+  reflectPad(audio, padding) {
+    const padded = new Float32Array(audio.length + 2 * padding);
+    padded.set(audio, padding);
+    
+    for (let i = 0; i < padding; i++) {
+      padded[padding - 1 - i] = audio[Math.min(i + 1, audio.length - 1)] || 0;
+      padded[padding + audio.length + i] = audio[Math.max(audio.length - 2 - i, 0)] || 0;
+    }
+    
+    return padded;
+  }
+
+  /**
+   * Apply periodic Hann window
+   * @param {Float32Array} data - Input data
+   * @returns {Float32Array} Windowed data
+   */
+  applyWindow(data) {
+    if (!this.window || this.window.length !== data.length) {
+      this.window = new Float32Array(data.length);
+      for (let i = 0; i < data.length; i++) {
+        this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / data.length);
+      }
+    }
+    
+    const windowed = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      windowed[i] = data[i] * this.window[i];
+    }
+    return windowed;
+  }
+
+  /**
+   * Compute power spectrum
+   * @param {Float32Array} data - Windowed data
+   * @param {Float32Array} output - Optional output buffer of nFft / 2 + 1 bins
+   * @returns {Float32Array} Power spectrum
+   */
+  computePowerSpectrum(data, output = null) {
+    if (!this.fft || this.fft.size !== WHISPER_AUDIO.nFft) {
+      this.fft = new FFT(WHISPER_AUDIO.nFft);
+    }
+    
+    return this.fft.powerSpectrum(data, output);
+  }
+
+  /**
+   * Build (and cache) Slaney-normalized triangular mel filters, equivalent to
+   * librosa.filters.mel(sr=16000, n_fft=400, n_mels=80)
+   * @returns {Array<Object>} Sparse filters with start bin and weights
+   */
+  getMelFilterbank() {
+    if (this.melFilterbank) {
+      return this.melFilterbank;
+    }
+    
+    const { sampleRate, nFft, numMels } = WHISPER_AUDIO;
+    const numBins = nFft / 2 + 1;
+    const minMel = hzToMel(0);
+    const maxMel = hzToMel(sampleRate / 2);
+    
+    const melPoints = new Float64Array(numMels + 2);
+    for (let i = 0; i < numMels + 2; i++) {
+      melPoints[i] = melToHz(minMel + (maxMel - minMel) * i / (numMels + 1));
+    }
+    
+    const filters = [];
+    for (let mel = 0; mel < numMels; mel++) {
+      const lower = melPoints[mel];
+      const center = melPoints[mel + 1];
+      const upper = melPoints[mel + 2];
+      const enorm = 2 / (upper - lower);
+      const weights = [];
+      let startBin = -1;
+      
+      for (let bin = 0; bin < numBins; bin++) {
+        const frequency = bin * sampleRate / nFft;
+        const rising = (frequency - lower) / (center - lower);
+        const falling = (upper - frequency) / (upper - center);
+        const weight = Math.max(0, Math.min(rising, falling));
+        
+        if (weight > 0) {
+          if (startBin < 0) startBin = bin;
+          weights[bin - startBin] = weight * enorm;
+        }
+      }
+      
+      filters.push({
+        startBin: Math.max(startBin, 0),
+        weights: Float32Array.from(weights, (w) => w || 0)
+      });
+    }
+    
+    this.melFilterbank = filters;
+    return filters;
+  }
+
+  /**
+   * Apply mel filterbank
+   * @param {Float32Array} spectrum - Power spectrum
+   * @param {Array<Object>} filterbank - Filters from getMelFilterbank()
+   * @returns {Float32Array} Mel energies
+   */
+  applyMelFilterbank(spectrum, filterbank = this.getMelFilterbank()) {
+    const melFeatures = new Float32Array(filterbank.length);
+    
+    for (let mel = 0; mel < filterbank.length; mel++) {
+      const { startBin, weights } = filterbank[mel];
+      let sum = 0;
+      for (let i = 0; i < weights.length; i++) {
+        sum += spectrum[startBin + i] * weights[i];
+      }
+      melFeatures[mel] = sum;
+    }
+    
+    return melFeatures;
+  }
+
+  /**
+   * Normalize log-mel spectrogram the way Whisper does: clamp to 8 (log10
+   * units) below the peak, then scale to roughly [-1, 1]
+   * @param {Float32Array} spectrogram - Log-mel spectrogram
+   * @returns {Float32Array} Normalized spectrogram
+   */
+  normalize(spectrogram) {
+    const normalized = new Float32Array(spectrogram.length);
+    let max = -Infinity;
+    for (let i = 0; i < spectrogram.length; i++) {
+      if (spectrogram[i] > max) max = spectrogram[i];
+    }
+    
+    const floor = max - 8;
+    for (let i = 0; i < spectrogram.length; i++) {
+      normalized[i] = (Math.max(spectrogram[i], floor) + 4) / 4;
+    }
+    
+    return normalized;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * AudioWorklet processor that forwards microphone PCM to the main thread
+ *
+ * Runs on the audio rendering thread. Input is downmixed to mono and
+ * collected into fixed-size batches, which are transferred (not copied)
+ * through the node's message port.
+ */
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.batchSize = options.processorOptions?.batchSize || 2048;
+    this.batch = new Float32Array(this.batchSize);
+    this.batchLength = 0;
+    this.isActive = true;
+
+    this.port.onmessage = (event) => {
+      if (event.data === 'stop') {
+        this.flush();
+        this.isActive = false;
+      }
+    };
+  }
+
+  /**
+   * Send the current batch to the main thread
+   */
+  flush() {
+    if (this.batchLength === 0) return;
+
+    const samples = this.batch.slice(0, this.batchLength);
+    this.port.postMessage(samples, [samples.buffer]);
+    this.batchLength = 0;
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (channels && channels.length > 0) {
+      const frameLength = channels[0].length;
+
+      for (let i = 0; i < frameLength; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels.length; c++) {
+          sum += channels[c][i];
+        }
+        this.batch[this.batchLength++] = sum / channels.length;
+
+        if (this.batchLength === this.batchSize) {
+          this.flush();
+        }
+      }
+    }
+
+    return this.isActive;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PCMCaptureProcessor);
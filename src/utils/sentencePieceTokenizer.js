@@ -0,0 +1,310 @@
+/**
+ * SentencePiece unigram tokenizer (Marian style)
+ *
+ * Text is normalized, spaces become "▁" word-boundary markers and the best
+ * segmentation under the unigram piece scores is found with Viterbi. Marian
+ * keeps the SentencePiece models (source.spm / target.spm) for segmentation
+ * and a separate vocabulary for ids, so pieces are looked up in vocab.json
+ * after segmenting. Without the .spm file, vocabulary ids stand in for piece
+ * frequencies.
+ */
+
+// Word boundary marker used by SentencePiece
+export const WORD_BOUNDARY = '▁';
+
+// SentencePiece piece types (sentencepiece_model.proto)
+const PIECE_TYPE = {
+  NORMAL: 1,
+  UNKNOWN: 2,
+  CONTROL: 3,
+  USER_DEFINED: 4,
+  UNUSED: 5,
+  BYTE: 6
+};
+
+// Score penalty for characters no piece covers (kUnkPenalty in SentencePiece)
+const UNKNOWN_PENALTY = 10;
+
+// Target language tags of multilingual Marian models, e.g. >>es<<
+const LANGUAGE_TAG_PATTERN = /^>>[\w-]+<<$/;
+
+/**
+ * Minimal protobuf reader for the fields of a SentencePiece ModelProto
+ * @param {Uint8Array} bytes - Serialized message
+ * @returns {Array<Object>} Fields: { field, wireType, value }
+ */
+function readProtoFields(bytes) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = bytes[offset++];
+      result += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  while (offset < bytes.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+    let value;
+
+    if (wireType === 0) {
+      value = readVarint();
+    } else if (wireType === 1) {
+      value = bytes.subarray(offset, offset + 8);
+      offset += 8;
+    } else if (wireType === 2) {
+      const length = readVarint();
+      value = bytes.subarray(offset, offset + length);
+      offset += length;
+    } else if (wireType === 5) {
+      value = bytes.subarray(offset, offset + 4);
+      offset += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    fields.push({ field, wireType, value });
+  }
+
+  return fields;
+}
+
+export class SentencePieceTokenizer {
+  /**
+   * @param {Object} vocab - Piece to id (Marian vocab.json)
+   * @param {Array<Object>|null} pieces - Segmentation pieces from the .spm model ({ piece, score, type })
+   * @param {Object} options - Special tokens
+   * @param {string} options.eosToken - End-of-sentence piece
+   * @param {string} options.unkToken - Unknown piece
+   * @param {string} options.padToken - Padding piece (also the decoder start token in Marian)
+   */
+  constructor(vocab, pieces = null, { eosToken = '</s>', unkToken = '<unk>', padToken = '<pad>' } = {}) {
+    this.vocab = vocab;
+    this.idToPiece = [];
+    for (const [piece, id] of Object.entries(vocab)) {
+      this.idToPiece[id] = piece;
+    }
+
+    this.eosId = vocab[eosToken];
+    this.unkId = vocab[unkToken];
+    this.padId = vocab[padToken];
+    this.vocabSize = this.idToPiece.length;
+
+    this.specialIds = new Set([this.eosId, this.unkId, this.padId]);
+    for (const [piece, id] of Object.entries(vocab)) {
+      if (LANGUAGE_TAG_PATTERN.test(piece)) {
+        this.specialIds.add(id);
+      }
+    }
+
+    this.scores = new Map();
+    if (pieces) {
+      for (const { piece, score, type } of pieces) {
+        if (type === PIECE_TYPE.NORMAL || type === PIECE_TYPE.USER_DEFINED) {
+          this.scores.set(piece, score);
+        }
+      }
+    } else {
+      // Marian vocabularies are ordered roughly by frequency
+      for (const [piece, id] of Object.entries(vocab)) {
+        if (!this.specialIds.has(id)) {
+          this.scores.set(piece, -Math.log(id + 2));
+        }
+      }
+    }
+
+    this.maxPieceLength = 0;
+    let minScore = 0;
+    for (const [piece, score] of this.scores) {
+      this.maxPieceLength = Math.max(this.maxPieceLength, Array.from(piece).length);
+      minScore = Math.min(minScore, score);
+    }
+    this.unknownScore = minScore - UNKNOWN_PENALTY;
+    this.cache = new Map();
+  }
+
+  /**
+   * Load a tokenizer from a Marian vocabulary JSON and an optional .spm model
+   * @param {string} vocabPath - URL of vocab.json
+   * @param {string|null} modelPath - URL of the SentencePiece model (source.spm)
+   * @returns {Promise<SentencePieceTokenizer>} Tokenizer
+   */
+  static async load(vocabPath, modelPath = null) {
+    const vocabResponse = await fetch(vocabPath);
+    if (!vocabResponse.ok) {
+      throw new Error('Failed to load vocabulary');
+    }
+    const vocab = await vocabResponse.json();
+
+    let pieces = null;
+    if (modelPath) {
+      try {
+        const modelResponse = await fetch(modelPath);
+        if (!modelResponse.ok) {
+          throw new Error('SentencePiece model not found');
+        }
+        pieces = SentencePieceTokenizer.parseModel(await modelResponse.arrayBuffer());
+      } catch (error) {
+        console.warn('SentencePiece model unavailable, scoring pieces by vocabulary rank');
+      }
+    }
+
+    return new SentencePieceTokenizer(vocab, pieces);
+  }
+
+  /**
+   * Read the pieces of a serialized SentencePiece ModelProto
+   * @param {ArrayBuffer} buffer - Contents of a .spm / .model file
+   * @returns {Array<Object>} Pieces: { piece, score, type }
+   */
+  static parseModel(buffer) {
+    const textDecoder = new TextDecoder('utf-8');
+
+    return readProtoFields(new Uint8Array(buffer))
+      .filter(({ field, wireType }) => field === 1 && wireType === 2)
+      .map(({ value }) => {
+        const entry = { piece: '', score: 0, type: PIECE_TYPE.NORMAL };
+        for (const { field, value: fieldValue } of readProtoFields(value)) {
+          if (field === 1) entry.piece = textDecoder.decode(fieldValue);
+          if (field === 2) entry.score = new DataView(fieldValue.buffer, fieldValue.byteOffset, 4).getFloat32(0, true);
+          if (field === 3) entry.type = fieldValue;
+        }
+        return entry;
+      });
+  }
+
+  /**
+   * Id of a target language tag, for multilingual models
+   * @param {string} language - Language code
+   * @returns {number|null} Tag id, or null if the model has no such tag
+   */
+  getLanguageTagId(language) {
+    return this.vocab[`>>${language}<<`] ?? null;
+  }
+
+  /**
+   * Check whether an id is a special token (end of sentence, padding, unknown, language tag)
+   * @param {number} id - Token id
+   * @returns {boolean} Whether the token is special
+   */
+  isSpecial(id) {
+    return this.specialIds.has(id);
+  }
+
+  /**
+   * SentencePiece-style normalization: NFKC, collapsed whitespace, and a
+   * word-boundary marker in front of every word
+   * @param {string} text - Input text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    const collapsed = text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+    return collapsed ? WORD_BOUNDARY + collapsed.replaceAll(' ', WORD_BOUNDARY) : '';
+  }
+
+  /**
+   * Encode text to token ids
+   * @param {string} text - Input text
+   * @param {Object} options - Encoding options
+   * @param {string|null} options.targetLanguage - Prefix the >>xx<< tag when the model has one
+   * @param {boolean} options.addEos - Append the end-of-sentence token
+   * @returns {Array<number>} Token ids
+   */
+  encode(text, { targetLanguage = null, addEos = true } = {}) {
+    const ids = [];
+
+    const tagId = targetLanguage ? this.getLanguageTagId(targetLanguage) : null;
+    if (tagId !== null) {
+      ids.push(tagId);
+    }
+
+    for (const piece of this.tokenize(text)) {
+      ids.push(this.vocab[piece] ?? this.unkId);
+    }
+
+    if (addEos) {
+      ids.push(this.eosId);
+    }
+    return ids;
+  }
+
+  /**
+   * Split text into pieces
+   * @param {string} text - Input text
+   * @returns {Array<string>} Pieces
+   */
+  tokenize(text) {
+    const normalized = this.normalize(text);
+    // Pieces never span a word boundary marker other than their own leading one
+    const words = normalized.split(WORD_BOUNDARY).filter(Boolean).map(word => WORD_BOUNDARY + word);
+    return words.flatMap(word => this.segment(word));
+  }
+
+  /**
+   * Best-scoring segmentation of one word (Viterbi over the piece lattice)
+   * @param {string} word - Word with its leading boundary marker
+   * @returns {Array<string>} Pieces
+   */
+  segment(word) {
+    if (this.cache.has(word)) {
+      return this.cache.get(word);
+    }
+
+    const chars = Array.from(word);
+    const best = new Array(chars.length + 1).fill(-Infinity);
+    const previous = new Array(chars.length + 1).fill(-1);
+    best[0] = 0;
+
+    for (let end = 1; end <= chars.length; end++) {
+      const minStart = Math.max(0, end - this.maxPieceLength);
+      for (let start = end - 1; start >= minStart; start--) {
+        if (best[start] === -Infinity) continue;
+        let score = this.scores.get(chars.slice(start, end).join(''));
+        // A single character no piece covers becomes an unknown piece
+        if (score === undefined && start === end - 1) {
+          score = this.unknownScore;
+        }
+        if (score !== undefined && best[start] + score > best[end]) {
+          best[end] = best[start] + score;
+          previous[end] = start;
+        }
+      }
+    }
+
+    const pieces = [];
+    for (let end = chars.length; end > 0; end = previous[end]) {
+      pieces.unshift(chars.slice(previous[end], end).join(''));
+    }
+
+    this.cache.set(word, pieces);
+    return pieces;
+  }
+
+  /**
+   * Decode token ids to text
+   * @param {Array<number>} ids - Token ids
+   * @param {Object} options - Decoding options
+   * @param {boolean} options.skipSpecialTokens - Drop end-of-sentence, padding, unknown and language tags
+   * @returns {string} Decoded text
+   */
+  decode(ids, { skipSpecialTokens = true } = {}) {
+    const pieces = [];
+    for (const id of ids) {
+      if (skipSpecialTokens && this.isSpecial(id)) continue;
+
+      const piece = this.idToPiece[id];
+      if (piece !== undefined) {
+        pieces.push(piece);
+      }
+    }
+
+    return pieces.join('').replaceAll(WORD_BOUNDARY, ' ').trim();
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Speaker features for diarization
+ *
+ * Kaldi-style log-mel filterbank energies (the usual input of speaker
+ * embedding models) and a model-free fallback embedding built from the
+ * long-term average spectrum of the voiced frames.
+ */
+
+import { FFT } from './fft.js';
+
+// Filterbank settings (25 ms windows every 10 ms at 16 kHz, 80 HTK mel bins)
+export const SPEAKER_FEATURES = {
+  sampleRate: 16000,
+  frameLength: 400,
+  frameShift: 160,
+  nFft: 512,
+  numMelBins: 80,
+  lowFreq: 20,
+  preemphasis: 0.97,
+  voicedRangeDb: 30
+};
+
+/**
+ * HTK mel scale (as used by Kaldi)
+ * @param {number} hz - Frequency in Hz
+ * @returns {number} Mel value
+ */
+function hzToMel(hz) {
+  return 1127 * Math.log(1 + hz / 700);
+}
+
+/**
+ * Triangular mel filters over FFT bins
+ * @param {Object} config - SPEAKER_FEATURES values
+ * @returns {Array<{start: number, weights: Float32Array}>} One filter per mel bin
+ */
+function createMelFilters({ sampleRate, nFft, numMelBins, lowFreq }) {
+  const numBins = nFft / 2 + 1;
+  const minMel = hzToMel(lowFreq);
+  const maxMel = hzToMel(sampleRate / 2);
+  const melStep = (maxMel - minMel) / (numMelBins + 1);
+  const filters = [];
+
+  for (let m = 0; m < numMelBins; m++) {
+    const left = minMel + m * melStep;
+    const center = left + melStep;
+    const right = center + melStep;
+    const weights = new Float32Array(numBins);
+    let start = numBins;
+
+    for (let k = 0; k < numBins; k++) {
+      const mel = hzToMel(k * sampleRate / nFft);
+      if (mel > left && mel < right) {
+        weights[k] = mel <= center ? (mel - left) / (center - left) : (right - mel) / (right - center);
+        start = Math.min(start, k);
+      }
+    }
+    filters.push({ start, weights });
+  }
+  return filters;
+}
+
+const filterCache = new Map();
+
+/**
+ * Log-mel filterbank energies
+ * @param {Float32Array} audio - Mono audio at config.sampleRate
+ * @param {Object} options - Overrides for SPEAKER_FEATURES
+ * @returns {Object} { features: Float32Array laid out [numFrames, numMelBins], numFrames, numMelBins }
+ */
+export function computeFbank(audio, options = {}) {
+  const config = { ...SPEAKER_FEATURES, ...options };
+  const { frameLength, frameShift, nFft, numMelBins, preemphasis } = config;
+  const numFrames = audio.length < frameLength ? 0 : 1 + Math.floor((audio.length - frameLength) / frameShift);
+
+  const cacheKey = `${config.sampleRate}:${nFft}:${numMelBins}:${config.lowFreq}`;
+  if (!filterCache.has(cacheKey)) {
+    filterCache.set(cacheKey, createMelFilters(config));
+  }
+  const filters = filterCache.get(cacheKey);
+
+  const fft = new FFT(nFft);
+  const frame = new Float32Array(frameLength);
+  const power = new Float32Array(nFft / 2 + 1);
+  const features = new Float32Array(numFrames * numMelBins);
+
+  for (let f = 0; f < numFrames; f++) {
+    const offset = f * frameShift;
+
+    // Remove DC, pre-emphasize and apply a Hamming window
+    let mean = 0;
+    for (let i = 0; i < frameLength; i++) mean += audio[offset + i];
+    mean /= frameLength;
+    for (let i = 0; i < frameLength; i++) {
+      const sample = audio[offset + i] - mean;
+      const previous = i > 0 ? audio[offset + i - 1] - mean : sample;
+      const window = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frameLength - 1));
+      frame[i] = (sample - preemphasis * previous) * window;
+    }
+
+    fft.powerSpectrum(frame, power);
+
+    for (let m = 0; m < numMelBins; m++) {
+      const { start, weights } = filters[m];
+      let energy = 0;
+      for (let k = start; k < weights.length && weights[k] > 0; k++) {
+        energy += weights[k] * power[k];
+      }
+      features[f * numMelBins + m] = Math.log(Math.max(energy, 1.19e-7));
+    }
+  }
+
+  return { features, numFrames, numMelBins };
+}
+
+/**
+ * Model-free speaker embedding: the long-term average log spectrum of the
+ * louder (voiced) frames, with the overall level removed so microphone gain
+ * and distance matter less than the shape of the voice
+ * @param {Float32Array} audio - Mono audio at 16 kHz
+ * @param {Object} options - Overrides for SPEAKER_FEATURES
+ * @returns {Float32Array|null} Embedding, or null if the audio is too short
+ */
+export function computeSpectralEmbedding(audio, options = {}) {
+  const config = { ...SPEAKER_FEATURES, ...options };
+  const { features, numFrames, numMelBins } = computeFbank(audio, config);
+  if (numFrames === 0) return null;
+
+  // Frame log energies (in dB) to find the voiced part
+  const frameEnergy = new Float32Array(numFrames);
+  let maxEnergy = -Infinity;
+  for (let f = 0; f < numFrames; f++) {
+    let sum = 0;
+    for (let m = 0; m < numMelBins; m++) {
+      sum += Math.exp(features[f * numMelBins + m]);
+    }
+    frameEnergy[f] = 10 * Math.log10(sum + 1e-12);
+    maxEnergy = Math.max(maxEnergy, frameEnergy[f]);
+  }
+
+  const embedding = new Float32Array(numMelBins);
+  let count = 0;
+  for (let f = 0; f < numFrames; f++) {
+    if (frameEnergy[f] < maxEnergy - config.voicedRangeDb) continue;
+    for (let m = 0; m < numMelBins; m++) {
+      embedding[m] += features[f * numMelBins + m];
+    }
+    count++;
+  }
+
+  let level = 0;
+  for (let m = 0; m < numMelBins; m++) {
+    embedding[m] /= count;
+    level += embedding[m];
+  }
+  level /= numMelBins;
+  for (let m = 0; m < numMelBins; m++) {
+    embedding[m] -= level;
+  }
+
+  return embedding;
+}
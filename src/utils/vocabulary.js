@@ -0,0 +1,150 @@
+/**
+ * Domain vocabulary helpers shared by the speech recognizers
+ *
+ * Whisper is biased through its initial prompt; recognizers that cannot be
+ * prompted get a fuzzy post-correction pass against the same term list.
+ */
+
+// Vocabulary configuration
+export const VOCABULARY_CONFIG = {
+  maxEditRatio: 0.3,
+  minFuzzyLength: 4
+};
+
+/**
+ * Parse a free-form term list (one per line or comma separated)
+ * @param {string} text - Raw input
+ * @returns {Array<string>} Unique, trimmed terms
+ */
+export function parseTerms(text) {
+  const seen = new Set();
+  return text
+    .split(/[\n,;]+/)
+    .map(term => term.trim())
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Text fed to Whisper as the previous-context prompt
+ * @param {Array<string>} terms - Vocabulary terms
+ * @param {string} prompt - Free-form context
+ * @returns {string} Prompt text (empty when there is nothing to bias towards)
+ */
+export function buildVocabularyPrompt(terms = [], prompt = '') {
+  const parts = [];
+  if (prompt && prompt.trim()) {
+    parts.push(prompt.trim());
+  }
+  if (terms.length > 0) {
+    parts.push(`${terms.join(', ')}.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Lowercase, strip accents and drop everything but letters and digits
+ * @param {string} text - Input text
+ * @returns {string} Comparison key
+ */
+export function normalizeForMatch(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+export function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Replace near-misses of vocabulary terms in recognized text
+ *
+ * Windows of words around each term's word count are compared with spaces
+ * and punctuation removed, so "kuber netties" can still become "Kubernetes".
+ * Punctuation around the replaced words is kept.
+ * @param {string} text - Recognized text
+ * @param {Array<string>} terms - Vocabulary terms
+ * @param {Object} options - Matching options (see VOCABULARY_CONFIG)
+ * @returns {string} Corrected text
+ */
+export function correctWithVocabulary(text, terms, options = {}) {
+  if (!text || !terms || terms.length === 0) {
+    return text;
+  }
+
+  const { maxEditRatio, minFuzzyLength } = { ...VOCABULARY_CONFIG, ...options };
+  const entries = terms
+    .map(term => ({ term, key: normalizeForMatch(term), wordCount: term.split(/\s+/).length }))
+    .filter(entry => entry.key.length > 0);
+  const words = text.trim().split(/\s+/);
+  const output = [];
+
+  let i = 0;
+  while (i < words.length) {
+    let best = null;
+
+    for (const entry of entries) {
+      const minWords = Math.max(1, entry.wordCount - 1);
+      const maxWords = Math.min(words.length - i, entry.wordCount + 2);
+
+      for (let count = minWords; count <= maxWords; count++) {
+        const key = normalizeForMatch(words.slice(i, i + count).join(''));
+        // Anchoring on the first letter keeps neighbouring words from being swallowed
+        if (!key || key[0] !== entry.key[0]) continue;
+
+        const distance = levenshteinDistance(key, entry.key);
+        const allowed = entry.key.length >= minFuzzyLength
+          ? Math.floor(entry.key.length * maxEditRatio)
+          : 0;
+        if (distance > allowed) continue;
+
+        // Prefer closer matches, then longer windows
+        const score = distance / entry.key.length;
+        if (!best || score < best.score || (score === best.score && count > best.count)) {
+          best = { term: entry.term, count, score };
+        }
+      }
+    }
+
+    if (!best) {
+      output.push(words[i]);
+      i++;
+      continue;
+    }
+
+    const first = words[i];
+    const last = words[i + best.count - 1];
+    const leading = first.match(/^[^\p{L}\p{N}]*/u)[0];
+    const trailing = last.match(/[^\p{L}\p{N}]*$/u)[0];
+    output.push(`${leading}${best.term}${trailing}`);
+    i += best.count;
+  }
+
+  return output.join(' ');
+}
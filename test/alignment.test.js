@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignRows, dynamicTimeWarping, medianFilter } from '../src/utils/alignment.js';
+
+describe('medianFilter', () => {
+  it('removes single-sample spikes', () => {
+    assert.deepEqual(medianFilter(Float32Array.of(0, 0, 9, 0, 0), 3), Float32Array.of(0, 0, 0, 0, 0));
+  });
+
+  it('reflects at the edges', () => {
+    assert.deepEqual(medianFilter(Float32Array.of(5, 1, 1), 3), Float32Array.of(1, 1, 1));
+  });
+
+  it('leaves rows shorter than the window alone', () => {
+    assert.deepEqual(medianFilter(Float32Array.of(3, 1), 7), Float32Array.of(3, 1));
+  });
+});
+
+describe('dynamicTimeWarping', () => {
+  it('follows the cheap cells monotonically', () => {
+    // Row 0 is cheap in columns 0-1, row 1 in columns 2-3
+    const cost = Float32Array.of(
+      0, 0, 9, 9,
+      9, 9, 0, 0
+    );
+    assert.deepEqual(dynamicTimeWarping(cost, 2, 4), [[0, 0], [0, 1], [1, 2], [1, 3]]);
+  });
+});
+
+describe('alignRows', () => {
+  it('starts each row where its attention peaks', () => {
+    const frames = 12;
+    const sequenceLength = 4;
+    const weights = new Float32Array(sequenceLength * frames);
+    // Positions 1-3 attend to frames 0-3, 4-7 and 8-11
+    for (let row = 1; row < sequenceLength; row++) {
+      for (let frame = (row - 1) * 4; frame < row * 4; frame++) {
+        weights[row * frames + frame] = 1;
+      }
+    }
+    assert.deepEqual(alignRows([weights], sequenceLength, frames, [1, 2, 3], 1), [0, 4, 8]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ByteLevelBPETokenizer } from '../src/utils/bpeTokenizer.js';
+
+// Byte-level characters: 'Ġ' is a space, 'Ã©' the UTF-8 bytes of 'é'
+const VOCAB = {
+  h: 0, e: 1, l: 2, o: 3, 'Ġ': 4, w: 5, r: 6, d: 7,
+  he: 8, ll: 9, hell: 10, hello: 11, 'Ġw': 12, 'Ġwo': 13,
+  'Ã': 14, '©': 15, 'Ġcaf': 16
+};
+const MERGES = ['h e', 'l l', 'he ll', 'hell o', 'Ġ w', 'Ġw o'];
+const SPECIAL_TOKENS = { '<|endoftext|>': 50, '<|notimestamps|>': 51 };
+
+describe('ByteLevelBPETokenizer', () => {
+  const tokenizer = new ByteLevelBPETokenizer(VOCAB, MERGES, SPECIAL_TOKENS);
+
+  it('applies merges by rank', () => {
+    assert.deepEqual(tokenizer.encode('hello world'), [11, 13, 6, 2, 7]);
+    assert.equal(tokenizer.decode([11, 13, 6, 2, 7]), 'hello world');
+  });
+
+  it('decodes characters whose bytes span several tokens', () => {
+    assert.equal(tokenizer.decode([16, 14, 15]), ' café');
+    assert.equal(tokenizer.decode([16, 14]), ' caf�');
+  });
+
+  it('encodes and skips special tokens', () => {
+    const ids = tokenizer.encode('<|notimestamps|>hello<|endoftext|>', { allowSpecialTokens: true });
+    assert.deepEqual(ids, [51, 11, 50]);
+    assert.equal(tokenizer.decode(ids), 'hello');
+    assert.equal(tokenizer.decode(ids, { skipSpecialTokens: false }), '<|notimestamps|>hello<|endoftext|>');
+    assert.notDeepEqual(tokenizer.encode('<|endoftext|>'), [50]);
+  });
+
+  it('tells word-initial tokens apart', () => {
+    assert.equal(tokenizer.startsWord(13), true);
+    assert.equal(tokenizer.startsWord(11), false);
+    assert.equal(tokenizer.startsWord(50), false);
+  });
+
+  it('falls back to the longest vocabulary match without merges', () => {
+    const greedy = new ByteLevelBPETokenizer(VOCAB);
+    assert.deepEqual(greedy.encode('hello world'), [11, 13, 6, 2, 7]);
+  });
+
+  it('parses merges files', () => {
+    assert.deepEqual(ByteLevelBPETokenizer.parseMerges('#version: 0.2\nh e\nl  l\n\nbad\n'), ['h e', 'l l']);
+  });
+});
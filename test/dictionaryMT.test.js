@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DictionaryMT } from '../src/services/mt.js';
+
+describe('DictionaryMT phrase lookup', () => {
+  const mt = new DictionaryMT();
+
+  it('prefers the longest phrase', async () => {
+    assert.equal(await mt.translate('good morning', 'en', 'es'), 'buenos días');
+    assert.equal(await mt.translate('good', 'en', 'es'), 'bueno');
+  });
+
+  it('does not match phrases across punctuation', async () => {
+    assert.equal(await mt.translate('yes, please', 'en', 'es'), 'sí, por favor');
+  });
+
+  it('keeps the source casing and unknown words', async () => {
+    assert.equal(await mt.translate('Hello Zorblax', 'en', 'es'), 'Hola Zorblax');
+  });
+
+  it('uses phrases added at runtime', async () => {
+    const custom = new DictionaryMT();
+    custom.addTranslation('good morning everyone', 'buenos días a todos', 'en', 'es');
+    assert.equal(await custom.translate('Good morning everyone', 'en', 'es'), 'Buenos días a todos');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LanguageManager,
+  LanguagePair,
+  planTranslationRoute,
+  selectLanguagePairs
+} from '../src/models/Language.js';
+import { DictionaryMT } from '../src/services/mt.js';
+
+describe('planTranslationRoute', () => {
+  it('uses a direct pair when there is one', () => {
+    assert.deepEqual(planTranslationRoute('es', 'fr'), ['es-fr']);
+  });
+
+  it('routes German through English', () => {
+    assert.deepEqual(planTranslationRoute('de', 'es'), ['de-en', 'en-es']);
+    assert.deepEqual(planTranslationRoute('fr', 'de'), ['fr-en', 'en-de']);
+  });
+
+  it('prefers the pivot language when several hops work', () => {
+    const pairs = selectLanguagePairs(['es-fr', 'fr-en', 'es-en', 'en-de']);
+    assert.deepEqual(planTranslationRoute('es', 'de', pairs), ['es-en', 'en-de']);
+  });
+
+  it('returns null for the same language or an unreachable one', () => {
+    assert.equal(planTranslationRoute('en', 'en'), null);
+    assert.equal(planTranslationRoute('de', 'fr', selectLanguagePairs(['de-en', 'en-es'])), null);
+  });
+});
+
+describe('LanguagePair', () => {
+  it('has no single MT model when pivoted', () => {
+    const pair = new LanguagePair('de', 'fr');
+    assert.equal(pair.isDirect(), false);
+    assert.equal(pair.getMTModel(), null);
+    assert.deepEqual(pair.getRoute().map(hop => hop.pairKey), ['de-en', 'en-fr']);
+  });
+
+  it('rejects pairs the given pairs cannot route', () => {
+    assert.throws(() => new LanguagePair('de', 'es', selectLanguagePairs(['en-es'])), /Unsupported language pair/);
+  });
+});
+
+describe('LanguageManager.setLanguagePair', () => {
+  it('keeps the current pair when there is no route', () => {
+    const manager = new LanguageManager();
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(manager.setLanguagePair('en', 'en'), false);
+      assert.equal(manager.setLanguagePair('en', 'xx'), false);
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(manager.getLanguagePair().pairKey, 'en-es');
+  });
+
+  it('only offers languages the available pairs reach', () => {
+    const manager = new LanguageManager();
+    manager.setAvailablePairs(['en-es', 'es-en']);
+    assert.deepEqual(manager.getAvailableLanguages().map(language => language.code).sort(), ['en', 'es']);
+    assert.equal(manager.setTargetLanguage('de'), false);
+  });
+
+  it('swaps and notifies the source language listener', () => {
+    const manager = new LanguageManager();
+    const changes = [];
+    manager.onSourceLanguageChange = language => changes.push(language.code);
+
+    assert.equal(manager.swapLanguages(), true);
+    assert.equal(manager.getLanguagePair().pairKey, 'es-en');
+    assert.deepEqual(changes, ['es']);
+  });
+});
+
+describe('DictionaryMT pivot', () => {
+  it('translates German to Spanish through English', async () => {
+    const mt = new DictionaryMT();
+    assert.equal(await mt.translate('Guten Morgen', 'de', 'es'), 'Buenos días');
+    assert.equal(await mt.translate('¡Gracias!', 'es', 'de'), 'Danke!');
+  });
+
+  it('rejects pairs no dictionary route covers', async () => {
+    const mt = new DictionaryMT();
+    await assert.rejects(mt.translate('danke', 'de', 'fr'), /Translation not supported/);
+  });
+});
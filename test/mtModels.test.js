@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MARIAN_MODELS, MTModelRegistry } from '../src/services/mtModels.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Registry with a fixed budget, a loader that records releases and a
+ * manifest listing the given models
+ * @param {number} budgetMB - Memory budget
+ * @param {Array<string>} listed - Manifest model names
+ * @returns {Object} { registry, released }
+ */
+function createRegistry(budgetMB, listed = []) {
+  const released = [];
+  const loader = { releaseModel: name => released.push(name) };
+  const store = { getVariants: async name => (listed.includes(name) ? [{ name, precision: 'fp32' }] : []) };
+  const registry = new MTModelRegistry({ memoryBudgetBytes: budgetMB * MB }, loader, store);
+  return { registry, released };
+}
+
+/**
+ * Add a loaded model as the most recently used entry
+ * @param {MTModelRegistry} registry - Registry
+ * @param {string} name - MT model name
+ * @param {number} sizeMB - Model size
+ * @param {Object} overrides - Entry fields
+ */
+function addEntry(registry, name, sizeMB, overrides = {}) {
+  registry.entries.set(name, { name, users: 0, bytes: sizeMB * MB, isLoaded: true, promise: null, ...overrides });
+}
+
+describe('MTModelRegistry.evict', () => {
+  it('releases least recently used models until the rest fit', () => {
+    const { registry, released } = createRegistry(250);
+    addEntry(registry, 'marian-en-es', 100);
+    addEntry(registry, 'marian-es-en', 100);
+    addEntry(registry, 'marian-en-fr', 100);
+
+    registry.evict();
+    assert.deepEqual(Array.from(registry.entries.keys()), ['marian-es-en', 'marian-en-fr']);
+    assert.deepEqual(released, [MARIAN_MODELS['marian-en-es'].encoder, MARIAN_MODELS['marian-en-es'].decoder]);
+  });
+
+  it('keeps models in use, still loading or most recently used', () => {
+    const { registry, released } = createRegistry(50);
+    addEntry(registry, 'marian-en-es', 100, { users: 1 });
+    addEntry(registry, 'marian-es-en', 100, { isLoaded: false });
+    addEntry(registry, 'marian-en-fr', 100);
+
+    registry.evict();
+    assert.equal(registry.entries.size, 3);
+    assert.deepEqual(released, []);
+  });
+
+  it('does nothing within budget', () => {
+    const { registry, released } = createRegistry(500);
+    addEntry(registry, 'marian-en-es', 100);
+    addEntry(registry, 'marian-es-en', 100);
+
+    registry.evict();
+    assert.equal(registry.entries.size, 2);
+    assert.deepEqual(released, []);
+  });
+});
+
+describe('MTModelRegistry.isAvailable', () => {
+  it('needs both the encoder and the decoder in the manifest', async () => {
+    const { encoder, decoder } = MARIAN_MODELS['marian-en-de'];
+    assert.equal(await createRegistry(100, [encoder, decoder]).registry.isAvailable('marian-en-de'), true);
+    assert.equal(await createRegistry(100, [encoder]).registry.isAvailable('marian-en-de'), false);
+    assert.equal(await createRegistry(100, [encoder, decoder]).registry.isAvailable('marian-xx-yy'), false);
+  });
+});
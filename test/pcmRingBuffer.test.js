@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PCMRingBuffer } from '../src/utils/audioUtils.js';
+
+describe('PCMRingBuffer', () => {
+  it('reads samples back in order across the wrap-around', () => {
+    const buffer = new PCMRingBuffer(4);
+    buffer.write(Float32Array.of(1, 2, 3));
+    assert.deepEqual(buffer.read(2), Float32Array.of(1, 2));
+
+    buffer.write(Float32Array.of(4, 5, 6));
+    assert.equal(buffer.available(), 4);
+    assert.deepEqual(buffer.read(4), Float32Array.of(3, 4, 5, 6));
+    assert.equal(buffer.available(), 0);
+  });
+
+  it('waits until enough samples are buffered', () => {
+    const buffer = new PCMRingBuffer(4);
+    buffer.write(Float32Array.of(1));
+    assert.equal(buffer.read(2), null);
+    assert.equal(buffer.available(), 1);
+  });
+
+  it('overwrites the oldest samples on overflow', () => {
+    const buffer = new PCMRingBuffer(4);
+    buffer.write(Float32Array.of(1, 2, 3));
+    buffer.write(Float32Array.of(4, 5));
+    assert.equal(buffer.droppedSamples, 1);
+    assert.deepEqual(buffer.read(4), Float32Array.of(2, 3, 4, 5));
+
+    buffer.write(Float32Array.of(6, 7, 8, 9, 10, 11));
+    assert.equal(buffer.droppedSamples, 3);
+    assert.deepEqual(buffer.read(4), Float32Array.of(8, 9, 10, 11));
+  });
+
+  it('discards everything on clear', () => {
+    const buffer = new PCMRingBuffer(4);
+    buffer.write(Float32Array.of(1, 2, 3));
+    buffer.clear();
+    assert.equal(buffer.available(), 0);
+    buffer.write(Float32Array.of(4));
+    assert.deepEqual(buffer.read(1), Float32Array.of(4));
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PunctuationService } from '../src/services/punctuation.js';
+import { DictionaryMT } from '../src/services/mt.js';
+
+/**
+ * Timed segment with one second per word
+ * @param {string} text - Segment text
+ * @param {number} start - Start in seconds
+ * @returns {Object} Segment
+ */
+function segment(text, start) {
+  const words = text.split(' ').map((word, i) => ({ word, start: start + i, end: start + i + 1, confidence: 0.9 }));
+  return { start, end: start + words.length, text, words };
+}
+
+describe('PunctuationService rules', () => {
+  const service = new PunctuationService();
+
+  it('ends sentences at long pauses between segments', async () => {
+    const segments = [segment('hello there', 0), segment('i am fine', 3)];
+    const { text, sentences } = await service.restore('hello there i am fine', 'en', segments);
+    assert.equal(text, 'Hello there. I am fine.');
+    assert.equal(sentences.length, 2);
+  });
+
+  it('asks questions with question words and inverted auxiliaries', async () => {
+    assert.equal((await service.restore('where is the station', 'en')).text, 'Where is the station?');
+    assert.equal((await service.restore('can you help me', 'en')).text, 'Can you help me?');
+    assert.equal((await service.restore('is the train late', 'en')).text, 'Is the train late?');
+  });
+
+  it('keeps statements and commands that open with an auxiliary', async () => {
+    assert.equal((await service.restore('will is here', 'en')).text, 'Will is here.');
+    assert.equal((await service.restore('do the dishes', 'en')).text, 'Do the dishes.');
+    assert.equal((await service.restore('have a nice day', 'en')).text, 'Have a nice day.');
+    assert.equal((await service.restore('do you like it', 'en')).text, 'Do you like it?');
+  });
+
+  it('opens Spanish questions with an inverted mark', async () => {
+    assert.equal((await service.restore('dónde está el baño', 'es')).text, '¿Dónde está el baño?');
+  });
+
+  it('aligns restored words to segments split differently', () => {
+    const segments = [segment('send an e-mail', 0)];
+    const words = [{ word: 'send', mark: '' }, { word: 'an', mark: '' }, { word: 'e', mark: '' }, { word: 'mail', mark: '.' }];
+    const [aligned] = service.formatSegments(segments, words, 'en');
+    assert.deepEqual(aligned.words.map(word => word.word), ['Send', 'an', 'e', 'mail.']);
+    assert.equal(aligned.words[3].start, 2);
+    assert.equal(aligned.text, 'Send an e mail.');
+  });
+
+  it('drops per-word timing when the restored text has different words', () => {
+    const segments = [segment('hello world', 0)];
+    const words = [{ word: 'hello', mark: '' }, { word: 'there', mark: '' }, { word: 'world', mark: '.' }];
+    assert.deepEqual(service.formatSegments(segments, words, 'en')[0].words, []);
+  });
+});
+
+describe('PunctuationService.transferPunctuation', () => {
+  const service = new PunctuationService();
+
+  it('carries the source closing mark to the translation', () => {
+    assert.equal(service.transferPunctuation('How are you?', 'cómo estás', 'es'), '¿Cómo estás?');
+    assert.equal(service.transferPunctuation('Thank you!', 'merci', 'fr'), 'Merci\u202f!');
+  });
+
+  it('keeps marks the translation already has and closes unmarked text', () => {
+    assert.equal(service.transferPunctuation('Hello?', 'hola.', 'es'), 'Hola.');
+    assert.equal(service.transferPunctuation('hello', 'hola', 'es'), 'Hola.');
+    assert.equal(service.transferPunctuation('hello', '   ', 'es'), '');
+  });
+});
+
+describe('DictionaryMT inverted marks', () => {
+  const mt = new DictionaryMT();
+
+  it('adds them when translating into Spanish', async () => {
+    assert.equal(await mt.translate('How are you?', 'en', 'es'), '¿Cómo estás?');
+  });
+
+  it('removes them when translating out of Spanish', async () => {
+    assert.equal(await mt.translate('¿Cómo estás?', 'es', 'en'), 'How are you?');
+    assert.equal(await mt.translate('¡Gracias!', 'es', 'de'), 'Danke!');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamingResampler, resampleAudio } from '../src/utils/audioUtils.js';
+
+/**
+ * Sine tone
+ * @param {number} frequency - Tone frequency in Hz
+ * @param {number} sampleRate - Sample rate
+ * @param {number} seconds - Duration
+ * @returns {Float32Array} Samples
+ */
+function tone(frequency, sampleRate, seconds) {
+  const samples = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+}
+
+/**
+ * Root-mean-square level away from the edges
+ * @param {Float32Array} samples - Samples
+ * @returns {number} RMS
+ */
+function rms(samples) {
+  const middle = samples.subarray(Math.floor(samples.length / 4), Math.floor(samples.length * 3 / 4));
+  return Math.sqrt(middle.reduce((sum, value) => sum + value * value, 0) / middle.length);
+}
+
+describe('resampleAudio', () => {
+  it('scales the length by the rate ratio', () => {
+    assert.equal(resampleAudio(new Float32Array(48000), 48000, 16000).length, 16000);
+    assert.equal(resampleAudio(new Float32Array(44100), 44100, 16000).length, 16000);
+    assert.equal(resampleAudio(new Float32Array(8000), 8000, 16000).length, 16000);
+  });
+
+  it('returns the input when the rates match', () => {
+    const audio = new Float32Array(10);
+    assert.equal(resampleAudio(audio, 16000, 16000), audio);
+  });
+
+  it('keeps tones below the target Nyquist frequency', () => {
+    const output = resampleAudio(tone(440, 44100, 0.5), 44100, 16000);
+    const expected = tone(440, 16000, 0.5);
+    assert.ok(Math.abs(rms(output) - Math.SQRT1_2) < 0.01);
+
+    const middle = Math.floor(output.length / 2);
+    for (let i = middle; i < middle + 100; i++) {
+      assert.ok(Math.abs(output[i] - expected[i]) < 0.01);
+    }
+  });
+
+  it('filters out tones above the target Nyquist frequency', () => {
+    assert.ok(rms(resampleAudio(tone(12000, 48000, 0.5), 48000, 16000)) < 0.01);
+  });
+
+  it('requires both rates', () => {
+    assert.throws(() => resampleAudio(new Float32Array(4), 0, 16000), /requires both/);
+  });
+});
+
+describe('StreamingResampler', () => {
+  it('matches resampleAudio across uneven chunks', () => {
+    const audio = tone(1000, 44100, 0.25);
+    const expected = resampleAudio(audio, 44100, 16000);
+    const resampler = new StreamingResampler(44100, 16000);
+
+    const output = [];
+    for (let start = 0, size = 1; start < audio.length; start += size, size = size * 3 % 997 + 1) {
+      output.push(...resampler.process(audio.subarray(start, start + size)));
+    }
+
+    assert.ok(output.length > expected.length - 50 && output.length <= expected.length);
+    output.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-5));
+  });
+
+  it('starts over after reset', () => {
+    const audio = tone(1000, 48000, 0.1);
+    const resampler = new StreamingResampler(48000, 16000);
+    const first = resampler.process(audio);
+    resampler.reset();
+    assert.deepEqual(resampler.process(audio), first);
+  });
+
+  it('passes audio through when the rates match', () => {
+    const chunk = new Float32Array(8);
+    assert.equal(new StreamingResampler(16000, 16000).process(chunk), chunk);
+  });
+});
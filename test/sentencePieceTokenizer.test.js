@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentencePieceTokenizer } from '../src/utils/sentencePieceTokenizer.js';
+
+const VOCAB = {
+  '</s>': 0, '<unk>': 1, '<pad>': 2,
+  '▁hello': 3, '▁he': 4, 'llo': 5, '▁world': 6, '▁': 7, '>>es<<': 8
+};
+const PIECES = [
+  { piece: '▁hello', score: -5, type: 1 },
+  { piece: '▁he', score: -1, type: 1 },
+  { piece: 'llo', score: -1, type: 1 },
+  { piece: '▁world', score: -2, type: 1 },
+  { piece: '▁', score: -3, type: 1 },
+  { piece: '<unk>', score: 0, type: 2 }
+];
+
+/**
+ * Protobuf varint
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes
+ */
+function varint(value) {
+  const bytes = [];
+  while (value > 0x7f) {
+    bytes.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+/**
+ * Serialized ModelProto holding the given pieces
+ * @param {Array<Object>} pieces - { piece, score, type }
+ * @returns {ArrayBuffer} Model bytes
+ */
+function serializeModel(pieces) {
+  const bytes = pieces.flatMap(({ piece, score, type }) => {
+    const text = Array.from(new TextEncoder().encode(piece));
+    const float = new Uint8Array(new Float32Array([score]).buffer);
+    const entry = [0x0a, ...varint(text.length), ...text, 0x15, ...float, 0x18, ...varint(type)];
+    return [0x0a, ...varint(entry.length), ...entry];
+  });
+  return Uint8Array.from(bytes).buffer;
+}
+
+describe('SentencePieceTokenizer', () => {
+  const tokenizer = new SentencePieceTokenizer(VOCAB, PIECES);
+
+  it('picks the best-scoring segmentation', () => {
+    assert.deepEqual(tokenizer.tokenize('hello world'), ['▁he', 'llo', '▁world']);
+  });
+
+  it('prefixes the target language tag and appends end of sentence', () => {
+    assert.deepEqual(tokenizer.encode('hello', { targetLanguage: 'es' }), [8, 4, 5, 0]);
+    assert.deepEqual(tokenizer.encode('hello', { targetLanguage: 'fr', addEos: false }), [4, 5]);
+  });
+
+  it('maps characters no piece covers to the unknown token', () => {
+    assert.deepEqual(tokenizer.encode('hello zz'), [4, 5, 7, 1, 1, 0]);
+  });
+
+  it('normalizes whitespace and compatibility characters', () => {
+    assert.equal(tokenizer.normalize('  hello  world '), '▁hello▁world');
+    assert.equal(tokenizer.normalize('\ufb01ne\u00a0day'), '▁fine▁day');
+    assert.equal(tokenizer.normalize(' '), '');
+  });
+
+  it('decodes without special tokens', () => {
+    assert.equal(tokenizer.decode([8, 4, 5, 6, 0]), 'hello world');
+    assert.equal(tokenizer.decode([4, 5, 0], { skipSpecialTokens: false }), 'hello</s>');
+  });
+
+  it('scores pieces by vocabulary rank without a model', () => {
+    const ranked = new SentencePieceTokenizer(VOCAB);
+    assert.deepEqual(ranked.tokenize('hello'), ['▁hello']);
+  });
+
+  it('reads pieces from a serialized model', () => {
+    const pieces = SentencePieceTokenizer.parseModel(serializeModel(PIECES));
+    assert.deepEqual(pieces, PIECES);
+  });
+});
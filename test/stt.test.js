@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { STTService, WHISPER_TOKENS } from '../src/services/stt.js';
+import { ByteLevelBPETokenizer } from '../src/utils/bpeTokenizer.js';
+
+const { endOfText, timestampBegin } = WHISPER_TOKENS;
+const VOCAB_SIZE = timestampBegin + 1501;
+
+/**
+ * Logits that prefer one token and leave everything else level
+ * @param {number} preferred - Token with the highest logit
+ * @returns {Float32Array} Logits
+ */
+function preferring(preferred = 100) {
+  const logits = new Float32Array(VOCAB_SIZE);
+  logits[preferred] = 20;
+  return logits;
+}
+
+/**
+ * Tokens the logits still allow
+ * @param {Float32Array} logits - Masked logits
+ * @returns {Array<number>} Allowed token ids
+ */
+function allowed(logits) {
+  return Array.from(logits.keys()).filter(token => logits[token] > -Infinity);
+}
+
+describe('STTService.applyTimestampRules', () => {
+  const stt = new STTService();
+
+  it('opens with an early timestamp', () => {
+    const logits = preferring();
+    stt.applyTimestampRules(logits, []);
+    assert.deepEqual(allowed(logits), Array.from({ length: 51 }, (_, i) => timestampBegin + i));
+  });
+
+  it('follows a closed timestamp pair with text', () => {
+    const logits = preferring();
+    stt.applyTimestampRules(logits, [timestampBegin, 100, timestampBegin + 10, timestampBegin + 10]);
+    assert.ok(allowed(logits).every(token => token < timestampBegin));
+  });
+
+  it('closes a segment with a later timestamp or the end of text', () => {
+    const logits = preferring(endOfText);
+    stt.applyTimestampRules(logits, [timestampBegin, 100, timestampBegin + 10]);
+    const tokens = allowed(logits);
+    assert.equal(tokens[0], endOfText);
+    assert.equal(tokens.find(token => token >= timestampBegin), timestampBegin + 10);
+  });
+
+  it('never lets timestamps go backwards', () => {
+    const logits = preferring();
+    stt.applyTimestampRules(logits, [timestampBegin + 5, 100, 101]);
+    assert.equal(logits[timestampBegin + 5], -Infinity);
+    assert.ok(logits[timestampBegin + 6] > -Infinity);
+    assert.ok(logits[100] > -Infinity);
+  });
+
+  it('forces a timestamp when timestamps are jointly more likely', () => {
+    const logits = new Float32Array(VOCAB_SIZE).fill(-10);
+    logits[100] = 2;
+    logits.fill(0, timestampBegin);
+    stt.applyTimestampRules(logits, [timestampBegin, 100]);
+    assert.ok(allowed(logits).every(token => token >= timestampBegin));
+  });
+});
+
+describe('STTService.buildSegments', () => {
+  const stt = new STTService();
+  stt.tokenizer = new ByteLevelBPETokenizer({ hi: 0, 'Ġthere': 1, 'Ġfr': 2, iend: 3 });
+  const tokens = [timestampBegin, 0, 1, timestampBegin + 50, timestampBegin + 50, 2, 3, timestampBegin + 100, endOfText];
+
+  it('splits segments at timestamp tokens', () => {
+    const segments = stt.buildSegments(tokens, 3);
+    assert.deepEqual(segments.map(({ start, end, text }) => ({ start, end, text })), [
+      { start: 0, end: 1, text: 'hi there' },
+      { start: 1, end: 2, text: 'friend' }
+    ]);
+  });
+
+  it('interpolates word times by length and marks them as estimated', () => {
+    const [first] = stt.buildSegments(tokens, 3);
+    assert.deepEqual(first.words.map(word => word.word), ['hi', 'there']);
+    assert.ok(Math.abs(first.words[0].end - 2 / 7) < 1e-9);
+    assert.equal(first.words[1].end, 1);
+    assert.ok(first.words.every(word => word.estimated));
+  });
+
+  it('uses aligned token times when there are some', () => {
+    const segments = stt.buildSegments(tokens, 3, [], [0.1, 0.4, 1.2, 1.5, 1.9]);
+    const words = segments.flatMap(segment => segment.words);
+    assert.deepEqual(words.map(({ word, start, end, estimated }) => ({ word, start, end, estimated })), [
+      { word: 'hi', start: 0.1, end: 0.4, estimated: false },
+      { word: 'there', start: 0.4, end: 1, estimated: false },
+      { word: 'friend', start: 1.2, end: 1.9, estimated: false }
+    ]);
+  });
+
+  it('closes an open segment at the end of the audio', () => {
+    const segments = stt.buildSegments([timestampBegin + 25, 0, endOfText], 1.5);
+    assert.deepEqual(segments.map(({ start, end }) => [start, end]), [[0.5, 1.5]]);
+  });
+});
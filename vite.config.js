@@ -1,13 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// SharedArrayBuffer (and with it multi-threaded wasm inference) is only
+// available to cross-origin isolated pages
+const CROSS_ORIGIN_ISOLATION_HEADERS = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
   server: {
     host: '0.0.0.0',
     port: 3000,
-    https: false
+    https: false,
+    headers: CROSS_ORIGIN_ISOLATION_HEADERS
+  },
+  preview: {
+    headers: CROSS_ORIGIN_ISOLATION_HEADERS
   },
   build: {
     target: 'esnext',